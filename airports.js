@@ -0,0 +1,161 @@
+const dataset = require('./airports.json');
+
+const CODE_PATTERN = /^[A-Za-z]{3}$/;
+
+/**
+ * Offline airport and metro-area reference (airports.json).
+ *
+ * Airports carry their city, region (US/CA state or province), country and
+ * IANA time zone; metros group the airports of one city under a city code
+ * (NYC -> EWR/JFK/LGA). The dataset covers United's network and the major
+ * international gateways, not every airfield in the world.
+ */
+class AirportDirectory {
+    /**
+     * @param {Object} [data] - { airports, metros } in the airports.json format
+     */
+    constructor(data = dataset) {
+        this.airports = new Map(data.airports.map(airport => [airport.code, airport]));
+        this.metros = new Map(data.metros.map(metro => [metro.code, metro]));
+    }
+
+    isCode(value) {
+        return typeof value === 'string' && CODE_PATTERN.test(value.trim());
+    }
+
+    getAirport(code) {
+        return this.airports.get(String(code).trim().toUpperCase()) || null;
+    }
+
+    getMetro(code) {
+        return this.metros.get(String(code).trim().toUpperCase()) || null;
+    }
+
+    /**
+     * Look up an airport or metro code, including the member airports of a metro
+     * @returns {Object|null} Entry with type 'airport' or 'metro'
+     */
+    lookup(code) {
+        const airport = this.getAirport(code);
+        if (airport) {
+            return { type: 'airport', ...airport };
+        }
+
+        const metro = this.getMetro(code);
+        if (metro) {
+            return {
+                type: 'metro',
+                ...metro,
+                airports: metro.airports.map(member => this.airports.get(member))
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize a code, throwing with suggestions when it is unknown
+     * @returns {string} Upper-case code
+     */
+    validateCode(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+
+        if (!CODE_PATTERN.test(normalized)) {
+            throw new Error(`Invalid airport code '${code}': expected 3 letters`);
+        }
+        if (!this.airports.has(normalized) && !this.metros.has(normalized)) {
+            const suggestions = this.suggest(normalized);
+            throw new Error(
+                `Unknown airport code '${normalized}'` +
+                (suggestions.length ? `. Did you mean ${suggestions.join(', ')}?` : '')
+            );
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Codes one letter off or with two letters swapped (JKF -> JFK)
+     */
+    suggest(code, limit = 5) {
+        const suggestions = [];
+
+        for (const candidate of [...this.metros.keys(), ...this.airports.keys()]) {
+            if (suggestions.length >= limit) break;
+
+            const differences = [...candidate].filter((letter, i) => letter !== code[i]).length;
+            const swapped = differences === 2 && [...candidate].sort().join('') === [...code].sort().join('');
+
+            if (differences === 1 || swapped) {
+                suggestions.push(candidate);
+            }
+        }
+
+        return suggestions;
+    }
+
+    /**
+     * "NEW YORK, NY, US" style name United uses for a metro destination
+     */
+    formatMetroName(metro) {
+        return [metro.city, metro.region, metro.country].filter(Boolean).join(', ').toUpperCase();
+    }
+
+    /**
+     * Autocomplete over codes, cities, airport names and countries
+     * @param {string} query
+     * @param {number} [limit=10]
+     * @returns {Array<Object>} Best matches first; metros before their airports
+     */
+    search(query, limit = 10) {
+        const term = normalizeText(query);
+        if (!term) return [];
+
+        const matches = [];
+        const consider = (entry, type) => {
+            const rank = matchRank(entry, term);
+            if (rank !== null) {
+                matches.push({ rank, type, entry });
+            }
+        };
+
+        this.metros.forEach(metro => consider(metro, 'metro'));
+        this.airports.forEach(airport => consider(airport, 'airport'));
+
+        return matches
+            .sort((a, b) =>
+                a.rank - b.rank ||
+                (a.type === b.type ? 0 : a.type === 'metro' ? -1 : 1) ||
+                a.entry.code.localeCompare(b.entry.code)
+            )
+            .slice(0, limit)
+            .map(({ type, entry }) => ({ type, ...entry }));
+    }
+}
+
+function normalizeText(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .toLowerCase();
+}
+
+// Lower is better; null when the entry doesn't match at all
+function matchRank(entry, term) {
+    const code = entry.code.toLowerCase();
+    const city = normalizeText(entry.city);
+    const name = normalizeText(entry.name);
+
+    if (code === term) return 0;
+    if (code.startsWith(term)) return 1;
+    if (city.startsWith(term)) return 2;
+    if (name.split(/[\s/-]+/).some(word => word.startsWith(term))) return 3;
+    if (city.includes(term) || name.includes(term)) return 4;
+    if (entry.country.toLowerCase() === term) return 5;
+    return null;
+}
+
+const airports = new AirportDirectory();
+
+module.exports = { AirportDirectory, airports };
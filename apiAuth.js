@@ -0,0 +1,306 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * API key authentication and per-client rate limiting for server.js.
+ *
+ * Routes are grouped into classes: 'search' for anything that drives a
+ * headless browser and 'build' for the cheap URL and lookup routes. Every
+ * client (API key, or IP address without keys) gets a per-minute rate limit
+ * and a per-day quota for each class, from the defaults or its own key's
+ * `limits`. Only requests the route accepts are charged.
+ *
+ * Keys come from a JSON config file (see api-keys.example.json). Without
+ * one, authentication is off, clients are limited by IP address and the
+ * admin routes are closed.
+ */
+
+const DEFAULT_LIMITS = {
+    search: { perMinute: 2, perDay: 100 },
+    build: { perMinute: 120, perDay: null }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+class ApiAuth {
+    /**
+     * @param {Object} [config]
+     * @param {Array<Object>} [config.keys] - { key, name, admin?, limits? }; limits per
+     *   route class as { perMinute, perDay } (null for unlimited)
+     * @param {Object} [config.defaults] - Limits for keys without their own
+     */
+    constructor(config = {}) {
+        this.defaults = mergeLimits(DEFAULT_LIMITS, config.defaults);
+        this.clients = new Map();
+        this.usage = new Map();
+
+        for (const entry of config.keys || []) {
+            if (!entry.key || !entry.name) {
+                throw new Error('Every API key needs a key and a name');
+            }
+            const hash = hashKey(entry.key);
+            if (this.clients.has(hash)) {
+                throw new Error(`Duplicate API key for '${entry.name}'`);
+            }
+
+            this.clients.set(hash, {
+                // Names need not be unique, so usage is counted per key
+                id: `key:${hash.slice(0, 12)}`,
+                name: entry.name,
+                admin: entry.admin === true,
+                limits: mergeLimits(this.defaults, entry.limits)
+            });
+        }
+    }
+
+    /**
+     * Load keys from a JSON file; without a file authentication is off
+     */
+    static fromFile(file) {
+        if (!file) {
+            return new ApiAuth();
+        }
+        return new ApiAuth(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    get enabled() {
+        return this.clients.size > 0;
+    }
+
+    /**
+     * Middleware: identify the client from X-API-Key or "Authorization: Bearer"
+     * (or ?apiKey= on event streams, as EventSource can't send headers),
+     * answering 401 for a missing or unknown key
+     */
+    authenticate() {
+        return (req, res, next) => {
+            if (!this.enabled) {
+                req.client = { id: `ip:${req.ip}`, name: `ip:${req.ip}`, admin: false, limits: this.defaults };
+                return next();
+            }
+
+            const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+            const eventStream = /text\/event-stream/.test(req.get('Accept') || '');
+            const queryKey = eventStream && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+            const key = req.get('X-API-Key') || (bearer && bearer[1]) || queryKey;
+            const client = key && this.clients.get(hashKey(key.trim()));
+            if (!client) {
+                res.set('WWW-Authenticate', 'Bearer realm="api", ApiKey header="X-API-Key"');
+                return res.status(401).json({
+                    error: key ? 'Invalid API key' : 'API key required (X-API-Key or Authorization: Bearer header)'
+                });
+            }
+
+            req.client = client;
+            next();
+        };
+    }
+
+    /**
+     * Middleware: count the request against the client's limits for a route
+     * class, answering 429 with Retry-After when a limit is used up. The
+     * charge is taken back when the route answers with an error status.
+     * @param {Function} classify - (req) => { routeClass, cost? }
+     */
+    limit(classify) {
+        return (req, res, next) => {
+            const { routeClass, cost = 1 } = classify(req);
+            const result = this.consume(req.client, routeClass, cost);
+
+            if (result.limit !== null) {
+                res.set('X-RateLimit-Limit', String(result.limit));
+                res.set('X-RateLimit-Remaining', String(result.remaining));
+                res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+            }
+            if (!result.allowed) {
+                const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    error: `${result.window === 'day' ? 'Daily quota' : 'Rate limit'} exceeded for ${routeClass} requests`,
+                    routeClass,
+                    limit: result.limit,
+                    window: result.window,
+                    retryAfter
+                });
+            }
+
+            res.on('finish', () => {
+                if (res.statusCode >= 400) {
+                    this.refund(req.client, routeClass, cost);
+                }
+            });
+            next();
+        };
+    }
+
+    /**
+     * Middleware: only admin keys pass; others get 403, as does everyone
+     * while no admin key is configured
+     */
+    requireAdmin() {
+        return (req, res, next) => {
+            if (!(req.client && req.client.admin)) {
+                return res.status(403).json({
+                    error: this.hasAdminKey ? 'Admin API key required' : 'Admin routes need an admin key in API_KEYS_FILE'
+                });
+            }
+            next();
+        };
+    }
+
+    get hasAdminKey() {
+        return [...this.clients.values()].some((client) => client.admin);
+    }
+
+    /**
+     * Count a request of a route class for a client. The rate limit counts
+     * requests; the daily quota counts `cost` (e.g. the searches a calendar
+     * request will run).
+     * @returns {{ allowed, limit, remaining, resetAt, window }} The tightest window
+     */
+    consume(client, routeClass, cost = 1) {
+        const now = Date.now();
+        const limits = client.limits[routeClass] || {};
+        const usage = this.usageFor(client, routeClass, now);
+
+        const windows = [
+            {
+                window: 'minute',
+                limit: limits.perMinute,
+                used: usage.minute.count,
+                amount: 1,
+                resetAt: usage.minute.start + MINUTE_MS
+            },
+            {
+                window: 'day',
+                limit: limits.perDay,
+                used: usage.day.count,
+                amount: cost,
+                resetAt: nextUTCDay(now)
+            }
+        ].filter((entry) => entry.limit !== null && entry.limit !== undefined);
+
+        const exceeded = windows.find((entry) => entry.used + entry.amount > entry.limit);
+        if (exceeded) {
+            usage.rejected++;
+            return {
+                allowed: false,
+                limit: exceeded.limit,
+                remaining: Math.max(0, exceeded.limit - exceeded.used),
+                resetAt: exceeded.resetAt,
+                window: exceeded.window
+            };
+        }
+
+        usage.minute.count += 1;
+        usage.day.count += cost;
+        usage.total += cost;
+        usage.lastRequestAt = new Date(now).toISOString();
+
+        const tightest = windows
+            .map((entry) => ({ ...entry, remaining: entry.limit - entry.used - entry.amount }))
+            .sort((a, b) => a.remaining - b.remaining)[0];
+        if (!tightest) {
+            return { allowed: true, limit: null, remaining: null, resetAt: null, window: null };
+        }
+
+        const { used, amount, ...result } = tightest;
+        return { allowed: true, ...result };
+    }
+
+    /**
+     * Take back what consume() charged for a request that was not accepted
+     */
+    refund(client, routeClass, cost = 1) {
+        const usage = this.usageFor(client, routeClass);
+
+        usage.minute.count = Math.max(0, usage.minute.count - 1);
+        usage.day.count = Math.max(0, usage.day.count - cost);
+        usage.total = Math.max(0, usage.total - cost);
+    }
+
+    /**
+     * Counters for a client and route class, with expired windows reset
+     */
+    usageFor(client, routeClass, now = Date.now()) {
+        const counters = this.usage.get(client.id) || { name: client.name, routeClasses: {} };
+        const usage = counters.routeClasses[routeClass] || {
+            total: 0,
+            rejected: 0,
+            lastRequestAt: null,
+            minute: { start: now, count: 0 },
+            day: { date: utcDate(now), count: 0 }
+        };
+
+        if (now - usage.minute.start >= MINUTE_MS) {
+            usage.minute = { start: now, count: 0 };
+        }
+        if (usage.day.date !== utcDate(now)) {
+            usage.day = { date: utcDate(now), count: 0 };
+        }
+
+        counters.routeClasses[routeClass] = usage;
+        this.usage.set(client.id, counters);
+        return usage;
+    }
+
+    /**
+     * Per-client usage and limits for the admin endpoint
+     */
+    getUsage() {
+        const now = Date.now();
+        const clients = new Map([...this.clients.values()].map((client) => [client.id, client]));
+        for (const [id, counters] of this.usage) {
+            if (!clients.has(id)) {
+                clients.set(id, { id, name: counters.name, limits: this.defaults });
+            }
+        }
+
+        return {
+            authentication: this.enabled ? 'api-key' : 'off',
+            clients: [...clients.values()].map((client) => {
+                const routeClasses = Object.fromEntries(
+                    Object.keys(client.limits).map((routeClass) => {
+                        const usage = this.usage.get(client.id)?.routeClasses[routeClass]
+                            ? this.usageFor(client, routeClass, now)
+                            : null;
+
+                        return [routeClass, {
+                            limits: client.limits[routeClass],
+                            total: usage ? usage.total : 0,
+                            rejected: usage ? usage.rejected : 0,
+                            thisMinute: usage ? usage.minute.count : 0,
+                            today: usage ? usage.day.count : 0,
+                            lastRequestAt: usage ? usage.lastRequestAt : null
+                        }];
+                    })
+                );
+
+                return { id: client.id, name: client.name, routeClasses };
+            })
+        };
+    }
+}
+
+// Keys are only kept hashed, so usage dumps and heap snapshots don't leak them
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function mergeLimits(base, overrides = {}) {
+    const merged = {};
+    for (const routeClass of new Set([...Object.keys(base), ...Object.keys(overrides || {})])) {
+        merged[routeClass] = { ...base[routeClass], ...(overrides || {})[routeClass] };
+    }
+    return merged;
+}
+
+function utcDate(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+function nextUTCDay(time) {
+    return Date.parse(`${utcDate(time)}T00:00:00Z`) + 24 * 60 * MINUTE_MS;
+}
+
+module.exports = { ApiAuth, DEFAULT_LIMITS };
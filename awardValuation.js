@@ -0,0 +1,164 @@
+/**
+ * Cents-per-mile valuation of award (miles) results against a cash search
+ * for the same flights.
+ *
+ * For every award product the cash fare of the same product type on the same
+ * flights is looked up (falling back to the cheapest fare in the same cabin,
+ * since award product types differ from cash ones), and the miles are valued at
+ * (cash price - award taxes) / miles * 100 cents. Prices are per passenger,
+ * as United shows them; a higher value means burning miles is the better deal.
+ */
+
+/**
+ * Whether parsed URL parameters describe an award search
+ * @param {Object} params - UnitedURLBuilder.parseURL output
+ */
+function isAwardSearch(params) {
+    const advanced = (params && params.advanced) || {};
+    return Boolean(advanced.awardTravel || advanced.bookWithMiles);
+}
+
+/**
+ * Identify an itinerary by its flights, independent of the search that found it
+ * (United's flight hashes differ between cash and award searches)
+ */
+function itineraryKey(itinerary) {
+    return (itinerary.segments || [])
+        .map((segment) => `${segment.marketingCarrier}${segment.flightNumber}@${segment.departDateTime}`)
+        .join('/');
+}
+
+// Lookup keys for a product, most specific first
+function fareKeys(product) {
+    return [
+        product.productType && `type:${product.productType.toUpperCase()}`,
+        product.cabinType && `cabin:${product.cabinType.toUpperCase()}`
+    ].filter(Boolean);
+}
+
+/**
+ * Cheapest cash fare per product type and per cabin for every itinerary of the cash results
+ * @returns {Map<string, Map<string, Object>>} itinerary key -> fare key -> product
+ */
+function indexCashFares(cashResults) {
+    const index = new Map();
+
+    for (const trip of (cashResults && cashResults.flights) || []) {
+        for (const itinerary of trip.itineraries || []) {
+            const fares = index.get(itineraryKey(itinerary)) || new Map();
+
+            for (const product of itinerary.products || []) {
+                if (product.price === null || product.price === undefined) continue;
+
+                for (const key of fareKeys(product)) {
+                    const cheapest = fares.get(key);
+                    if (!cheapest || product.price < cheapest.price) {
+                        fares.set(key, product);
+                    }
+                }
+            }
+            index.set(itineraryKey(itinerary), fares);
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Cents per mile for one award product, or null when it can't be compared
+ */
+function centsPerMile(awardProduct, cashProduct) {
+    if (!cashProduct || !awardProduct.miles) return null;
+
+    const taxes = awardProduct.taxes || 0;
+    if (taxes && awardProduct.currency && awardProduct.currency !== cashProduct.currency) {
+        return null;
+    }
+
+    return Math.round(((cashProduct.price - taxes) / awardProduct.miles) * 10000) / 100;
+}
+
+/**
+ * Attach cash prices and cents-per-mile values to award results
+ * @param {Object} awardResults - Parsed results of an award search
+ * @param {Object} cashResults - Parsed results of a cash search for the same trip
+ * @param {Object} [cashSearch] - Reference to the cash search ({ id, url, finishedAt })
+ * @returns {Object} Copy of awardResults; award products gain cashPrice, cashCurrency
+ *   and centsPerMile, itineraries gain bestCentsPerMile, and awardValuation summarizes
+ */
+function valueAwardResults(awardResults, cashResults, cashSearch = {}) {
+    if (!awardResults || !Array.isArray(awardResults.flights)) {
+        return awardResults;
+    }
+
+    const cashFares = indexCashFares(cashResults);
+    let matched = 0;
+    let unmatched = 0;
+    let best = null;
+
+    const flights = awardResults.flights.map((trip) => ({
+        ...trip,
+        itineraries: (trip.itineraries || []).map((itinerary) => {
+            const fares = cashFares.get(itineraryKey(itinerary));
+            if (fares) matched++;
+            else unmatched++;
+
+            const products = (itinerary.products || []).map((product) => {
+                if (product.miles === null || product.miles === undefined) return product;
+
+                const key = fares && fareKeys(product).find((candidate) => fares.has(candidate));
+                const cash = key ? fares.get(key) : null;
+                const value = centsPerMile(product, cash);
+                if (value !== null && (!best || value > best.centsPerMile)) {
+                    best = {
+                        centsPerMile: value,
+                        itineraryId: itinerary.id,
+                        flightNumbers: itinerary.flightNumbers,
+                        productType: product.productType,
+                        miles: product.miles,
+                        taxes: product.taxes,
+                        cashPrice: cash.price,
+                        currency: cash.currency
+                    };
+                }
+
+                return {
+                    ...product,
+                    cashPrice: cash ? cash.price : null,
+                    cashCurrency: cash ? cash.currency : null,
+                    centsPerMile: value
+                };
+            });
+
+            const values = products
+                .map((product) => product.centsPerMile)
+                .filter((value) => value !== null && value !== undefined);
+
+            return {
+                ...itinerary,
+                products,
+                bestCentsPerMile: values.length ? Math.max(...values) : null
+            };
+        })
+    }));
+
+    return {
+        ...awardResults,
+        flights,
+        awardValuation: {
+            cashSearchId: cashSearch.id || null,
+            cashSearchUrl: cashSearch.url || null,
+            cashSearchedAt: cashSearch.finishedAt || null,
+            matchedItineraries: matched,
+            unmatchedItineraries: unmatched,
+            best
+        }
+    };
+}
+
+module.exports = {
+    isAwardSearch,
+    itineraryKey,
+    centsPerMile,
+    valueAwardResults
+};
@@ -0,0 +1,299 @@
+const puppeteer = require("puppeteer-core");
+const { createLogger } = require("./logger");
+
+const log = createLogger("browserPool");
+
+/**
+ * Pool of warm Chrome instances shared by searches.
+ *
+ * Every acquire() gets its own incognito browser context and page, so
+ * cookies and storage never leak between searches. Browsers are recycled
+ * when they crash, fail a health check, are flagged by a search (e.g. after
+ * anti-bot errors) or have served maxUsesPerBrowser searches.
+ */
+class BrowserPool {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.launchOptions] - Passed to puppeteer.launch
+   * @param {Object} [options.launcher=puppeteer] - Anything with puppeteer's launch(options)
+   * @param {number} [options.maxBrowsers=2] - Chrome instances allowed at once
+   * @param {number} [options.maxPagesPerBrowser=2] - Concurrent searches per instance
+   * @param {number} [options.minBrowsers=1] - Instances kept warm by warmUp/health checks
+   * @param {number} [options.maxUsesPerBrowser=50] - Searches before an instance is replaced
+   * @param {number} [options.healthCheckInterval=30000] - ms between health checks (0 disables)
+   */
+  constructor(options = {}) {
+    this.launchOptions = options.launchOptions || {};
+    this.launcher = options.launcher || puppeteer;
+    this.maxBrowsers = options.maxBrowsers || 2;
+    this.maxPagesPerBrowser = options.maxPagesPerBrowser || 2;
+    this.minBrowsers = Math.min(
+      options.minBrowsers !== undefined ? options.minBrowsers : 1,
+      this.maxBrowsers
+    );
+    this.maxUsesPerBrowser = options.maxUsesPerBrowser || 50;
+    this.healthCheckInterval =
+      options.healthCheckInterval !== undefined
+        ? options.healthCheckInterval
+        : 30000;
+
+    this.entries = [];
+    this.launching = 0;
+    this.waiters = [];
+    this.closed = false;
+    this.nextId = 1;
+    this.healthTimer = null;
+  }
+
+  /**
+   * Launch browsers until minBrowsers are running and start health checks
+   */
+  async warmUp() {
+    this.startHealthChecks();
+
+    while (
+      !this.closed &&
+      this.entries.length + this.launching < this.minBrowsers
+    ) {
+      await this.launch();
+    }
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer || !this.healthCheckInterval) return;
+
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch((error) =>
+        log.warn("Browser pool health check failed", { error: error.message })
+      );
+    }, this.healthCheckInterval);
+
+    // Health checks alone should not keep the process alive
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Launch a new browser and add it to the pool
+   */
+  async launch() {
+    this.launching++;
+
+    try {
+      const browser = await this.launcher.launch(this.launchOptions);
+      const entry = {
+        id: this.nextId++,
+        browser,
+        activePages: 0,
+        uses: 0,
+        retiring: false,
+        launchedAt: new Date().toISOString(),
+      };
+
+      browser.on("disconnected", () => {
+        if (this.entries.includes(entry)) {
+          log.warn("Browser disconnected, removing from pool", {
+            browser: entry.id,
+          });
+          this.remove(entry);
+        }
+      });
+
+      this.entries.push(entry);
+      log.info("Launched browser", {
+        browser: entry.id,
+        browsers: this.entries.length,
+        maxBrowsers: this.maxBrowsers,
+      });
+
+      if (this.closed) {
+        await this.retire(entry);
+        throw new Error("Browser pool is closed");
+      }
+
+      return entry;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  /**
+   * Get an isolated page to run one search in.
+   * Waits for a free slot when all browsers are at maxPagesPerBrowser.
+   * @param {Object} [contextOptions] - Passed to browser.createBrowserContext
+   *   (e.g. { proxyServer } to route this search through a proxy)
+   * @returns {Object} Lease with browser, context, page and release()
+   */
+  async acquire(contextOptions = {}) {
+    const entry = await this.reserveSlot();
+
+    try {
+      const context = await entry.browser.createBrowserContext(contextOptions);
+      const page = await context.newPage();
+
+      return {
+        browserId: entry.id,
+        browser: entry.browser,
+        context,
+        page,
+        release: (options) => this.release(entry, context, options),
+      };
+    } catch (error) {
+      // Could not open a context/page: treat the browser as broken
+      await this.release(entry, null, { recycle: true });
+      throw error;
+    }
+  }
+
+  async reserveSlot() {
+    while (true) {
+      if (this.closed) {
+        throw new Error("Browser pool is closed");
+      }
+
+      const available = this.entries
+        .filter(
+          (entry) =>
+            !entry.retiring && entry.activePages < this.maxPagesPerBrowser
+        )
+        .sort((a, b) => a.activePages - b.activePages)[0];
+
+      if (available) {
+        available.activePages++;
+        available.uses++;
+        return available;
+      }
+
+      if (this.entries.length + this.launching < this.maxBrowsers) {
+        const entry = await this.launch();
+        entry.activePages++;
+        entry.uses++;
+        return entry;
+      }
+
+      await new Promise((resolve) => this.waiters.push(resolve));
+    }
+  }
+
+  /**
+   * Return a leased page to the pool
+   * @param {Object} [options]
+   * @param {boolean} [options.recycle=false] - Replace the browser (crashed or flagged by the site)
+   */
+  async release(entry, context, options = {}) {
+    if (context) {
+      try {
+        await context.close();
+      } catch (error) {
+        // Context is already gone when the browser crashed
+      }
+    }
+
+    entry.activePages--;
+
+    if (options.recycle || entry.uses >= this.maxUsesPerBrowser) {
+      entry.retiring = true;
+    }
+
+    if (entry.retiring && entry.activePages <= 0) {
+      await this.retire(entry);
+    }
+
+    this.wakeWaiter();
+  }
+
+  wakeWaiter() {
+    const waiter = this.waiters.shift();
+    if (waiter) waiter();
+  }
+
+  remove(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+    }
+    entry.retiring = true;
+    this.wakeWaiter();
+  }
+
+  async retire(entry) {
+    this.remove(entry);
+
+    try {
+      await entry.browser.close();
+      log.info("Recycled browser", { browser: entry.id, uses: entry.uses });
+    } catch (error) {
+      log.warn("Could not close browser", {
+        browser: entry.id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Recycle disconnected or unresponsive idle browsers and top up warm instances
+   */
+  async checkHealth() {
+    for (const entry of [...this.entries]) {
+      if (!entry.browser.connected) {
+        this.remove(entry);
+        continue;
+      }
+
+      if (entry.activePages > 0) continue;
+
+      let timer;
+      try {
+        await Promise.race([
+          entry.browser.version(),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error("timeout")), 5000);
+          }),
+        ]);
+      } catch (error) {
+        log.warn("Browser failed health check", {
+          browser: entry.id,
+          error: error.message,
+        });
+        await this.retire(entry);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    await this.warmUp();
+  }
+
+  getStats() {
+    return {
+      browsers: this.entries.map((entry) => ({
+        id: entry.id,
+        activePages: entry.activePages,
+        uses: entry.uses,
+        retiring: entry.retiring,
+        launchedAt: entry.launchedAt,
+      })),
+      launching: this.launching,
+      waiting: this.waiters.length,
+      maxBrowsers: this.maxBrowsers,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+    };
+  }
+
+  /**
+   * Close every browser; pending acquire() calls fail
+   */
+  async close() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    const waiters = this.waiters.splice(0);
+    waiters.forEach((resolve) => resolve());
+
+    await Promise.all(
+      [...this.entries].map((entry) => this.retire(entry))
+    );
+  }
+}
+
+module.exports = { BrowserPool };
@@ -0,0 +1,56 @@
+/**
+ * Tags captured united.com API responses by endpoint so each one can be
+ * handed to the parser that understands it. The URL decides when it names a
+ * known endpoint; otherwise (replayed files, unfamiliar URLs) the payload
+ * shape is used.
+ */
+
+const CAPTURE_TYPES = [
+  {
+    type: "flights",
+    urlPattern: /\/FetchFlights\b/i,
+    matchesData: (payload) => Array.isArray(payload.Trips),
+  },
+  {
+    type: "teaserTexts",
+    urlPattern: /\/GetTeaserTexts\b/i,
+    matchesData: (payload) =>
+      !payload.Trips &&
+      Array.isArray(payload.ColumnInformation?.Columns) &&
+      payload.ColumnInformation.Columns.some((column) =>
+        Array.isArray(column.TeaserTexts)
+      ),
+  },
+  {
+    type: "fareWheel",
+    urlPattern: /\/(FetchFareWheel|FareWheel|FetchCalendar|Calendar)\w*/i,
+    matchesData: (payload) =>
+      !payload.Trips && Array.isArray(payload.Calendar?.Months),
+  },
+];
+
+/**
+ * United wraps payloads in "data" (FetchFlights) or "Data" (most others)
+ */
+function unwrapPayload(data) {
+  if (!data || typeof data !== "object") return data;
+  return data.data || data.Data || data;
+}
+
+/**
+ * @param {string} url - Response URL (or replay source)
+ * @param {*} data - Parsed response body
+ * @returns {string} One of CAPTURE_TYPES' types, or "unknown"
+ */
+function classifyCapture(url, data) {
+  const byUrl = CAPTURE_TYPES.find((entry) => entry.urlPattern.test(url || ""));
+  if (byUrl) return byUrl.type;
+
+  const payload = unwrapPayload(data);
+  if (!payload || typeof payload !== "object") return "unknown";
+
+  const byData = CAPTURE_TYPES.find((entry) => entry.matchesData(payload));
+  return byData ? byData.type : "unknown";
+}
+
+module.exports = { CAPTURE_TYPES, classifyCapture, unwrapPayload };
@@ -0,0 +1,547 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { UnitedURLBuilder } = require('./urlBuilder');
+const { UnitedFlightSearcher } = require('./united');
+const { ROW_COLUMNS, flattenResults, toCSV } = require('./resultExport');
+const { setLogOutput, setLogLevel } = require('./logger');
+
+/**
+ * Command-line interface: build and parse United search URLs, run searches
+ * and replay saved captures.
+ *
+ * Results go to stdout as a table, JSON or CSV; logs go to stderr so output
+ * can be piped. The exit code tells what kind of failure happened.
+ */
+
+const EXIT_CODES = {
+    ok: 0,
+    // Unexpected failure
+    error: 1,
+    // Bad command line, search parameters or capture files
+    usage: 2,
+    // The search ran but found no flights
+    noResults: 3,
+    // No flight data arrived before the results timeout
+    timeout: 4,
+    // Chrome could not be launched or the search page could not be loaded
+    browser: 5,
+    // United's API refused the requests (HTTP/2 errors from anti-bot protection)
+    blocked: 6
+};
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  build                  Build a search URL from the options below
+  parse <url>            Show the search parameters of a United URL
+  search [url]           Search flights for a URL (or one built from the options below)
+  replay <path>          Parse a saved capture file or directory without a browser
+
+Search parameters (build, search):
+  -f, --from <code>          Origin airport
+  -t, --to <code>            Destination airport, metro code or city
+  -d, --depart <date>        Departure date (YYYY-MM-DD, 08/15/2025, +30d, ...)
+  -r, --return <date>        Return date (round trip)
+      --segment <from:to:date>  Multi-city leg (repeat for each leg, 2-6)
+  -p, --passengers <n>       Number of adults (default 1)
+      --adults, --seniors, --children-15-17, --children-12-14, --children-5-11,
+      --children-2-4, --infants-in-seat, --infants-on-lap <n>
+                             Passenger mix (instead of --passengers)
+  -c, --cabin <class>        economy, premium-economy, business or first
+      --sort <order>         bestmatches, price, duration, departure or arrival
+      --trip-type <type>     oneway, roundtrip or multicity (detected by default)
+      --no-all-airports      Don't search all airports of the destination city
+      --exact-destination    Write metro codes as given instead of expanding them
+      --no-validate-airports Accept codes missing from the airport dataset
+      --no-validate-dates    Accept past dates and dates past the booking horizon
+      --flexible-dates, --nonstop, --award, --refundable, --miles
+                             Advanced criteria (--miles books with miles)
+      --time-of-day <time>   morning, afternoon, evening or night
+      --corporate-code <code>, --promo-code <code>
+      --param <name=value>   Extra query parameter (repeatable)
+      --today <date>         Date to resolve relative dates from
+      --slash-order <order>  Read 01/02/2025 as MDY (default) or DMY
+
+Search options (search, replay):
+      --headful              Show the browser window (headless: false) for debugging
+      --timeout <ms>         Page navigation timeout (default 60000)
+      --results-timeout <ms> Time to wait for flight data (default 60000)
+      --base-url <url>       Send searches elsewhere, e.g. the mock site (UNITED_BASE_URL)
+      --save-responses       Save intercepted responses to --output-dir (default ./flight_data)
+      --rows <type>          itinerary, segment or fare rows (table and csv)
+      --raw                  Keep United's raw response in JSON output
+
+Output:
+  -o, --format <format>      table (default), json or csv
+  -v, --verbose              Log progress to stderr
+      --log-level <level>    debug, info, warn, error or silent
+  -h, --help                 Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage or input error, 3 no flights found,
+  4 results timeout, 5 browser or navigation failure, 6 blocked by United
+`;
+
+const PASSENGER_FLAGS = {
+    adults: 'adults',
+    seniors: 'seniors',
+    'children-15-17': 'children15To17',
+    'children-12-14': 'children12To14',
+    'children-5-11': 'children5To11',
+    'children-2-4': 'children2To4',
+    'infants-in-seat': 'infantsInSeat',
+    'infants-on-lap': 'infantsOnLap'
+};
+
+const OPTIONS = {
+    from: { type: 'string', short: 'f' },
+    to: { type: 'string', short: 't' },
+    depart: { type: 'string', short: 'd' },
+    return: { type: 'string', short: 'r' },
+    segment: { type: 'string', multiple: true },
+    passengers: { type: 'string', short: 'p' },
+    ...Object.fromEntries(Object.keys(PASSENGER_FLAGS).map((flag) => [flag, { type: 'string' }])),
+    cabin: { type: 'string', short: 'c' },
+    sort: { type: 'string' },
+    'trip-type': { type: 'string' },
+    'no-all-airports': { type: 'boolean' },
+    'exact-destination': { type: 'boolean' },
+    'no-validate-airports': { type: 'boolean' },
+    'no-validate-dates': { type: 'boolean' },
+    'flexible-dates': { type: 'boolean' },
+    nonstop: { type: 'boolean' },
+    award: { type: 'boolean' },
+    refundable: { type: 'boolean' },
+    miles: { type: 'boolean' },
+    'time-of-day': { type: 'string' },
+    'corporate-code': { type: 'string' },
+    'promo-code': { type: 'string' },
+    param: { type: 'string', multiple: true },
+    today: { type: 'string' },
+    'slash-order': { type: 'string' },
+    headful: { type: 'boolean' },
+    timeout: { type: 'string' },
+    'results-timeout': { type: 'string' },
+    'base-url': { type: 'string' },
+    'save-responses': { type: 'boolean' },
+    'output-dir': { type: 'string' },
+    rows: { type: 'string' },
+    raw: { type: 'boolean' },
+    format: { type: 'string', short: 'o' },
+    verbose: { type: 'boolean', short: 'v' },
+    'log-level': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Table columns per row type: [column, header, format?]
+const TABLE_COLUMNS = {
+    itinerary: [
+        ['tripIndex', 'Trip'],
+        ['departDateTime', 'Depart'],
+        ['arrivalDateTime', 'Arrive'],
+        ['origin', 'From'],
+        ['destination', 'To'],
+        ['flightNumbers', 'Flights'],
+        ['stops', 'Stops'],
+        ['durationMinutes', 'Duration', formatDuration],
+        ['lowestPrice', 'Price'],
+        ['lowestMiles', 'Miles'],
+        ['currency', 'Currency']
+    ],
+    segment: [
+        ['tripIndex', 'Trip'],
+        ['flightNumbers', 'Itinerary'],
+        ['segmentIndex', '#'],
+        ['flightNumber', 'Flight'],
+        ['operatingCarrier', 'Operated by'],
+        ['segmentOrigin', 'From'],
+        ['segmentDestination', 'To'],
+        ['segmentDepartDateTime', 'Depart'],
+        ['segmentArrivalDateTime', 'Arrive'],
+        ['segmentDurationMinutes', 'Duration', formatDuration],
+        ['equipment', 'Aircraft']
+    ],
+    fare: [
+        ['tripIndex', 'Trip'],
+        ['flightNumbers', 'Flights'],
+        ['departDateTime', 'Depart'],
+        ['productType', 'Fare'],
+        ['cabinType', 'Cabin'],
+        ['price', 'Price'],
+        ['taxes', 'Taxes'],
+        ['miles', 'Miles'],
+        ['fareCurrency', 'Currency'],
+        ['refundable', 'Refundable']
+    ]
+};
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.usage;
+    return error;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [io] - { stdout, stderr } streams
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let command;
+    let values;
+
+    try {
+        let positionals;
+        ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+        [command, ...positionals] = positionals;
+        values.positionals = positionals;
+
+        if (values.help || !command) {
+            io[values.help ? 'stdout' : 'stderr'].write(USAGE);
+            return values.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+        }
+        if (!COMMANDS[command]) {
+            throw usageError(`Unknown command '${command}' (use ${Object.keys(COMMANDS).join(', ')})`);
+        }
+
+        values.format = values.format || 'table';
+        if (!OUTPUT_FORMATS.includes(values.format)) {
+            throw usageError(`Unknown format '${values.format}' (use ${OUTPUT_FORMATS.join(', ')})`);
+        }
+        values.rows = values.rows || 'itinerary';
+        if (!ROW_COLUMNS[values.rows]) {
+            throw usageError(`Unknown rows '${values.rows}' (use ${Object.keys(ROW_COLUMNS).join(', ')})`);
+        }
+
+        configureLogging(values, io);
+        return await COMMANDS[command](values, io);
+    } catch (error) {
+        // parseArgs reports unknown or malformed options as ERR_PARSE_ARGS_*
+        const exitCode = error.exitCode || (/^ERR_PARSE_ARGS/.test(error.code) ? EXIT_CODES.usage : EXIT_CODES.error);
+
+        io.stderr.write(`Error: ${error.message}\n`);
+        if (exitCode === EXIT_CODES.usage && !values) {
+            io.stderr.write('Run with --help for usage.\n');
+        }
+        return exitCode;
+    }
+}
+
+// Logs go to stderr (readable lines unless LOG_FORMAT says otherwise); quiet unless asked
+function configureLogging(values, io) {
+    setLogOutput((line) => io.stderr.write(line + '\n'), { format: process.env.LOG_FORMAT || 'pretty' });
+
+    if (values['log-level']) {
+        setLogLevel(values['log-level']);
+    } else if (values.verbose) {
+        setLogLevel('info');
+    } else if (!process.env.LOG_LEVEL) {
+        setLogLevel('warn');
+    }
+}
+
+const COMMANDS = {
+    build(values, io) {
+        const url = buildURL(values);
+
+        if (values.format === 'json') {
+            io.stdout.write(JSON.stringify({ url }, null, 2) + '\n');
+        } else if (values.format === 'csv') {
+            io.stdout.write(toCSV([{ url }]));
+        } else {
+            io.stdout.write(url + '\n');
+        }
+        return EXIT_CODES.ok;
+    },
+
+    parse(values, io) {
+        const [url] = values.positionals;
+        if (!url) {
+            throw usageError('parse needs a United URL');
+        }
+
+        let params;
+        try {
+            params = createBuilder(values).parseURL(url);
+        } catch (error) {
+            throw usageError(error.message);
+        }
+
+        if (values.format === 'json') {
+            io.stdout.write(JSON.stringify(params, null, 2) + '\n');
+            return EXIT_CODES.ok;
+        }
+
+        const rows = flattenObject(params).map(([key, value]) => ({ key, value }));
+        io.stdout.write(
+            values.format === 'csv'
+                ? toCSV(rows, ['key', 'value'])
+                : formatTable(rows, [['key', 'Parameter'], ['value', 'Value']])
+        );
+        return EXIT_CODES.ok;
+    },
+
+    async search(values, io) {
+        const [givenURL] = values.positionals;
+        const url = givenURL || buildURL(values);
+        const searcher = createSearcher(values);
+        const session = searcher.createSession({ url });
+
+        if (values.format === 'table') {
+            io.stderr.write(`Searching ${url}\n`);
+        }
+
+        try {
+            const results = await searcher.searchByURL(url, { session });
+            return writeResults(results, values, io, session.id);
+        } catch (error) {
+            error.exitCode = searchExitCode(error, session);
+            throw error;
+        } finally {
+            await searcher.close();
+        }
+    },
+
+    replay(values, io) {
+        const [source] = values.positionals;
+        if (!source) {
+            throw usageError('replay needs a capture file or directory');
+        }
+
+        const searcher = createSearcher(values);
+        let results;
+        try {
+            results = searcher.replay(source);
+        } catch (error) {
+            throw usageError(error.message);
+        }
+
+        return writeResults(results, values, io, searcher.lastSession.id);
+    }
+};
+
+function createBuilder(values) {
+    return new UnitedURLBuilder({ today: values.today, slashOrder: values['slash-order'] });
+}
+
+function createSearcher(values) {
+    return new UnitedFlightSearcher({
+        headless: !values.headful,
+        timeout: parseMs(values.timeout, '--timeout'),
+        resultsTimeout: parseMs(values['results-timeout'], '--results-timeout'),
+        baseUrl: values['base-url'] || process.env.UNITED_BASE_URL,
+        saveResponses: values['save-responses'] === true,
+        outputDir: values['output-dir']
+    });
+}
+
+function parseMs(value, flag) {
+    if (value === undefined) return undefined;
+
+    const ms = Number(value);
+    if (!Number.isInteger(ms) || ms <= 0) {
+        throw usageError(`${flag} must be a positive number of milliseconds`);
+    }
+    return ms;
+}
+
+/**
+ * Build a search URL from the search parameter flags
+ */
+function buildURL(values) {
+    const options = {
+        from: values.from,
+        to: values.to,
+        departDate: values.depart,
+        returnDate: values.return,
+        passengers: passengersFrom(values),
+        cabinClass: values.cabin,
+        sortBy: values.sort,
+        tripType: values['trip-type'],
+        useAllAirports: !values['no-all-airports'],
+        exactDestination: values['exact-destination'] === true,
+        validateAirports: !values['no-validate-airports'],
+        validateDates: !values['no-validate-dates'],
+        advanced: {
+            flexibleDates: values['flexible-dates'],
+            nonstopOnly: values.nonstop,
+            awardTravel: values.award,
+            refundableOnly: values.refundable,
+            bookWithMiles: values.miles,
+            timeOfDay: values['time-of-day'],
+            corporateCode: values['corporate-code'],
+            promoCode: values['promo-code']
+        }
+    };
+
+    if (values.segment) {
+        options.segments = values.segment.map((segment) => {
+            const [from, to, date] = segment.split(':');
+            if (!from || !to || !date) {
+                throw usageError(`--segment must look like FROM:TO:DATE (got '${segment}')`);
+            }
+            return { from, to, date };
+        });
+    }
+
+    if (values.param) {
+        options.extraParams = {};
+        for (const param of values.param) {
+            const separator = param.indexOf('=');
+            if (separator < 1) {
+                throw usageError(`--param must look like name=value (got '${param}')`);
+            }
+            options.extraParams[param.slice(0, separator)] = param.slice(separator + 1);
+        }
+    }
+
+    // Leave unset options to the builder's defaults
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined) delete options[key];
+    }
+
+    if (!options.segments && (!options.from || !options.to || !options.departDate)) {
+        throw usageError('--from, --to and --depart are required (or --segment for multi-city trips)');
+    }
+
+    try {
+        return createBuilder(values).buildURL(options);
+    } catch (error) {
+        throw usageError(error.message);
+    }
+}
+
+// --passengers 2, or a mix from the per-type flags
+function passengersFrom(values) {
+    const mixFlags = Object.keys(PASSENGER_FLAGS).filter((flag) => values[flag] !== undefined);
+
+    if (mixFlags.length === 0) {
+        return values.passengers === undefined ? undefined : parseCount(values.passengers, '--passengers');
+    }
+    if (values.passengers !== undefined) {
+        throw usageError('Use either --passengers or the passenger mix flags, not both');
+    }
+
+    return Object.fromEntries(mixFlags.map((flag) => [PASSENGER_FLAGS[flag], parseCount(values[flag], `--${flag}`)]));
+}
+
+function parseCount(value, flag) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw usageError(`${flag} must be a whole number`);
+    }
+    return count;
+}
+
+/**
+ * Print results in the chosen format
+ * @returns {number} noResults when nothing was found, ok otherwise
+ */
+function writeResults(results, values, io, searchId) {
+    const rows = flattenResults(results, { rows: values.rows, searchId });
+
+    if (values.format === 'json') {
+        const { rawData, ...rest } = results;
+        io.stdout.write(JSON.stringify(values.raw ? results : rest, null, 2) + '\n');
+    } else if (values.format === 'csv') {
+        io.stdout.write(toCSV(rows, ROW_COLUMNS[values.rows]));
+    } else if (rows.length > 0) {
+        io.stdout.write(formatTable(rows, TABLE_COLUMNS[values.rows]));
+    }
+
+    // Messages United sent along with the results
+    const searchInfo = results.searchInfo || {};
+    for (const warning of searchInfo.warnings || []) {
+        io.stderr.write(`United warning: ${warning.Message || warning}\n`);
+    }
+    for (const error of searchInfo.errors || []) {
+        io.stderr.write(`United error: ${error.Message || error}\n`);
+    }
+
+    const schema = results.metadata && results.metadata.schema;
+    if (schema && schema.drift) {
+        io.stderr.write('Warning: the FetchFlights response does not match the expected schema (see metadata.schema)\n');
+    }
+
+    if (results.error || rows.length === 0) {
+        io.stderr.write(`No flights found${results.error ? `: ${results.error}` : ''}\n`);
+        return EXIT_CODES.noResults;
+    }
+    if (values.format === 'table') {
+        io.stderr.write(`${rows.length} ${values.rows} row(s)\n`);
+    }
+    return EXIT_CODES.ok;
+}
+
+/**
+ * Exit code for a failed search, from what its session saw
+ */
+function searchExitCode(error, session) {
+    if (error.exitCode) return error.exitCode;
+
+    if (session.failedRequests.some((request) => request.error.includes('ERR_HTTP2_PROTOCOL_ERROR'))) {
+        return EXIT_CODES.blocked;
+    }
+    if (session.timedOut) {
+        return EXIT_CODES.timeout;
+    }
+    if (/Browser was not found|Failed to launch|Failed to navigate|Page crashed/i.test(error.message)) {
+        return EXIT_CODES.browser;
+    }
+    return EXIT_CODES.error;
+}
+
+/**
+ * Plain-text table with a header row and padded columns
+ * @param {Array<Object>} rows
+ * @param {Array<Array>} columns - [key, header, format?]
+ */
+function formatTable(rows, columns) {
+    const cells = rows.map((row) =>
+        columns.map(([key, , format]) => {
+            const value = row[key];
+            if (value === null || value === undefined) return '';
+            return String(format ? format(value) : value);
+        })
+    );
+    const headers = columns.map(([, header]) => header);
+    const widths = headers.map((header, index) => Math.max(header.length, ...cells.map((row) => row[index].length)));
+
+    return [headers, widths.map((width) => '-'.repeat(width)), ...cells]
+        .map((row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+        .join('\n') + '\n';
+}
+
+function formatDuration(minutes) {
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// { advanced: { nonstopOnly: true }, segments: [{ from }] } -> [['advanced.nonstopOnly', true], ['segments[0].from', ...]]
+function flattenObject(value, prefix = '') {
+    if (Array.isArray(value)) {
+        return value.every((item) => item === null || typeof item !== 'object')
+            ? [[prefix, value.join(', ')]]
+            : value.flatMap((item, index) => flattenObject(item, `${prefix}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => flattenObject(item, prefix ? `${prefix}.${key}` : key));
+    }
+    return [[prefix, value]];
+}
+
+module.exports = { run, EXIT_CODES };
+
+if (require.main === module) {
+    // Stop quietly when piped into something that exits early (| head)
+    process.stdout.on('error', (error) => {
+        if (error.code !== 'EPIPE') throw error;
+        process.exit(process.exitCode || EXIT_CODES.ok);
+    });
+
+    run(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
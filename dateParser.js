@@ -0,0 +1,241 @@
+/**
+ * Timezone-safe travel date parsing.
+ *
+ * Every input is turned into a calendar date (YYYY-MM-DD) without going
+ * through Date#toISOString on a local midnight, which shifts the day for
+ * anyone east of UTC. Relative expressions are resolved against the local
+ * calendar date, the way a traveler reads "tomorrow".
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ACCEPTED_FORMATS =
+    'YYYY-MM-DD, MM/DD/YYYY, DD.MM.YYYY, DD-MM-YYYY, "Aug 15 2025", "15 Aug 2025", ' +
+    '2025-W33-5, today, tomorrow, +14d, +2w, +1m, "in 3 days", "friday", "next friday"';
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toISODate(year, month, day) {
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Today's calendar date in the local timezone
+ * @param {Date} [now]
+ */
+function localToday(now = new Date()) {
+    return toISODate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+}
+
+function toUTC(date) {
+    return Date.parse(`${date}T00:00:00Z`);
+}
+
+function fromUTC(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+    return fromUTC(toUTC(date) + days * DAY_MS);
+}
+
+function daysBetween(from, to) {
+    return Math.round((toUTC(to) - toUTC(from)) / DAY_MS);
+}
+
+/**
+ * Add calendar months, clamping to the end of shorter months (Jan 31 + 1m = Feb 28)
+ */
+function addMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+
+    return toISODate(target.getUTCFullYear(), target.getUTCMonth() + 1, Math.min(day, lastDay));
+}
+
+/**
+ * Build a date from parts, rejecting impossible ones (2025-02-30)
+ */
+function calendarDate(year, month, day, input) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (
+        date.getUTCFullYear() !== year ||
+        date.getUTCMonth() !== month - 1 ||
+        date.getUTCDate() !== day
+    ) {
+        throw new Error(`Invalid date: ${input} is not a calendar date`);
+    }
+
+    return toISODate(year, month, day);
+}
+
+/**
+ * Monday-based ISO week date (2025-W33-5 = Friday of week 33)
+ */
+function isoWeekDate(year, week, weekday, input) {
+    if (week < 1 || week > 53 || weekday < 1 || weekday > 7) {
+        throw new Error(`Invalid date: ${input} is not an ISO week date`);
+    }
+
+    // Week 1 is the week containing January 4th
+    const jan4 = Date.UTC(year, 0, 4);
+    const jan4Weekday = new Date(jan4).getUTCDay() || 7;
+    const week1Monday = jan4 - (jan4Weekday - 1) * DAY_MS;
+    const date = fromUTC(week1Monday + ((week - 1) * 7 + (weekday - 1)) * DAY_MS);
+
+    if (week === 53 && Number(isoWeekYear(date)) !== year) {
+        throw new Error(`Invalid date: ${year} has no ISO week 53`);
+    }
+
+    return date;
+}
+
+function isoWeekYear(date) {
+    const time = toUTC(date);
+    const weekday = new Date(time).getUTCDay() || 7;
+    // The Thursday of a week decides which year it belongs to
+    return new Date(time + (4 - weekday) * DAY_MS).getUTCFullYear();
+}
+
+function monthIndex(name) {
+    return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+/**
+ * Parse a travel date
+ * @param {string|Date} input - See ACCEPTED_FORMATS
+ * @param {Object} [options]
+ * @param {string} [options.today] - Reference date for relative input (local today by default)
+ * @param {string} [options.slashOrder='MDY'] - How to read 01/02/2025: 'MDY' (US) or 'DMY'
+ * @returns {string} YYYY-MM-DD
+ */
+function parseDate(input, options = {}) {
+    const today = options.today || localToday();
+
+    if (input instanceof Date) {
+        if (isNaN(input.getTime())) {
+            throw new Error('Invalid date: Invalid Date');
+        }
+        // The calendar day the caller sees, not the UTC one
+        return localToday(input);
+    }
+
+    if (typeof input !== 'string' || !input.trim()) {
+        throw new Error(`Invalid date: ${input} (accepted: ${ACCEPTED_FORMATS})`);
+    }
+
+    const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+    let match;
+
+    // ISO date, optionally with a time part that is ignored (no timezone shift)
+    if ((match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(t[\d:.]+(z|[+-][\d:]+)?)?$/.exec(text))) {
+        return calendarDate(+match[1], +match[2], +match[3], input);
+    }
+
+    // ISO week date: 2025-W33-5, 2025W335, 2025-W33 (Monday)
+    if ((match = /^(\d{4})-?w(\d{2})(?:-?(\d))?$/.exec(text))) {
+        return isoWeekDate(+match[1], +match[2], match[3] ? +match[3] : 1, input);
+    }
+
+    // Slashes: US month/day/year unless configured otherwise
+    if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) {
+        return options.slashOrder === 'DMY'
+            ? calendarDate(+match[3], +match[2], +match[1], input)
+            : calendarDate(+match[3], +match[1], +match[2], input);
+    }
+
+    // Dots or dashes: European day.month.year
+    if ((match = /^(\d{1,2})[.-](\d{1,2})[.-](\d{4})$/.exec(text))) {
+        return calendarDate(+match[3], +match[2], +match[1], input);
+    }
+
+    // Month names: "aug 15 2025", "august 15th, 2025", "15 aug 2025", year optional
+    if ((match = /^([a-z]{3,})\.? (\d{1,2})(?:st|nd|rd|th)?,?(?: (\d{4}))?$/.exec(text)) && monthIndex(match[1]) !== -1) {
+        return namedMonthDate(match[3], monthIndex(match[1]) + 1, +match[2], today, input);
+    }
+    if ((match = /^(\d{1,2})(?:st|nd|rd|th)? ([a-z]{3,})\.?,?(?: (\d{4}))?$/.exec(text)) && monthIndex(match[2]) !== -1) {
+        return namedMonthDate(match[3], monthIndex(match[2]) + 1, +match[1], today, input);
+    }
+
+    if (text === 'today') return today;
+    if (text === 'tomorrow') return addDays(today, 1);
+    if (text === 'yesterday') return addDays(today, -1);
+
+    // Offsets: +14d, -1w, +2 months, in 3 days
+    if ((match = /^(?:([+-]) ?|in )(\d+) ?(d|days?|w|weeks?|m|months?|y|years?)$/.exec(text))) {
+        const amount = (match[1] === '-' ? -1 : 1) * Number(match[2]);
+        const unit = match[3][0];
+
+        if (unit === 'd') return addDays(today, amount);
+        if (unit === 'w') return addDays(today, amount * 7);
+        if (unit === 'm') return addMonths(today, amount);
+        return addMonths(today, amount * 12);
+    }
+
+    // Weekdays: "friday"/"this friday" = the coming one (today counts),
+    // "next friday" = the first one after today
+    if ((match = /^(?:(this|next) )?([a-z]+)$/.exec(text))) {
+        const weekday = WEEKDAYS.findIndex((day) => day.startsWith(match[2]) && match[2].length >= 3);
+        if (weekday !== -1) {
+            const todayWeekday = new Date(toUTC(today)).getUTCDay();
+            let ahead = (weekday - todayWeekday + 7) % 7;
+            if (ahead === 0 && match[1] === 'next') ahead = 7;
+            return addDays(today, ahead);
+        }
+    }
+
+    throw new Error(`Invalid date: ${input} (accepted: ${ACCEPTED_FORMATS})`);
+}
+
+// Without a year, the next time that day comes around
+function namedMonthDate(year, month, day, today, input) {
+    if (year) {
+        return calendarDate(+year, month, day, input);
+    }
+
+    const thisYear = Number(today.slice(0, 4));
+    const date = calendarDate(thisYear, month, day, input);
+    return date >= today ? date : calendarDate(thisYear + 1, month, day, input);
+}
+
+/**
+ * Reject dates United can't sell: in the past or beyond the booking horizon
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {string} [options.today]
+ * @param {number} [options.maxDaysAhead=337] - United's schedule opens about 337 days out
+ * @param {string} [options.label='Date'] - Used in error messages
+ */
+function validateTravelDate(date, options = {}) {
+    const today = options.today || localToday();
+    const maxDaysAhead = options.maxDaysAhead || 337;
+    const label = options.label || 'Date';
+
+    if (date < today) {
+        throw new Error(`${label} ${date} is in the past (today is ${today})`);
+    }
+
+    const latest = addDays(today, maxDaysAhead);
+    if (date > latest) {
+        throw new Error(
+            `${label} ${date} is beyond the ${maxDaysAhead}-day booking horizon (latest bookable date is ${latest})`
+        );
+    }
+}
+
+module.exports = {
+    ACCEPTED_FORMATS,
+    parseDate,
+    validateTravelDate,
+    localToday,
+    addDays,
+    addMonths,
+    daysBetween
+};
@@ -0,0 +1,492 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { UnitedURLBuilder } = require('./urlBuilder');
+const { localToday } = require('./dateParser');
+const { lowestPricesByCabin } = require('./united');
+const { createLogger } = require('./logger');
+
+const log = createLogger('fareWatch');
+
+const MAX_HISTORY = 500;
+
+// Webhooks may not point into the server's own network (loopback, private,
+// link-local incl. cloud metadata at 169.254.169.254, CGNAT, multicast)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) address = mapped[1];
+
+    return BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup for webhook sockets that fails on blocked addresses, so the
+// socket connects to exactly the address that was checked
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(new Error(`Webhook host ${hostname} resolves to a local or private address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Persistent fare watches.
+ *
+ * A watch is a set of buildURL options plus a price target and/or a
+ * percentage drop from the first observed price. Due watches are re-searched
+ * one at a time on a timer; every check is appended to the watch's history and
+ * a notification is sent when the price crosses the threshold (it fires again
+ * only after the price has gone back above it). Watches are saved to a JSON
+ * file so they survive restarts.
+ */
+class FareWatcher {
+    /**
+     * @param {Function} search - async (url) => search results, used for the checks
+     * @param {Object} [options]
+     * @param {string} [options.storageFile='./data/watches.json'] - Where watches are persisted
+     * @param {number} [options.tickInterval=60000] - How often due watches are looked for (ms)
+     * @param {number} [options.defaultIntervalMinutes=360] - Re-check interval when a watch sets none
+     * @param {string} [options.alertsDir] - Directory file sinks are written to (next to storageFile by default)
+     * @param {UnitedURLBuilder} [options.urlBuilder]
+     * @param {string[]} [options.webhookHosts] - Only these webhook hosts are allowed (they may be
+     *   private); without a list any public host is
+     */
+    constructor(search, options = {}) {
+        this.runSearch = search;
+        this.urlBuilder = options.urlBuilder || new UnitedURLBuilder();
+        this.storageFile = options.storageFile || './data/watches.json';
+        this.tickInterval = options.tickInterval || 60000;
+        this.defaultIntervalMinutes = options.defaultIntervalMinutes || 360;
+        this.alertsDir = options.alertsDir || path.join(path.dirname(this.storageFile), 'alerts');
+        this.webhookHosts = (options.webhookHosts || []).map((host) => host.toLowerCase());
+
+        this.watches = new Map();
+        this.timer = null;
+        this.checking = false;
+
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.storageFile)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.storageFile, 'utf8'));
+            for (const watch of saved.watches || []) {
+                this.watches.set(watch.id, watch);
+            }
+            log.info('Loaded fare watches', { count: this.watches.size, file: this.storageFile });
+        } catch (error) {
+            log.error('Could not load fare watches', { file: this.storageFile, error: error.message });
+        }
+    }
+
+    /**
+     * Write all watches to disk (temp file + rename so a crash never truncates it)
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.storageFile), { recursive: true });
+
+        const tempFile = `${this.storageFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ watches: [...this.watches.values()] }, null, 2));
+        fs.renameSync(tempFile, this.storageFile);
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.checkDue().catch((error) => {
+                log.error('Fare watch check failed', { error: error.message });
+            });
+        }, this.tickInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    list() {
+        return [...this.watches.values()];
+    }
+
+    get(id) {
+        return this.watches.get(id);
+    }
+
+    /**
+     * Register a new watch
+     * @param {Object} definition
+     * @param {Object} definition.search - Options accepted by UnitedURLBuilder.buildURL
+     * @param {string} [definition.cabin] - Product type to watch (e.g. 'ECONOMY', 'FIRST'); cheapest overall if omitted
+     * @param {number} [definition.targetPrice] - Notify when the price is at or below this
+     * @param {number} [definition.dropPercent] - Notify when the price drops this much from the first check
+     * @param {number} [definition.intervalMinutes] - Minutes between checks
+     * @param {Object} [definition.notify] - { webhook: url, file: name inside alertsDir }; logged only if empty
+     */
+    create(definition) {
+        const now = new Date().toISOString();
+        const watch = {
+            id: crypto.randomUUID(),
+            active: true,
+            createdAt: now,
+            updatedAt: now,
+            lastCheckedAt: null,
+            nextCheckAt: now,
+            baselinePrice: null,
+            lastPrice: null,
+            lowestPrice: null,
+            currency: null,
+            triggered: false,
+            history: [],
+            notifications: []
+        };
+
+        this.applyDefinition(watch, { intervalMinutes: this.defaultIntervalMinutes, ...definition });
+
+        this.watches.set(watch.id, watch);
+        this.save();
+
+        return watch;
+    }
+
+    /**
+     * Change a watch's search, thresholds, interval, notification targets or active flag
+     */
+    update(id, changes) {
+        const watch = this.watches.get(id);
+        if (!watch) return null;
+
+        const previous = JSON.stringify([watch.url, watch.cabin]);
+        this.applyDefinition(watch, { ...watch, ...changes });
+
+        // Prices of a different route, date or cabin are no baseline for this one
+        if (JSON.stringify([watch.url, watch.cabin]) !== previous) {
+            watch.baselinePrice = null;
+            watch.lowestPrice = null;
+            watch.triggered = false;
+            watch.nextCheckAt = new Date().toISOString();
+        }
+        if (changes.active !== undefined) {
+            watch.active = Boolean(changes.active);
+        }
+        watch.updatedAt = new Date().toISOString();
+
+        this.save();
+        return watch;
+    }
+
+    remove(id) {
+        const removed = this.watches.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    /**
+     * Validate a watch definition and copy it onto the watch
+     */
+    applyDefinition(watch, definition) {
+        const { search, cabin, intervalMinutes } = definition;
+        const notify = definition.notify || {};
+        // null clears a threshold on update
+        const targetPrice = definition.targetPrice ?? undefined;
+        const dropPercent = definition.dropPercent ?? undefined;
+
+        if (!search) {
+            throw new Error('search is required');
+        }
+        if (targetPrice === undefined && dropPercent === undefined) {
+            throw new Error('Either targetPrice or dropPercent is required');
+        }
+        if (targetPrice !== undefined && !(targetPrice > 0)) {
+            throw new Error('targetPrice must be a positive number');
+        }
+        if (dropPercent !== undefined && !(dropPercent > 0 && dropPercent < 100)) {
+            throw new Error('dropPercent must be between 0 and 100');
+        }
+        if (!(intervalMinutes >= 5)) {
+            throw new Error('intervalMinutes must be at least 5');
+        }
+        if (notify.webhook) {
+            this.checkWebhook(notify.webhook);
+        }
+        if (notify.file) {
+            const alertsDir = path.resolve(this.alertsDir);
+            if (!path.resolve(alertsDir, notify.file).startsWith(alertsDir + path.sep)) {
+                throw new Error(`notify.file must be a file name inside ${this.alertsDir}`);
+            }
+        }
+
+        watch.search = this.resolveDates(search);
+        watch.url = this.urlBuilder.buildURL(watch.search);
+        watch.cabin = cabin ? cabin.toUpperCase() : null;
+        watch.targetPrice = targetPrice;
+        watch.dropPercent = dropPercent;
+        watch.intervalMinutes = intervalMinutes;
+        watch.notify = { webhook: notify.webhook, file: notify.file };
+    }
+
+    /**
+     * Pin relative dates ('+14d') to calendar dates, so a watch keeps checking
+     * the same flights however often it is edited or reloaded
+     */
+    resolveDates(search) {
+        const resolved = { ...search };
+        for (const field of ['departDate', 'returnDate']) {
+            if (search[field]) resolved[field] = this.urlBuilder.formatDate(search[field]);
+        }
+        if (Array.isArray(search.segments)) {
+            resolved.segments = search.segments.map((segment) =>
+                segment.date ? { ...segment, date: this.urlBuilder.formatDate(segment.date) } : segment
+            );
+        }
+        return resolved;
+    }
+
+    /**
+     * Reject webhook URLs the server should not call: other schemes, hosts
+     * outside webhookHosts, and loopback/private/link-local addresses
+     * @returns {URL}
+     */
+    checkWebhook(url) {
+        const webhook = new URL(url);
+        if (!['http:', 'https:'].includes(webhook.protocol)) {
+            throw new Error('notify.webhook must be an http(s) URL');
+        }
+
+        const host = webhook.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (this.webhookHosts.length > 0) {
+            if (!this.webhookHosts.includes(host)) {
+                throw new Error(`notify.webhook host must be one of ${this.webhookHosts.join(', ')}`);
+            }
+        } else if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+            throw new Error('notify.webhook must not point to a local or private address');
+        }
+        return webhook;
+    }
+
+    /**
+     * POST an alert to a webhook that passes checkWebhook. Without a host
+     * allowlist the resolved addresses are checked in the socket's own lookup,
+     * and redirects are never followed, so nothing can lead past the check.
+     */
+    postWebhook(url, alert) {
+        const webhook = this.checkWebhook(url);
+        const body = JSON.stringify(alert);
+
+        return new Promise((resolve, reject) => {
+            const request = (webhook.protocol === 'https:' ? https : http).request(webhook, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+                lookup: this.webhookHosts.length > 0 ? undefined : publicLookup,
+                timeout: 10000
+            }, (response) => {
+                response.resume();
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`Webhook responded with ${response.statusCode}`));
+                }
+            });
+
+            request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    /**
+     * Check every active watch whose next check time has passed, one at a time
+     */
+    async checkDue() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            const now = Date.now();
+            const due = this.list().filter(
+                (watch) => watch.active && new Date(watch.nextCheckAt).getTime() <= now
+            );
+
+            for (const watch of due) {
+                await this.check(watch.id);
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Deactivate a watch whose departure date has passed
+     * @returns {boolean} Whether the watch is expired
+     */
+    expire(watch, now = new Date()) {
+        const departDate = this.urlBuilder.parseURL(watch.url).departDate;
+        if (!departDate || departDate >= localToday(now)) return false;
+
+        if (watch.active) {
+            watch.active = false;
+            watch.updatedAt = now.toISOString();
+            this.save();
+        }
+        return true;
+    }
+
+    /**
+     * Run the watch's search now, record the price and notify if needed
+     * @param {string} id
+     * @param {Function} [search] - Search to use instead of the watcher's own for this check
+     */
+    async check(id, search = this.runSearch) {
+        const watch = this.watches.get(id);
+        if (!watch) return null;
+
+        const checkedAt = new Date();
+
+        // Nothing left to watch once the departure date has passed
+        if (this.expire(watch, checkedAt)) {
+            return watch;
+        }
+
+        const entry = { checkedAt: checkedAt.toISOString() };
+
+        try {
+            const results = await search(watch.url);
+            const fare = this.pickFare(lowestPricesByCabin(results), watch.cabin);
+
+            if (!fare) {
+                throw new Error(`No ${watch.cabin || 'priced'} fares found`);
+            }
+
+            Object.assign(entry, {
+                status: 'ok',
+                price: fare.price,
+                currency: fare.currency,
+                flightNumbers: fare.flightNumbers
+            });
+        } catch (error) {
+            Object.assign(entry, { status: 'failed', error: error.message });
+        }
+
+        watch.history.push(entry);
+        watch.history = watch.history.slice(-MAX_HISTORY);
+        watch.lastCheckedAt = entry.checkedAt;
+        watch.nextCheckAt = new Date(checkedAt.getTime() + watch.intervalMinutes * 60000).toISOString();
+
+        if (entry.status === 'ok') {
+            await this.recordPrice(watch, entry);
+        }
+
+        this.save();
+        return watch;
+    }
+
+    /**
+     * Lowest fare for the watched cabin, or the cheapest cabin if none is set
+     */
+    pickFare(lowest, cabin) {
+        if (cabin) return lowest[cabin];
+
+        return Object.values(lowest).reduce(
+            (cheapest, fare) => (!cheapest || fare.price < cheapest.price ? fare : cheapest),
+            null
+        );
+    }
+
+    async recordPrice(watch, entry) {
+        if (watch.baselinePrice === null) {
+            watch.baselinePrice = entry.price;
+        }
+        watch.lastPrice = entry.price;
+        watch.currency = entry.currency;
+        watch.lowestPrice = watch.lowestPrice === null ? entry.price : Math.min(watch.lowestPrice, entry.price);
+
+        const reasons = [];
+        if (watch.targetPrice !== undefined && entry.price <= watch.targetPrice) {
+            reasons.push(`price ${entry.price} is at or below target ${watch.targetPrice}`);
+        }
+        if (watch.dropPercent !== undefined) {
+            const dropTo = watch.baselinePrice * (1 - watch.dropPercent / 100);
+            if (entry.price <= dropTo) {
+                reasons.push(
+                    `price ${entry.price} dropped ${watch.dropPercent}% or more from ${watch.baselinePrice}`
+                );
+            }
+        }
+
+        const crossed = reasons.length > 0;
+        if (crossed && !watch.triggered) {
+            await this.notify(watch, {
+                watchId: watch.id,
+                url: watch.url,
+                cabin: watch.cabin,
+                price: entry.price,
+                currency: entry.currency,
+                flightNumbers: entry.flightNumbers,
+                baselinePrice: watch.baselinePrice,
+                reasons,
+                checkedAt: entry.checkedAt
+            });
+        }
+        watch.triggered = crossed;
+    }
+
+    /**
+     * Deliver a price alert to the watch's webhook and/or file; always logged
+     */
+    async notify(watch, alert) {
+        const delivered = [];
+        log.info('Fare alert', { watchId: watch.id, reasons: alert.reasons });
+
+        if (watch.notify.file) {
+            try {
+                const file = path.resolve(this.alertsDir, watch.notify.file);
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.appendFileSync(file, JSON.stringify(alert) + '\n');
+                delivered.push('file');
+            } catch (error) {
+                log.error('Could not write fare alert', { watchId: watch.id, file: watch.notify.file, error: error.message });
+            }
+        }
+
+        if (watch.notify.webhook) {
+            try {
+                await this.postWebhook(watch.notify.webhook, alert);
+                delivered.push('webhook');
+            } catch (error) {
+                log.error('Could not deliver fare alert to webhook', { watchId: watch.id, error: error.message });
+            }
+        }
+
+        watch.notifications.push({
+            at: alert.checkedAt,
+            price: alert.price,
+            reasons: alert.reasons,
+            delivered
+        });
+        watch.notifications = watch.notifications.slice(-MAX_HISTORY);
+    }
+}
+
+module.exports = { FareWatcher, publicLookup };
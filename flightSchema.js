@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const log = createLogger('flightSchema');
+
+/**
+ * Versioned schema for FetchFlights payloads (the object inside "data"),
+ * so a change on United's side is reported instead of showing up as empty
+ * results.
+ *
+ * `fields` are checked: required ones must be present (not null) and every
+ * present one must have one of the listed types. `known` are the other
+ * fields seen in recorded responses; anything else is reported as new.
+ * Objects without either (Calendar, SearchFiltersOut, ...) aren't walked.
+ *
+ * Bump `version` whenever the schema is updated to a new response shape.
+ */
+
+const object = (fields, known = [], required = false) => ({ type: 'object', fields, known, required });
+const arrayOf = (items, required = false) => ({ type: 'array', items, required });
+const field = (type, required = false) => ({ type, required });
+
+const PRICE = object(
+    {
+        Amount: field(['number', 'string'], true),
+        PricingType: field('string', true),
+        Currency: field('string'),
+        AmountAllPax: field('number'),
+        AmountBase: field('number')
+    },
+    ['CurrencyAllPax', 'AmountBySlice', 'AmountBySliceAllPax']
+);
+
+const FARE = object(
+    {
+        Amount: field(['number', 'string']),
+        Currency: field('string'),
+        FareBasisCode: field('string'),
+        Ptc: field('string')
+    },
+    ['SegmentRefs']
+);
+
+const PRODUCT = object(
+    {
+        ProductType: field('string', true),
+        Prices: arrayOf(PRICE, true),
+        Fares: arrayOf(FARE),
+        CabinType: field('string'),
+        CabinTypeCode: field('string'),
+        BookingCode: field('string'),
+        FareFamily: field('string'),
+        ProductPath: field('string'),
+        NonRefundableIndicator: field('boolean'),
+        NoChangeFeeIndicator: field('boolean')
+    },
+    [
+        'BookingClassAvailability', 'CabinTypeText', 'Description', 'Mileage', 'ProductId', 'ProductSubtype',
+        'SolutionId', 'MealDescription', 'DisplayOrder', 'ColumnId', 'NumberOfPassengers', 'TripIndex',
+        'SegmentNumber', 'IsOverBooked', 'Selected', 'MarriedSegmentIndex', 'IsProductUpdatedForOverBooking',
+        'UserSelection', 'IsDynamicallyPriced', 'SortIndex', 'MerchPriceTotal', 'U4BMaxBudget',
+        'BestMatchSortOrder', 'FareFlavour', 'ReturnTripFlights', 'IsFareInBudget', 'IsCabinInPolicy',
+        'BookingCodePriceAdjustment', 'CrossCabinMessaging'
+    ]
+);
+
+const SEGMENT_FIELDS = {
+    FlightNumber: field('string', true),
+    MarketingCarrier: field('string', true),
+    Origin: field('string', true),
+    Destination: field('string', true),
+    DepartDateTime: field('string', true),
+    DestinationDateTime: field('string', true),
+    Products: arrayOf(PRODUCT, true),
+    OperatingCarrier: field('string'),
+    TravelMinutes: field('number'),
+    TravelMinutesTotal: field('number'),
+    ConnectTimeMinutes: field('number'),
+    OriginTimezoneOffset: field('number'),
+    DestinationTimezoneOffset: field('number'),
+    Hash: field('string'),
+    StopInfos: field('array'),
+    EquipmentDisclosures: field('object')
+};
+
+const SEGMENT_KNOWN = [
+    'BBXHash', 'BBXSolutionSetId', 'BookingClassAvailability', 'CabinCount', 'DestinationCountryCode',
+    'DestinationDescription', 'DestinationStateCode', 'OriginTerminal', 'DestinationTerminal', 'DestTimezoneOffset',
+    'FareBasisCode', 'MarketingCarrierDescription', 'MileageActual', 'OperatingCarrierDescription',
+    'OperatingCarrierMessage', 'OperatingCarrierShort', 'OperatingCarrierDescSource', 'OriginCountryCode',
+    'OriginDescription', 'OriginStateCode', 'OrgTimezoneOffset', 'OriginalFlightNumber', 'PageIndex',
+    'ParentFlightNumber', 'ServiceClassCountLowest', 'TripIndex', 'IsConnection', 'MarriedSegmentIndex',
+    'Messages', 'Warnings', 'FlightInfo', 'Aircraft', 'Amenities', 'IsUnitedExpress', 'OrderIndex', 'PreSortIndex'
+];
+
+// Connections are segments too (and could have connections of their own)
+const CONNECTION = object({ ...SEGMENT_FIELDS }, SEGMENT_KNOWN);
+CONNECTION.fields.Connections = arrayOf(CONNECTION);
+
+const FLIGHT = object({ ...SEGMENT_FIELDS, Connections: arrayOf(CONNECTION) }, SEGMENT_KNOWN);
+
+const COLUMN = object(
+    {
+        Type: field('string'),
+        Description: field('string'),
+        FareFamily: field('string'),
+        DataSourceLabel: field('string'),
+        IsFullyRefundable: field('boolean')
+    },
+    [
+        'SubType', 'FareContentDescription', 'MarketingText', 'DataSourceLabelStyle', 'FareFamilies', 'Value',
+        'DescriptionId', 'MatrixId', 'SortIndex'
+    ]
+);
+
+const TRIP = object(
+    {
+        Origin: field('string', true),
+        Destination: field('string', true),
+        DepartDate: field('string', true),
+        Flights: arrayOf(FLIGHT, true),
+        TripIndex: field('number'),
+        Index: field('number'),
+        ColumnInformation: object({ Columns: arrayOf(COLUMN) }),
+        SearchFiltersOut: field('object')
+    },
+    [
+        'DestinationAllAirports', 'DestinationDecoded', 'OriginAllAirports', 'OriginDecoded', 'BBXSession',
+        'BBXSolutionSetId', 'BBXCellIdSelected', 'DepartTime', 'ITAQueries', 'SearchFiltersIn', 'FlightCount',
+        'ChangeType', 'OriginalChangeType', 'OriginalMileage', 'OriginalMileageTotal', 'OriginalTax'
+    ]
+);
+
+const FETCH_FLIGHTS_SCHEMA = {
+    version: '1',
+    // Date of the recorded responses the schema was written against
+    recordedAt: '2025-06-14',
+    root: object(
+        {
+            Trips: arrayOf(TRIP, true),
+            Errors: field('array'),
+            Warnings: field('array'),
+            SessionId: field('string'),
+            Status: field('number'),
+            Version: field('string')
+        },
+        [
+            'AnonymousSearch', 'ArrivalAirports', 'CalendarLengthOfStay', 'CallTimeBBX', 'CallTimeDomain',
+            'CallTimeProvider', 'CartId', 'CountryCode', 'Characteristics', 'DepartureAirports', 'EquipmentTypes',
+            'Timings', 'LangCode', 'LastBBXSolutionSetId', 'LastCallDateTime', 'LastTripIndexRequested',
+            'MarketingCarriers', 'MidPoints', 'OperatingCarriers', 'PageCount', 'PageCurrent', 'QueryType',
+            'ServerName', 'ServiceType', 'TripCount', 'RecentSearchVersion', 'Calendar', 'ITAQueries',
+            'SpecialPricingInfo', 'UpgradeTypes', 'Upsells', 'LastResultId', 'TotalShopTime', 'TravellerCount',
+            'IsMoneyAndMilesEligible'
+        ],
+        true
+    )
+};
+
+const DRIFT_KINDS = ['missing', 'mismatched', 'newFields'];
+
+/**
+ * Check a FetchFlights payload against the schema. Array elements share a
+ * path (Trips[].Flights[].FlightNumber) and every problem is reported once
+ * per path with the number of times it occurred.
+ * @param {*} payload - Unwrapped FetchFlights payload (see captureClassifier.unwrapPayload)
+ * @returns {{ schemaVersion, valid, drift, missing, mismatched, newFields }}
+ *   `valid` is false when required fields are missing or have the wrong
+ *   type; new fields only count as drift
+ */
+function validateFlightPayload(payload, schema = FETCH_FLIGHTS_SCHEMA) {
+    const found = { missing: new Map(), mismatched: new Map(), newFields: new Map() };
+    checkValue(payload, schema.root, '', found);
+
+    return summarize(schema.version, found);
+}
+
+function checkValue(value, spec, fieldPath, found) {
+    if (value === undefined || value === null) {
+        if (spec.required) {
+            count(found.missing, fieldPath || '(payload)', { expected: typeList(spec.type) });
+        }
+        return;
+    }
+
+    const actual = typeOf(value);
+    if (![].concat(spec.type).includes(actual)) {
+        count(found.mismatched, fieldPath || '(payload)', { expected: typeList(spec.type), actual });
+        return;
+    }
+
+    if (actual === 'array' && spec.items) {
+        value.forEach((item) => checkValue(item, spec.items, `${fieldPath}[]`, found));
+    }
+
+    if (actual === 'object' && spec.fields) {
+        for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+            checkValue(value[name], fieldSpec, join(fieldPath, name), found);
+        }
+
+        for (const name of Object.keys(value)) {
+            if (!(name in spec.fields) && !spec.known.includes(name)) {
+                count(found.newFields, join(fieldPath, name), { type: typeOf(value[name]) });
+            }
+        }
+    }
+}
+
+function count(map, fieldPath, details) {
+    const entry = map.get(fieldPath) || { path: fieldPath, ...details, count: 0 };
+    entry.count++;
+    map.set(fieldPath, entry);
+}
+
+function summarize(schemaVersion, found) {
+    const report = { schemaVersion };
+    for (const kind of DRIFT_KINDS) {
+        report[kind] = [...found[kind].values()];
+    }
+
+    report.valid = report.missing.length === 0 && report.mismatched.length === 0;
+    report.drift = !report.valid || report.newFields.length > 0;
+    return report;
+}
+
+/**
+ * Combine the reports of several captures from one search
+ */
+function mergeReports(reports) {
+    const found = { missing: new Map(), mismatched: new Map(), newFields: new Map() };
+
+    for (const report of reports) {
+        for (const kind of DRIFT_KINDS) {
+            for (const entry of report[kind]) {
+                const existing = found[kind].get(entry.path);
+                found[kind].set(entry.path, existing ? { ...existing, count: existing.count + entry.count } : entry);
+            }
+        }
+    }
+
+    return { ...summarize(FETCH_FLIGHTS_SCHEMA.version, found), captures: reports.length };
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function typeList(type) {
+    return [].concat(type).join('|');
+}
+
+function join(parent, name) {
+    return parent ? `${parent}.${name}` : name;
+}
+
+/**
+ * Persistent history of schema drift: every missing, mismatched or new
+ * field with when it was first and last seen. A change seen for the first
+ * time is logged as an error and posted to the alert webhook, so a change
+ * of United's API is announced once rather than on every search.
+ */
+class SchemaDriftLog {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - JSON file the history is kept in (memory only without)
+     * @param {string} [options.webhook] - URL new drift is POSTed to
+     * @param {number} [options.maxChanges=500] - Changes kept; the least recently seen go first
+     */
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.webhook = options.webhook || null;
+        this.maxChanges = options.maxChanges || 500;
+        this.changes = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Record a validation report
+     * @param {Object} report - From validateFlightPayload/mergeReports
+     * @param {Object} [context] - { searchId, url } of the search it came from
+     * @returns {Array<Object>} Changes seen for the first time
+     */
+    record(report, context = {}) {
+        if (!report.drift) return [];
+
+        const now = new Date().toISOString();
+        const firstSeen = [];
+
+        for (const kind of DRIFT_KINDS) {
+            for (const { count, ...entry } of report[kind]) {
+                const id = `${report.schemaVersion}:${kind}:${entry.path}`;
+                const existing = this.changes.get(id);
+                const change = {
+                    ...(existing || { id, kind, schemaVersion: report.schemaVersion, firstSeenAt: now, searches: 0 }),
+                    ...entry,
+                    lastSeenAt: now,
+                    searches: (existing ? existing.searches : 0) + 1,
+                    lastSearchId: context.searchId || null,
+                    lastUrl: context.url || null
+                };
+
+                this.changes.set(id, change);
+                if (!existing) firstSeen.push(change);
+            }
+        }
+
+        if (this.changes.size > this.maxChanges) {
+            const kept = this.getHistory().slice(0, this.maxChanges);
+            this.changes = new Map(kept.map((change) => [change.id, change]));
+        }
+
+        this.save();
+
+        if (firstSeen.length > 0) {
+            this.alert(firstSeen, context);
+        }
+        return firstSeen;
+    }
+
+    alert(changes, context) {
+        log.error('FetchFlights schema drift detected', {
+            searchId: context.searchId,
+            changes: changes.map((change) => `${change.kind}: ${change.path}`)
+        });
+
+        if (!this.webhook) return;
+
+        fetch(this.webhook, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ event: 'schemaDrift', ...context, changes }),
+            signal: AbortSignal.timeout(10000)
+        })
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Webhook responded with ${response.status}`);
+                }
+            })
+            .catch((error) => {
+                log.error('Could not deliver schema drift alert to webhook', { error: error.message });
+            });
+    }
+
+    /**
+     * Drift history, most recently seen first
+     */
+    getHistory() {
+        return [...this.changes.values()].sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+    }
+
+    /**
+     * Forget recorded drift (e.g. after updating the schema); changes seen
+     * again alert again
+     */
+    clear() {
+        this.changes.clear();
+        this.save();
+    }
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+
+        try {
+            for (const change of JSON.parse(fs.readFileSync(this.file, 'utf8')).changes || []) {
+                this.changes.set(change.id, change);
+            }
+        } catch (error) {
+            log.error('Could not load schema drift history', { file: this.file, error: error.message });
+        }
+    }
+
+    save() {
+        if (!this.file) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+            const tempFile = `${this.file}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({ changes: [...this.changes.values()] }, null, 2));
+            fs.renameSync(tempFile, this.file);
+        } catch (error) {
+            log.error('Could not save schema drift history', { file: this.file, error: error.message });
+        }
+    }
+}
+
+/**
+ * Count drift for Prometheus alerting (once per report and kind)
+ */
+function countDrift(report) {
+    for (const kind of DRIFT_KINDS) {
+        if (report[kind].length > 0) {
+            metrics.get('united_schema_drift_total').inc({ kind });
+        }
+    }
+}
+
+module.exports = { FETCH_FLIGHTS_SCHEMA, SchemaDriftLog, validateFlightPayload, mergeReports, countDrift };
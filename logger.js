@@ -0,0 +1,165 @@
+/**
+ * Leveled, structured logging: one JSON object per line on stderr, so
+ * nothing a program prints on stdout gets mixed with log lines.
+ *
+ * Every logger belongs to a module ('united', 'server', 'browserPool', ...)
+ * whose verbosity is set on its own, and can carry fields that are written
+ * with each line, such as the searchId that ties a search's lines together.
+ *
+ *   LOG_LEVEL=info                         default level for every module
+ *   LOG_LEVELS=united=debug,browserPool=warn  per-module overrides
+ *   LOG_FORMAT=pretty                      one readable line instead of JSON
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const config = {
+    level: normalizeLevel(process.env.LOG_LEVEL) || 'info',
+    modules: parseModuleLevels(process.env.LOG_LEVELS),
+    format: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+    write: (line) => process.stderr.write(line + '\n'),
+    // Modules that have created a logger; only these can get their own level at runtime
+    knownModules: new Set()
+};
+
+function normalizeLevel(level) {
+    const name = String(level || '').trim().toLowerCase();
+    return LEVELS[name] !== undefined ? name : null;
+}
+
+// "united=debug,browserPool=warn" -> { united: 'debug', browserPool: 'warn' }
+function parseModuleLevels(value) {
+    const modules = {};
+
+    for (const entry of String(value || '').split(',')) {
+        const [module, level] = entry.split('=').map((part) => part && part.trim());
+        if (module && normalizeLevel(level)) {
+            modules[module] = normalizeLevel(level);
+        }
+    }
+
+    return modules;
+}
+
+class Logger {
+    /**
+     * @param {string} module - Name used for per-module levels
+     * @param {Object} [fields] - Written with every line
+     */
+    constructor(module, fields = {}) {
+        this.module = module;
+        this.fields = fields;
+    }
+
+    /**
+     * Logger for the same module with extra fields (e.g. { searchId })
+     */
+    child(fields) {
+        return new Logger(this.module, { ...this.fields, ...fields });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[config.modules[this.module] || config.level];
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = { time: new Date().toISOString(), level, module: this.module, msg: message };
+
+        // Fields can't overwrite the line's own time, level, module or msg
+        for (const [key, value] of Object.entries({ ...this.fields, ...serializeFields(fields) })) {
+            if (!(key in entry)) entry[key] = value;
+        }
+
+        config.write(config.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+    }
+}
+
+// Errors don't survive JSON.stringify; keep their message and stack
+function serializeFields(fields) {
+    const serialized = {};
+
+    for (const [key, value] of Object.entries(fields || {})) {
+        serialized[key] =
+            value instanceof Error ? { message: value.message, name: value.name, stack: value.stack } : value;
+    }
+
+    return serialized;
+}
+
+function formatPretty(entry) {
+    const { time, level, module, msg, ...fields } = entry;
+    const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+
+    return `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extra}`;
+}
+
+/**
+ * Logger for a module
+ * @param {string} module
+ * @param {Object} [fields]
+ */
+function createLogger(module, fields) {
+    config.knownModules.add(module);
+    return new Logger(module, fields);
+}
+
+/**
+ * Change verbosity at runtime
+ * @param {string} level - debug, info, warn, error or silent
+ * @param {string} [module] - Only this module (otherwise the default level); must have a logger
+ */
+function setLogLevel(level, module) {
+    const name = normalizeLevel(level);
+    if (!name) {
+        throw new Error(`Unknown log level '${level}' (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+    if (module && !config.knownModules.has(module)) {
+        throw new Error(`Unknown log module '${module}' (use ${[...config.knownModules].sort().join(', ')})`);
+    }
+
+    if (module) {
+        config.modules[module] = name;
+    } else {
+        config.level = name;
+    }
+}
+
+/**
+ * Current default and per-module levels, and the modules that can be set
+ */
+function getLogLevels() {
+    return { level: config.level, modules: { ...config.modules }, knownModules: [...config.knownModules].sort() };
+}
+
+/**
+ * Send log lines somewhere else (tests, files, the CLI's stderr stream)
+ * @param {Function} write - (line) => void
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'json' or 'pretty' (defaults to LOG_FORMAT)
+ */
+function setLogOutput(write, options = {}) {
+    config.write = write;
+    if (options.format) {
+        config.format = options.format === 'pretty' ? 'pretty' : 'json';
+    }
+}
+
+module.exports = { createLogger, setLogLevel, getLogLevels, setLogOutput, LEVELS };
@@ -0,0 +1,211 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ * Counters and histograms are updated where things happen; gauges read
+ * their value from a callback when /metrics is scraped.
+ */
+
+const DEFAULT_BUCKETS = [1, 2.5, 5, 10, 15, 20, 30, 45, 60, 90, 120];
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     */
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets] - Upper bounds, ascending
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Function} collect - () => number, or [{ labels, value }] for labelled values
+     */
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * All metrics in the Prometheus text format
+     */
+    render() {
+        return [...this.metrics.values()].map((metric) => metric.render()).join('');
+    }
+}
+
+class Counter {
+    constructor(name, help, labelNames) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    get(labels = {}) {
+        return this.values.get(labelKey(this.labelNames, labels)) || 0;
+    }
+
+    render() {
+        let text = header(this, 'counter');
+        for (const [key, value] of this.values) {
+            text += `${this.name}${key} ${value}\n`;
+        }
+        return text;
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames, buckets) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        this.values = new Map();
+    }
+
+    observe(labels, value) {
+        const key = labelKey(this.labelNames, labels);
+        const entry = this.values.get(key) || {
+            labels,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        };
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        this.values.set(key, entry);
+    }
+
+    /**
+     * Start a timer; calling the returned function observes the elapsed seconds
+     */
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        let text = header(this, 'histogram');
+        for (const [key, entry] of this.values) {
+            this.buckets.forEach((bound, index) => {
+                text += `${this.name}_bucket${labelKey([...this.labelNames, 'le'], { ...entry.labels, le: bound })} ${entry.counts[index]}\n`;
+            });
+            text += `${this.name}_bucket${labelKey([...this.labelNames, 'le'], { ...entry.labels, le: '+Inf' })} ${entry.count}\n`;
+            text += `${this.name}_sum${key} ${entry.sum}\n`;
+            text += `${this.name}_count${key} ${entry.count}\n`;
+        }
+        return text;
+    }
+}
+
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    render() {
+        const value = this.collect();
+        const values = Array.isArray(value) ? value : [{ labels: {}, value }];
+
+        let text = header(this, 'gauge');
+        for (const entry of values) {
+            text += `${this.name}${labelKey(Object.keys(entry.labels), entry.labels)} ${entry.value}\n`;
+        }
+        return text;
+    }
+}
+
+function header(metric, type) {
+    return `# HELP ${metric.name} ${metric.help}\n# TYPE ${metric.name} ${type}\n`;
+}
+
+// {a="1",b="2"} in label-name order; '' without labels
+function labelKey(labelNames, labels) {
+    if (!labelNames.length) return '';
+
+    const pairs = labelNames.map((name) => `${name}="${escapeLabel(labels[name] === undefined ? '' : labels[name])}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Shared registry with the search metrics; server.js adds its own and serves /metrics
+const metrics = new Registry();
+
+metrics.histogram(
+    'united_search_duration_seconds',
+    'Time from starting a search to parsed results or failure',
+    ['method', 'outcome']
+);
+metrics.counter(
+    'united_intercepted_responses_total',
+    'Flight API responses captured during searches, by endpoint type',
+    ['type']
+);
+metrics.counter(
+    'united_failed_requests_total',
+    'united.com API requests that failed in the browser, by error text',
+    ['reason']
+);
+metrics.counter(
+    'united_unusable_responses_total',
+    'Captured flight API responses that could not be used, by reason',
+    ['reason']
+);
+metrics.counter('united_navigation_retries_total', 'Search page navigations that were retried');
+metrics.counter(
+    'united_search_timeouts_total',
+    'Searches that timed out: waiting for results (results) or the whole job (job)',
+    ['stage']
+);
+metrics.counter(
+    'united_schema_drift_total',
+    'Searches whose FetchFlights responses had missing (missing), wrongly typed (mismatched) or new (newFields) fields',
+    ['kind']
+);
+
+module.exports = { Registry, metrics };
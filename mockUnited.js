@@ -0,0 +1,207 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FLIGHTS_FIXTURE = path.join(__dirname, 'search_results_20250614_000945.json');
+const DEFAULT_TEASER_FIXTURE = path.join(__dirname, 'flight_data', 'test_flight_search.json');
+
+const DEFAULT_SCENARIO = {
+    delayMs: 0,
+    status: 200,
+    emptyBody: false,
+    malformedBody: false,
+    dropConnection: false,
+    pageFailures: 0,
+    requireSearchClick: false,
+    fetchCount: 1,
+    teaserTexts: true
+};
+
+/**
+ * Local stand-in for united.com, for offline end-to-end tests of
+ * UnitedFlightSearcher.searchByURL (point the searcher's baseUrl at it).
+ *
+ * It serves a choose-flights page whose script calls GetTeaserTexts and
+ * FetchFlights the way the real results page does; the API answers with
+ * recorded fixtures. The scenario decides how the site misbehaves:
+ *
+ * - delayMs: FetchFlights answers after this many ms
+ * - status: FetchFlights HTTP status (non-200 bodies are an error object)
+ * - emptyBody / malformedBody: FetchFlights answers 200 with no or broken JSON
+ * - dropConnection: FetchFlights connections are closed without a response
+ * - pageFailures: the first N page loads are dropped (navigation retries)
+ * - requireSearchClick: the page waits for its search button (search retrigger)
+ * - fetchCount: FetchFlights calls the page makes
+ * - teaserTexts: whether the page calls GetTeaserTexts first
+ *
+ * Every request is recorded in `requests`.
+ */
+class MockUnitedSite {
+    /**
+     * @param {Object} [options]
+     * @param {string|Object} [options.flights] - FetchFlights payload or fixture file
+     *   (a saved /api/search response or a capture file)
+     * @param {string|Object} [options.teaserTexts] - GetTeaserTexts payload or capture file
+     * @param {Object} [options.scenario] - See the class description
+     */
+    constructor(options = {}) {
+        this.flights = loadPayload(options.flights || DEFAULT_FLIGHTS_FIXTURE);
+        this.teaserTexts = loadPayload(options.teaserTexts || DEFAULT_TEASER_FIXTURE);
+        this.requests = [];
+        this.pageLoads = 0;
+        this.server = null;
+        this.setScenario(options.scenario);
+
+        this.app = express();
+        this.app.use(express.json());
+        this.app.use((req, res, next) => {
+            this.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+            next();
+        });
+        this.app.get('/en/us/fsr/choose-flights', (req, res) => this.chooseFlights(req, res));
+        this.app.post('/api/flight/FetchFlights', (req, res) => this.fetchFlights(req, res));
+        this.app.post('/api/flight/GetTeaserTexts', (req, res) => res.json(this.teaserTexts));
+    }
+
+    /**
+     * Replace the scenario (unset fields fall back to a well-behaved site)
+     */
+    setScenario(scenario = {}) {
+        this.scenario = { ...DEFAULT_SCENARIO, ...scenario };
+        this.pageLoads = 0;
+    }
+
+    /**
+     * Start listening
+     * @param {number} [port=0] - 0 picks a free port
+     * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:41234
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, '127.0.0.1', () => resolve(this.baseUrl));
+            this.server.on('error', reject);
+        });
+    }
+
+    get baseUrl() {
+        return this.server ? `http://127.0.0.1:${this.server.address().port}` : null;
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * Requests made to one path, e.g. '/api/flight/FetchFlights'
+     */
+    requestsTo(requestPath) {
+        return this.requests.filter((request) => request.path === requestPath);
+    }
+
+    chooseFlights(req, res) {
+        this.pageLoads++;
+        if (this.pageLoads <= this.scenario.pageFailures) {
+            return req.socket.destroy();
+        }
+
+        const config = {
+            search: req.query,
+            fetchCount: this.scenario.fetchCount,
+            teaserTexts: this.scenario.teaserTexts,
+            requireSearchClick: this.scenario.requireSearchClick
+        };
+
+        res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><title>United Airlines - Flight Search Results</title></head>
+<body>
+<div id="status">Loading flights...</div>
+<script>
+const config = ${JSON.stringify(config).replace(/</g, '\\u003c')};
+const post = (endpoint) => fetch('/api/flight/' + endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(config.search)
+});
+
+async function search() {
+    const status = document.getElementById('status');
+    try {
+        if (config.teaserTexts) await post('GetTeaserTexts');
+        for (let i = 0; i < config.fetchCount; i++) {
+            const response = await post('FetchFlights');
+            status.textContent = 'FetchFlights ' + response.status;
+        }
+    } catch (error) {
+        status.textContent = 'Search failed: ' + error.message;
+    }
+}
+
+if (config.requireSearchClick) {
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.dataset.testId = 'search-button';
+    button.textContent = 'Find flights';
+    button.addEventListener('click', () => {
+        button.remove();
+        search();
+    });
+    document.body.appendChild(button);
+} else {
+    search();
+}
+</script>
+</body>
+</html>`);
+    }
+
+    async fetchFlights(req, res) {
+        const { delayMs, status, emptyBody, malformedBody, dropConnection } = this.scenario;
+
+        if (delayMs) {
+            await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
+        if (dropConnection) {
+            return req.socket.destroy();
+        }
+        if (status !== 200) {
+            return res.status(status).json({ Errors: [{ Message: `Mock FetchFlights error ${status}` }] });
+        }
+        if (emptyBody) {
+            return res.type('json').send('');
+        }
+        if (malformedBody) {
+            return res.type('json').send('{"data": {"Trips": [');
+        }
+
+        res.json(this.flights);
+    }
+}
+
+/**
+ * Payload from an object, a saved /api/search response (results.rawData)
+ * or a capture file ({ metadata, flightData })
+ */
+function loadPayload(source) {
+    const data = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+
+    if (data && data.results && data.results.rawData) return data.results.rawData;
+    if (data && data.metadata && data.flightData) return data.flightData;
+    return data;
+}
+
+module.exports = { MockUnitedSite };
+
+// Run standalone: node mockUnited.js [port], then UNITED_BASE_URL=http://127.0.0.1:<port> node server.js
+if (require.main === module) {
+    const site = new MockUnitedSite();
+    site.start(parseInt(process.argv[2]) || 4100).then((baseUrl) => {
+        console.log(`Mock united.com listening on ${baseUrl}`);
+    });
+}
@@ -0,0 +1,204 @@
+const { UnitedURLBuilder } = require('./urlBuilder');
+const { lowestPricesByCabin } = require('./united');
+const { createLogger } = require('./logger');
+
+const log = createLogger('priceCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Searches every date in a window and collects the lowest price per cabin.
+ *
+ * One URL is built per departure date (plus tripLength days for round trips)
+ * and searched through the given search function, at most `concurrency`
+ * at a time with `delayMs` between starts to avoid tripping rate limits.
+ */
+class PriceCalendar {
+    /**
+     * @param {Function} search - async (url) => search results, used for every date
+     * @param {Object} [options]
+     * @param {UnitedURLBuilder} [options.urlBuilder] - Builder for the per-date URLs
+     * @param {number} [options.concurrency=1] - Dates searched at once
+     * @param {number} [options.delayMs=5000] - Pause before starting each next search
+     * @param {number} [options.maxDates=31] - Largest allowed date window
+     */
+    constructor(search, options = {}) {
+        this.runSearch = search;
+        this.urlBuilder = options.urlBuilder || new UnitedURLBuilder();
+        this.concurrency = options.concurrency || 1;
+        this.delayMs = options.delayMs !== undefined ? options.delayMs : 5000;
+        this.maxDates = options.maxDates || 31;
+    }
+
+    /**
+     * Build the per-date search URLs without running anything
+     * @param {Object} params
+     * @param {string} params.from - Origin airport code
+     * @param {string} params.to - Destination airport code or city
+     * @param {string} params.startDate - First departure date (YYYY-MM-DD)
+     * @param {string} params.endDate - Last departure date (YYYY-MM-DD)
+     * @param {number} [params.tripLength] - Nights for round trips (one-way if omitted)
+     * @returns {Array<{departDate, returnDate, url}>}
+     */
+    buildSearches(params) {
+        const { from, to, startDate, endDate, tripLength, ...options } = params;
+
+        if (!from || !to || !startDate || !endDate) {
+            throw new Error('Required parameters: from, to, startDate, endDate');
+        }
+        if (tripLength !== undefined && (!Number.isInteger(tripLength) || tripLength < 0)) {
+            throw new Error('tripLength must be a non-negative whole number of days');
+        }
+
+        const dates = this.dateRange(
+            this.urlBuilder.formatDate(startDate),
+            this.urlBuilder.formatDate(endDate)
+        );
+
+        return dates.map((departDate) => {
+            const returnDate = tripLength !== undefined ? this.addDays(departDate, tripLength) : undefined;
+
+            return {
+                departDate,
+                returnDate,
+                url: this.urlBuilder.buildURL({
+                    ...options,
+                    from,
+                    to,
+                    departDate,
+                    returnDate
+                })
+            };
+        });
+    }
+
+    /**
+     * Search every date and return a date -> lowest price per cabin matrix
+     * @param {Object} params - See buildSearches
+     * @param {Function} [onProgress] - Called with each finished date entry
+     */
+    async search(params, onProgress) {
+        const searches = this.buildSearches(params);
+        const dates = {};
+        let next = 0;
+
+        const worker = async () => {
+            while (next < searches.length) {
+                const index = next++;
+                const entry = searches[index];
+
+                if (index > 0 && this.delayMs > 0) {
+                    await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+                }
+
+                dates[entry.departDate] = await this.searchDate(entry);
+
+                if (onProgress) {
+                    onProgress(entry.departDate, dates[entry.departDate]);
+                }
+            }
+        };
+
+        await Promise.all(
+            Array.from({ length: Math.min(this.concurrency, searches.length) }, worker)
+        );
+
+        // Keep the matrix in date order regardless of completion order
+        const matrix = {};
+        for (const entry of searches) {
+            matrix[entry.departDate] = dates[entry.departDate];
+        }
+
+        return {
+            from: params.from,
+            to: params.to,
+            startDate: searches[0].departDate,
+            endDate: searches[searches.length - 1].departDate,
+            tripLength: params.tripLength,
+            cabins: this.collectCabins(matrix),
+            cheapest: this.findCheapest(matrix),
+            dates: matrix
+        };
+    }
+
+    async searchDate(entry) {
+        try {
+            const results = await this.runSearch(entry.url);
+
+            return {
+                returnDate: entry.returnDate,
+                url: entry.url,
+                status: 'done',
+                lowest: lowestPricesByCabin(results)
+            };
+        } catch (error) {
+            log.warn('Calendar search failed', { departDate: entry.departDate, error: error.message });
+
+            return {
+                returnDate: entry.returnDate,
+                url: entry.url,
+                status: 'failed',
+                error: error.message,
+                lowest: {}
+            };
+        }
+    }
+
+    collectCabins(matrix) {
+        const cabins = new Set();
+        for (const entry of Object.values(matrix)) {
+            Object.keys(entry.lowest).forEach((cabin) => cabins.add(cabin));
+        }
+        return [...cabins];
+    }
+
+    /**
+     * Cheapest date per cabin across the whole window
+     */
+    findCheapest(matrix) {
+        const cheapest = {};
+
+        for (const [date, entry] of Object.entries(matrix)) {
+            for (const [cabin, fare] of Object.entries(entry.lowest)) {
+                if (!cheapest[cabin] || fare.price < cheapest[cabin].price) {
+                    cheapest[cabin] = {
+                        departDate: date,
+                        returnDate: entry.returnDate,
+                        price: fare.price,
+                        currency: fare.currency
+                    };
+                }
+            }
+        }
+
+        return cheapest;
+    }
+
+    /**
+     * Inclusive list of YYYY-MM-DD dates (UTC arithmetic, no timezone drift)
+     */
+    dateRange(startDate, endDate) {
+        const start = Date.parse(`${startDate}T00:00:00Z`);
+        const end = Date.parse(`${endDate}T00:00:00Z`);
+
+        if (end < start) {
+            throw new Error('endDate must not be before startDate');
+        }
+
+        const count = Math.round((end - start) / DAY_MS) + 1;
+        if (count > this.maxDates) {
+            throw new Error(`Date window is limited to ${this.maxDates} days`);
+        }
+
+        return Array.from({ length: count }, (_, i) =>
+            new Date(start + i * DAY_MS).toISOString().split('T')[0]
+        );
+    }
+
+    addDays(date, days) {
+        const time = Date.parse(`${date}T00:00:00Z`) + days * DAY_MS;
+        return new Date(time).toISOString().split('T')[0];
+    }
+}
+
+module.exports = { PriceCalendar };
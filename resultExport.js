@@ -0,0 +1,319 @@
+const { airports } = require('./airports');
+
+/**
+ * CSV, NDJSON and iCalendar exports of parsed search results (the
+ * normalized itineraries from UnitedFlightSearcher.extractFlightInfo).
+ *
+ * CSV and NDJSON share one flattening step, so a column means the same thing
+ * in both. Rows are one per itinerary, per segment or per fare (product).
+ */
+
+const EXPORT_FORMATS = {
+    json: 'application/json',
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson',
+    ics: 'text/calendar; charset=utf-8'
+};
+
+const ITINERARY_COLUMNS = [
+    'searchId',
+    'tripIndex',
+    'itineraryId',
+    'origin',
+    'destination',
+    'departDateTime',
+    'arrivalDateTime',
+    'durationMinutes',
+    'stops',
+    'flightNumbers',
+    'connectionAirports',
+    'lowestPrice',
+    'lowestMiles',
+    'currency'
+];
+
+const SEGMENT_COLUMNS = [
+    'segmentIndex',
+    'flightNumber',
+    'marketingCarrier',
+    'operatingCarrier',
+    'segmentOrigin',
+    'segmentDestination',
+    'segmentDepartDateTime',
+    'segmentArrivalDateTime',
+    'segmentDurationMinutes',
+    'equipment'
+];
+
+const FARE_COLUMNS = [
+    'productType',
+    'cabinType',
+    'fareFamily',
+    'bookingCode',
+    'price',
+    'taxes',
+    'fareCurrency',
+    'miles',
+    'centsPerMile',
+    'refundable',
+    'noChangeFee'
+];
+
+const ROW_COLUMNS = {
+    itinerary: ITINERARY_COLUMNS,
+    segment: [...ITINERARY_COLUMNS, ...SEGMENT_COLUMNS],
+    fare: [...ITINERARY_COLUMNS, ...FARE_COLUMNS]
+};
+
+/**
+ * Flatten results into export rows
+ * @param {Object} results - Parsed results ({ flights: [{ itineraries }] })
+ * @param {Object} [options]
+ * @param {string} [options.rows='itinerary'] - 'itinerary', 'segment' or 'fare'
+ * @param {string} [options.searchId] - Written to every row
+ * @returns {Array<Object>} Rows with exactly the ROW_COLUMNS of the row type
+ */
+function flattenResults(results, options = {}) {
+    const rowType = options.rows || 'itinerary';
+    const columns = ROW_COLUMNS[rowType];
+    if (!columns) {
+        throw new Error(`Unknown rows '${rowType}' (use ${Object.keys(ROW_COLUMNS).join(', ')})`);
+    }
+
+    const rows = [];
+    const pick = (values) => Object.fromEntries(columns.map((column) => [column, values[column] ?? null]));
+
+    for (const trip of (results && results.flights) || []) {
+        for (const itinerary of trip.itineraries || []) {
+            const base = {
+                searchId: options.searchId,
+                tripIndex: itinerary.tripIndex ?? trip.tripIndex,
+                itineraryId: itinerary.id,
+                origin: itinerary.origin,
+                destination: itinerary.destination,
+                departDateTime: itinerary.departDateTime,
+                arrivalDateTime: itinerary.arrivalDateTime,
+                durationMinutes: itinerary.durationMinutes,
+                stops: itinerary.stops,
+                flightNumbers: (itinerary.flightNumbers || []).join(' '),
+                connectionAirports: (itinerary.connections || []).map((connection) => connection.airport).join(' '),
+                lowestPrice: itinerary.lowestPrice,
+                lowestMiles: itinerary.lowestMiles,
+                currency: itinerary.currency
+            };
+
+            if (rowType === 'itinerary') {
+                rows.push(pick(base));
+            } else if (rowType === 'segment') {
+                (itinerary.segments || []).forEach((segment, index) => {
+                    rows.push(pick({
+                        ...base,
+                        segmentIndex: index + 1,
+                        flightNumber: `${segment.marketingCarrier}${segment.flightNumber}`,
+                        marketingCarrier: segment.marketingCarrier,
+                        operatingCarrier: segment.operatingCarrier,
+                        segmentOrigin: segment.origin,
+                        segmentDestination: segment.destination,
+                        segmentDepartDateTime: segment.departDateTime,
+                        segmentArrivalDateTime: segment.arrivalDateTime,
+                        segmentDurationMinutes: segment.durationMinutes,
+                        equipment: segment.equipment && segment.equipment.description
+                    }));
+                });
+            } else {
+                for (const product of itinerary.products || []) {
+                    if (product.price == null && product.miles == null) continue;
+
+                    rows.push(pick({
+                        ...base,
+                        productType: product.productType,
+                        cabinType: product.cabinType,
+                        fareFamily: product.fareFamily,
+                        bookingCode: product.bookingCode,
+                        price: product.price,
+                        taxes: product.taxes,
+                        fareCurrency: product.currency,
+                        miles: product.miles,
+                        centsPerMile: product.centsPerMile,
+                        refundable: product.isRefundable,
+                        noChangeFee: product.noChangeFee
+                    }));
+                }
+            }
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * RFC 4180 CSV with a header row. Text that a spreadsheet would run as a
+ * formula (=, +, -, @) is prefixed with a quote.
+ */
+function toCSV(rows, columns = rows.length ? Object.keys(rows[0]) : []) {
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values) => values.map(cell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+function toNDJSON(rows) {
+    return rows.map((row) => JSON.stringify(row) + '\n').join('');
+}
+
+/**
+ * Find an itinerary by its id in any trip of the results
+ */
+function findItinerary(results, itineraryId) {
+    for (const trip of (results && results.flights) || []) {
+        const itinerary = (trip.itineraries || []).find((candidate) => candidate.id === itineraryId);
+        if (itinerary) return itinerary;
+    }
+    return null;
+}
+
+/**
+ * iCalendar file with one event per flight segment of an itinerary.
+ *
+ * United gives local times ("2025-08-15 10:40") plus each airport's UTC
+ * offset in hours, so events are written in UTC; when an offset is missing
+ * the offset of the airport's time zone from the dataset is used instead.
+ *
+ * @param {Object} itinerary - A normalized itinerary
+ * @param {Object} [options]
+ * @param {string} [options.url] - Search URL added to each event
+ * @param {Date} [options.now] - DTSTAMP
+ * @returns {string}
+ */
+function toICS(itinerary, options = {}) {
+    const stamp = formatUTC(options.now || new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//united-flight-search//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    (itinerary.segments || []).forEach((segment, index) => {
+        const flightNumber = `${segment.marketingCarrier}${segment.flightNumber}`;
+        const operatedBy =
+            segment.operatingCarrier && segment.operatingCarrier !== segment.marketingCarrier
+                ? `Operated by ${segment.operatingCarrierName || segment.operatingCarrier}`
+                : null;
+        const description = [
+            `${segment.originDescription || segment.origin} to ${segment.destinationDescription || segment.destination}`,
+            `Departs ${segment.departDateTime} local, arrives ${segment.arrivalDateTime} local`,
+            operatedBy,
+            segment.equipment && segment.equipment.description,
+            options.url
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${itinerary.id || 'itinerary'}-${index + 1}-${flightNumber}@united-flight-search`,
+            `DTSTAMP:${stamp}`,
+            icsTime('DTSTART', segment.departDateTime, segment.originTimezoneOffset, segment.origin),
+            icsTime('DTEND', segment.arrivalDateTime, segment.destinationTimezoneOffset, segment.destination),
+            `SUMMARY:${escapeText(`${flightNumber} ${segment.origin} → ${segment.destination}`)}`,
+            `LOCATION:${escapeText(segment.originDescription || segment.origin)}`,
+            `DESCRIPTION:${escapeText(description)}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function icsTime(name, localDateTime, offsetHours, airportCode) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/.exec(localDateTime || '');
+    if (!match) {
+        throw new Error(`Segment has no usable ${name === 'DTSTART' ? 'departure' : 'arrival'} time`);
+    }
+    const [, year, month, day, hour, minute] = match.map(Number);
+    const localAsUTC = Date.UTC(year, month - 1, day, hour, minute);
+
+    if (typeof offsetHours === 'number' && isFinite(offsetHours)) {
+        return `${name}:${formatUTC(new Date(localAsUTC - offsetHours * 60 * 60 * 1000))}`;
+    }
+
+    const airport = airports.getAirport(airportCode);
+    if (airport && airport.timezone) {
+        // The zone's offset at the guessed instant, corrected once for a DST change in between
+        let utc = localAsUTC - zoneOffsetMs(airport.timezone, localAsUTC);
+        utc = localAsUTC - zoneOffsetMs(airport.timezone, utc);
+        return `${name}:${formatUTC(new Date(utc))}`;
+    }
+
+    // Floating local time when the time zone is unknown
+    return `${name}:${match[1]}${match[2]}${match[3]}T${match[4]}${match[5]}00`;
+}
+
+// Offset of an IANA time zone from UTC at the given instant
+function zoneOffsetMs(timeZone, time) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(new Date(time)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return wallClock - Math.floor(time / 60000) * 60000;
+}
+
+function formatUTC(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length ? 74 : 75;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    ROW_COLUMNS,
+    flattenResults,
+    toCSV,
+    toNDJSON,
+    findItinerary,
+    toICS
+};
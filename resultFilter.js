@@ -0,0 +1,329 @@
+/**
+ * Filtering, sorting and facet counts over parsed search results
+ * (the itineraries produced by UnitedFlightSearcher.extractFlightInfo).
+ *
+ * Facets are counted over every itinerary of a trip, before filtering, so a
+ * UI can keep showing all options the way United's SearchFiltersOut does.
+ */
+
+const SORT_KEYS = {
+    price: (itinerary) => itinerary.lowestPrice,
+    miles: (itinerary) => itinerary.lowestMiles,
+    duration: (itinerary) => itinerary.durationMinutes,
+    stops: (itinerary) => itinerary.stops,
+    depart: (itinerary) => itinerary.departDateTime,
+    arrive: (itinerary) => itinerary.arrivalDateTime
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Query parameters parseFilterQuery reads (each may be given once)
+const FILTER_PARAMS = [
+    'maxPrice', 'maxMiles', 'maxStops', 'maxDuration',
+    'departAfter', 'departBefore', 'arriveAfter', 'arriveBefore',
+    'cabin', 'marketingCarrier', 'operatingCarrier', 'refundable', 'sort'
+];
+
+/**
+ * Turn query string values into filter options
+ * @param {Object} query - e.g. req.query
+ * @returns {Object|null} Filters, or null when the query has none
+ * @throws {Error} On malformed values
+ */
+function parseFilterQuery(query = {}) {
+    const filters = {};
+
+    // ?cabin=a&cabin=b arrives as an array; say so instead of guessing
+    for (const name of FILTER_PARAMS) {
+        if (query[name] !== undefined && typeof query[name] !== 'string') {
+            throw new Error(`${name} must be a single value`);
+        }
+    }
+
+    const number = (name) => {
+        if (query[name] === undefined || query[name] === '') return;
+        const value = Number(query[name]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`${name} must be a non-negative number`);
+        }
+        filters[name] = value;
+    };
+    const time = (name) => {
+        if (!query[name]) return;
+        if (!TIME_PATTERN.test(query[name])) {
+            throw new Error(`${name} must be a time in HH:MM format`);
+        }
+        filters[name] = query[name];
+    };
+    const list = (name) => {
+        if (!query[name]) return;
+        filters[name] = String(query[name])
+            .split(',')
+            .map((value) => value.trim().toUpperCase())
+            .filter(Boolean);
+    };
+
+    number('maxPrice');
+    number('maxMiles');
+    number('maxStops');
+    number('maxDuration');
+    time('departAfter');
+    time('departBefore');
+    time('arriveAfter');
+    time('arriveBefore');
+    list('cabin');
+    list('marketingCarrier');
+    list('operatingCarrier');
+
+    if (query.refundable !== undefined) {
+        if (!['true', 'false'].includes(String(query.refundable))) {
+            throw new Error('refundable must be true or false');
+        }
+        filters.refundable = String(query.refundable) === 'true';
+    }
+
+    if (query.sort) {
+        filters.sort = parseSort(query.sort);
+    }
+
+    return Object.keys(filters).length ? filters : null;
+}
+
+/**
+ * Parse 'price,-duration' into [{ key: 'price', descending: false }, ...]
+ */
+function parseSort(sort) {
+    return String(sort)
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+            const descending = part.startsWith('-');
+            const key = descending ? part.slice(1) : part;
+            if (!SORT_KEYS[key]) {
+                throw new Error(`Unknown sort key '${key}' (use ${Object.keys(SORT_KEYS).join(', ')})`);
+            }
+            return { key, descending };
+        });
+}
+
+/**
+ * Filter and sort the itineraries of every trip and attach facet counts
+ * @param {Object} results - Parsed results ({ flights: [{ itineraries }] })
+ * @param {Object} [filters] - See parseFilterQuery
+ * @param {number} [filters.maxPrice] - Lowest matching fare must be at or below this
+ * @param {number} [filters.maxMiles] - Lowest matching award fare must be at or below this many miles
+ * @param {number} [filters.maxStops]
+ * @param {number} [filters.maxDuration] - Total travel minutes
+ * @param {string} [filters.departAfter] - HH:MM, local departure time
+ * @param {string} [filters.departBefore]
+ * @param {string} [filters.arriveAfter] - HH:MM, local arrival time
+ * @param {string} [filters.arriveBefore]
+ * @param {string[]} [filters.cabin] - Product types (ECONOMY, FIRST, ...) or cabin names (Coach, First)
+ * @param {boolean} [filters.refundable] - Only refundable (true) or non-refundable (false) fares;
+ *   fares of unknown refundability match neither
+ * @param {string[]} [filters.marketingCarrier] - Every segment must be marketed by one of these
+ * @param {string[]} [filters.operatingCarrier] - Every segment must be operated by one of these
+ * @param {Array<{key, descending}>} [filters.sort]
+ * @returns {Object} Copy of results with filtered itineraries and per-trip facets
+ */
+function applyFilters(results, filters = {}) {
+    if (!results || !Array.isArray(results.flights)) {
+        return results;
+    }
+
+    const flights = results.flights.map((trip) => {
+        const all = trip.itineraries || [];
+        const itineraries = all
+            .map((itinerary) => filterItinerary(itinerary, filters))
+            .filter(Boolean);
+
+        if (filters.sort && filters.sort.length) {
+            itineraries.sort((a, b) => compareItineraries(a, b, filters.sort));
+        }
+
+        return {
+            ...trip,
+            itineraries,
+            facets: { ...buildFacets(all), matched: itineraries.length }
+        };
+    });
+
+    return { ...results, flights, filters };
+}
+
+/**
+ * Narrow an itinerary's products to the fare filters and check the rest.
+ * Returns a copy, or null when the itinerary does not match.
+ */
+function filterItinerary(itinerary, filters) {
+    const fareFiltered =
+        filters.cabin !== undefined ||
+        filters.refundable !== undefined ||
+        filters.maxPrice !== undefined ||
+        filters.maxMiles !== undefined;
+
+    const products = itinerary.products.filter((product) => {
+        if (filters.cabin && !matchesCabin(product, filters.cabin)) return false;
+        if (filters.refundable !== undefined && product.isRefundable !== filters.refundable) return false;
+        // Unpriced products (null <= n is true in JS) never pass a price cap
+        if (filters.maxPrice !== undefined && !(hasValue(product.price) && product.price <= filters.maxPrice)) return false;
+        if (filters.maxMiles !== undefined && !(hasValue(product.miles) && product.miles <= filters.maxMiles)) return false;
+        return true;
+    });
+    const priced = products.filter((product) => hasValue(product.price));
+    const awards = products.filter((product) => hasValue(product.miles));
+
+    if (fareFiltered && priced.length === 0 && awards.length === 0) return null;
+    if (filters.maxStops !== undefined && itinerary.stops > filters.maxStops) return null;
+    if (filters.maxDuration !== undefined && itinerary.durationMinutes > filters.maxDuration) return null;
+    if (!inTimeWindow(itinerary.departDateTime, filters.departAfter, filters.departBefore)) return null;
+    if (!inTimeWindow(itinerary.arrivalDateTime, filters.arriveAfter, filters.arriveBefore)) return null;
+    if (
+        filters.marketingCarrier &&
+        !itinerary.segments.every((segment) => filters.marketingCarrier.includes(segment.marketingCarrier))
+    ) {
+        return null;
+    }
+    if (
+        filters.operatingCarrier &&
+        !itinerary.segments.every((segment) => filters.operatingCarrier.includes(segment.operatingCarrier))
+    ) {
+        return null;
+    }
+
+    const lowest = priced.reduce(
+        (cheapest, product) => (!cheapest || product.price < cheapest.price ? product : cheapest),
+        null
+    );
+
+    return {
+        ...itinerary,
+        products,
+        lowestPrice: lowest ? lowest.price : null,
+        currency: lowest ? lowest.currency : itinerary.currency,
+        lowestMiles: awards.length ? Math.min(...awards.map((product) => product.miles)) : null
+    };
+}
+
+function hasValue(value) {
+    return value !== null && value !== undefined;
+}
+
+function matchesCabin(product, cabins) {
+    return cabins.some(
+        (cabin) =>
+            (product.productType || '').toUpperCase() === cabin ||
+            (product.cabinType || '').toUpperCase() === cabin
+    );
+}
+
+/**
+ * United times are local "YYYY-MM-DD HH:MM"; compare the HH:MM part
+ */
+function inTimeWindow(dateTime, after, before) {
+    if (!after && !before) return true;
+
+    const time = timeOfDay(dateTime);
+    if (!time) return false;
+    if (after && time < after) return false;
+    if (before && time > before) return false;
+    return true;
+}
+
+function timeOfDay(dateTime) {
+    const match = /(\d{2}:\d{2})/.exec(dateTime || '');
+    return match ? match[1] : null;
+}
+
+function compareItineraries(a, b, sort) {
+    for (const { key, descending } of sort) {
+        const valueA = SORT_KEYS[key](a);
+        const valueB = SORT_KEYS[key](b);
+
+        // Missing values (e.g. no price) always sort last
+        if (valueA === valueB) continue;
+        if (valueA === null || valueA === undefined) return 1;
+        if (valueB === null || valueB === undefined) return -1;
+
+        const order = valueA < valueB ? -1 : 1;
+        return descending ? -order : order;
+    }
+    return 0;
+}
+
+/**
+ * Counts and ranges for building filter controls
+ */
+function buildFacets(itineraries) {
+    const facets = {
+        total: itineraries.length,
+        price: { min: null, max: null, currency: null },
+        miles: { min: null, max: null },
+        duration: { min: null, max: null },
+        departTime: { min: null, max: null },
+        arrivalTime: { min: null, max: null },
+        stops: {},
+        cabins: {},
+        refundable: { true: 0, false: 0 },
+        marketingCarriers: {},
+        operatingCarriers: {},
+        connectionAirports: {}
+    };
+
+    const range = (target, value) => {
+        if (value === null || value === undefined) return;
+        if (target.min === null || value < target.min) target.min = value;
+        if (target.max === null || value > target.max) target.max = value;
+    };
+    const count = (target, key) => {
+        if (key === null || key === undefined) return;
+        target[key] = (target[key] || 0) + 1;
+    };
+
+    for (const itinerary of itineraries) {
+        const priced = itinerary.products.filter(
+            (product) => product.price !== null && product.price !== undefined
+        );
+
+        const awards = itinerary.products.filter(
+            (product) => product.miles !== null && product.miles !== undefined
+        );
+        const offered = [...priced, ...awards];
+
+        priced.forEach((product) => range(facets.price, product.price));
+        awards.forEach((product) => range(facets.miles, product.miles));
+        if (!facets.price.currency && priced.length) {
+            facets.price.currency = priced[0].currency;
+        }
+
+        range(facets.duration, itinerary.durationMinutes);
+        range(facets.departTime, timeOfDay(itinerary.departDateTime));
+        range(facets.arrivalTime, timeOfDay(itinerary.arrivalDateTime));
+        count(facets.stops, itinerary.stops);
+
+        // Each facet value counts an itinerary once
+        new Set(offered.map((product) => product.productType)).forEach((type) => count(facets.cabins, type));
+        new Set(offered.map((product) => product.isRefundable)).forEach((value) =>
+            count(facets.refundable, value)
+        );
+        new Set(itinerary.segments.map((segment) => segment.marketingCarrier)).forEach((carrier) =>
+            count(facets.marketingCarriers, carrier)
+        );
+        new Set(itinerary.segments.map((segment) => segment.operatingCarrier)).forEach((carrier) =>
+            count(facets.operatingCarriers, carrier)
+        );
+        new Set(itinerary.connections.map((connection) => connection.airport)).forEach((airport) =>
+            count(facets.connectionAirports, airport)
+        );
+    }
+
+    return facets;
+}
+
+module.exports = {
+    parseFilterQuery,
+    parseSort,
+    applyFilters,
+    buildFacets
+};
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { UnitedURLBuilder } = require('./urlBuilder');
+const { createLogger } = require('./logger');
+
+const log = createLogger('searchCache');
+
+/**
+ * Search result cache with single-flight coalescing.
+ *
+ * Entries are keyed on the canonical parameters from UnitedURLBuilder.parseURL,
+ * so URLs that differ only in parameter order, encoding or builder defaults
+ * share an entry. While a search for a key is running, identical searches
+ * wait for it instead of starting their own browser run.
+ *
+ * Entries keep the parsed results without rawData. They live in memory
+ * (oldest evicted past `maxEntries` or `maxBytes`) and, when `file` is set,
+ * are written there shortly after changes so a restart keeps them.
+ */
+class SearchCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttlMs=600000] - Default age after which entries are stale
+     * @param {number} [options.maxEntries=200]
+     * @param {number} [options.maxBytes=52428800] - Cap on the JSON size of all entries
+     * @param {string} [options.file] - JSON file to persist entries to
+     * @param {number} [options.saveDelayMs=1000] - Changes within this window share one file write
+     * @param {UnitedURLBuilder} [options.urlBuilder]
+     */
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 10 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 200;
+        this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+        this.file = options.file || null;
+        this.saveDelayMs = options.saveDelayMs ?? 1000;
+        this.urlBuilder = options.urlBuilder || new UnitedURLBuilder();
+
+        this.entries = new Map();
+        this.bytes = 0;
+        this.inFlight = new Map();
+        this.stats = { hits: 0, misses: 0, coalesced: 0 };
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+
+        this.load();
+    }
+
+    /**
+     * Cache key for a United search URL
+     * @throws {Error} When the URL can't be parsed
+     */
+    keyFor(url) {
+        const parsed = this.urlBuilder.parseURL(url);
+
+        // Rebuild without the "left out" markers (null extras) so builder
+        // defaults are spelled out, then parse that canonical URL
+        const extras = Object.entries(parsed.extraParams || {}).filter(([, value]) => value !== null);
+        const canonical = this.urlBuilder.parseURL(
+            this.urlBuilder.buildURL({ ...parsed, extraParams: Object.fromEntries(extras) })
+        );
+        const { validateAirports, validateDates, ...params } = canonical;
+
+        return crypto.createHash('sha256').update(stableStringify(params)).digest('hex').slice(0, 32);
+    }
+
+    /**
+     * Fresh entry for a key, or null
+     * @param {string} key
+     * @param {number} [maxAge] - Max age in ms (defaults to the TTL, which it cannot exceed; 0 never hits)
+     */
+    get(key, maxAge = this.ttlMs) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() - entry.storedAt > Math.min(maxAge, this.ttlMs)) {
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Store a search's value ({ results, summary }); results.rawData is left out
+     */
+    set(key, value) {
+        this.remove(key);
+        this.add(key, { value: withoutRawData(value), storedAt: Date.now() });
+        this.scheduleSave();
+    }
+
+    add(key, entry) {
+        entry.bytes = entry.bytes || Buffer.byteLength(JSON.stringify(entry.value));
+        this.entries.set(key, entry);
+        this.bytes += entry.bytes;
+
+        // Oldest first; the newest entry always stays
+        while (this.entries.size > 1 && (this.entries.size > this.maxEntries || this.bytes > this.maxBytes)) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.bytes -= entry.bytes;
+        this.entries.delete(key);
+    }
+
+    /**
+     * Return the cached value for a key, or run `search` once for all
+     * concurrent callers and cache what it returns. Failures, results that
+     * carry an error and results without flights are not cached, and
+     * maxAge 0 always starts a search of its own.
+     * @param {string} key
+     * @param {Function} search - async () => value
+     * @param {Object} [options]
+     * @param {number} [options.maxAge] - Accept cached values up to this age (ms)
+     * @returns {Promise<{ value, cache: { key, status, storedAt, ageMs, expiresAt } }>}
+     *   status is 'hit', 'miss' (this call searched) or 'coalesced' (joined a running search)
+     */
+    async wrap(key, search, options = {}) {
+        const cached = this.get(key, options.maxAge);
+        if (cached) {
+            this.stats.hits++;
+            return { value: cached.value, cache: this.describe(key, 'hit', cached) };
+        }
+
+        const running = options.maxAge !== 0 && this.inFlight.get(key);
+        if (running) {
+            this.stats.coalesced++;
+            const value = await running;
+            return { value, cache: this.describe(key, 'coalesced', this.entries.get(key)) };
+        }
+
+        this.stats.misses++;
+        const promise = Promise.resolve()
+            .then(search)
+            .then((value) => {
+                if (isCacheable(value)) this.set(key, value);
+                return value;
+            })
+            .finally(() => {
+                if (this.inFlight.get(key) === promise) this.inFlight.delete(key);
+            });
+        this.inFlight.set(key, promise);
+
+        const value = await promise;
+        return { value, cache: this.describe(key, 'miss', this.get(key)) };
+    }
+
+    describe(key, status, entry) {
+        const storedAt = entry ? entry.storedAt : Date.now();
+
+        return {
+            key,
+            status,
+            storedAt: new Date(storedAt).toISOString(),
+            ageMs: Date.now() - storedAt,
+            expiresAt: new Date(storedAt + this.ttlMs).toISOString()
+        };
+    }
+
+    /**
+     * Drop one key, or everything
+     */
+    clear(key) {
+        if (key) {
+            this.remove(key);
+        } else {
+            this.entries.clear();
+            this.bytes = 0;
+        }
+        this.scheduleSave();
+    }
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+
+        try {
+            const cutoff = Date.now() - this.ttlMs;
+            for (const [key, entry] of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+                if (entry.storedAt >= cutoff) {
+                    this.add(key, { ...entry, value: withoutRawData(entry.value) });
+                }
+            }
+        } catch (error) {
+            log.error('Could not load search cache', { file: this.file, error: error.message });
+        }
+    }
+
+    /**
+     * Write the entries to the file after saveDelayMs, one write at a time
+     */
+    scheduleSave() {
+        if (!this.file || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Write pending changes now (on shutdown)
+     * @returns {Promise} Resolves when the file is written
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.saving = this.saving.then(() => this.save());
+        }
+        return this.saving;
+    }
+
+    async save() {
+        try {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+            const tempFile = `${this.file}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify([...this.entries]));
+            await fs.promises.rename(tempFile, this.file);
+        } catch (error) {
+            log.error('Could not save search cache', { file: this.file, error: error.message });
+        }
+    }
+
+    /**
+     * Counters for status endpoints
+     */
+    getStats() {
+        return {
+            ttlMs: this.ttlMs,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            inFlight: this.inFlight.size,
+            persisted: Boolean(this.file),
+            ...this.stats
+        };
+    }
+}
+
+// Only complete searches that found flights are worth serving again
+function isCacheable(value) {
+    const results = value && value.results;
+    if (!results || results.error) return false;
+
+    return (results.flights || []).some((trip) => (trip.itineraries || []).length > 0);
+}
+
+// Cached results are served without United's raw response
+function withoutRawData(value) {
+    if (!value || !value.results || !('rawData' in value.results)) return value;
+
+    const { rawData, ...results } = value.results;
+    return { ...value, results };
+}
+
+// JSON with object keys sorted, so equal params always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = { SearchCache };
@@ -0,0 +1,78 @@
+const { EventEmitter } = require('events');
+
+// Events about the job rather than the search it runs
+const JOB_EVENTS = ['status', 'cache', 'done', 'failed'];
+
+/**
+ * Ordered progress events of one search job, for streaming to clients
+ * (GET /api/search/:id/events). Events get increasing ids so a client that
+ * reconnects with Last-Event-ID only receives what it missed, and the
+ * backlog lets clients that connect late catch up.
+ *
+ * Only the latest partialResults event is kept in the backlog; each one
+ * supersedes the previous.
+ *
+ * Emits 'event' with each event and 'close' when the job has finished.
+ */
+class SearchEventLog extends EventEmitter {
+    constructor() {
+        super();
+        this.events = [];
+        this.nextId = 1;
+        this.closed = false;
+    }
+
+    /**
+     * Add an event
+     * @param {string} type - e.g. 'phase', 'navigation', 'response', 'partialResults'
+     * @param {Object} [data]
+     */
+    push(type, data = {}) {
+        if (this.closed) return null;
+
+        const event = { id: this.nextId++, type, data };
+        if (type === 'partialResults') {
+            this.events = this.events.filter((entry) => entry.type !== 'partialResults');
+        }
+
+        this.events.push(event);
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Events after an id (all of them without one)
+     */
+    since(lastId) {
+        const after = parseInt(lastId) || 0;
+        return this.events.filter((event) => event.id > after);
+    }
+
+    /**
+     * Copy this log's search progress (backlog and new events) into another,
+     * for a job that joined a search already running for another job. The
+     * job's own status, cache, done and failed events aren't copied.
+     * @returns {Function} Stops forwarding
+     */
+    forward(target) {
+        const copy = (event) => {
+            if (!JOB_EVENTS.includes(event.type)) {
+                target.push(event.type, event.data);
+            }
+        };
+
+        this.events.forEach(copy);
+        this.on('event', copy);
+        return () => this.off('event', copy);
+    }
+
+    close() {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.emit('close');
+        this.removeAllListeners('event');
+    }
+}
+
+module.exports = { SearchEventLog };
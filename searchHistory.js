@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { UnitedURLBuilder } = require('./urlBuilder');
+const { isAwardSearch } = require('./awardValuation');
+const { createLogger } = require('./logger');
+
+const log = createLogger('searchHistory');
+
+// Query filters that take a single text value
+const TEXT_FILTERS = ['from', 'to', 'departDate', 'departFrom', 'departTo', 'since', 'until', 'cabin', 'status'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS searches (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        origin TEXT,
+        destination TEXT,
+        depart_date TEXT,
+        return_date TEXT,
+        trip_type TEXT,
+        cabin_class TEXT,
+        passengers INTEGER,
+        params TEXT,
+        status TEXT NOT NULL,
+        error TEXT,
+        results TEXT,
+        summary TEXT,
+        duration_ms INTEGER,
+        started_at TEXT,
+        finished_at TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS searches_route ON searches (origin, destination);
+    CREATE INDEX IF NOT EXISTS searches_depart_date ON searches (depart_date);
+    CREATE INDEX IF NOT EXISTS searches_created_at ON searches (created_at);
+`;
+
+/**
+ * SQLite-backed log of every search (sql.js, so no native build is needed).
+ *
+ * The database lives in memory and is written back to `file` at most once
+ * per persistDelayMs, so a burst of inserts costs one export. Results are
+ * stored without rawData to keep rows small.
+ */
+class SearchHistory {
+    /**
+     * @param {string} [file='./data/history.sqlite'] - Database file
+     * @param {Object} [options]
+     * @param {number} [options.persistDelayMs=2000] - How long writes to the file are batched
+     */
+    constructor(file = './data/history.sqlite', options = {}) {
+        this.file = file;
+        this.persistDelayMs = options.persistDelayMs ?? 2000;
+        this.persistTimer = null;
+        this.urlBuilder = new UnitedURLBuilder();
+
+        // Queries reject with the same error; log it right away rather than on first use
+        this.ready = this.open();
+        this.ready.catch((error) => log.error('Search history is unavailable', { error: error.message }));
+    }
+
+    async open() {
+        try {
+            const SQL = await initSqlJs();
+            const existing = fs.existsSync(this.file) ? fs.readFileSync(this.file) : undefined;
+
+            this.db = new SQL.Database(existing);
+            this.db.run(SCHEMA);
+        } catch (error) {
+            throw new Error(`Could not open search history ${this.file}: ${error.message}`);
+        }
+    }
+
+    persist() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, Buffer.from(this.db.export()));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    /**
+     * Write the database to its file after persistDelayMs; inserts until then share the write
+     */
+    schedulePersist() {
+        if (this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            try {
+                this.persist();
+            } catch (error) {
+                log.error('Could not save search history', { file: this.file, error: error.message });
+            }
+        }, this.persistDelayMs);
+        this.persistTimer.unref();
+    }
+
+    /**
+     * Write pending inserts now (on shutdown)
+     */
+    flush() {
+        if (!this.persistTimer) return;
+
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        this.persist();
+    }
+
+    /**
+     * Store one finished search
+     * @param {Object} entry
+     * @param {string} entry.id - Search/job ID
+     * @param {string} entry.url - United search URL
+     * @param {Object} [entry.params] - Parsed URL parameters (UnitedURLBuilder.parseURL)
+     * @param {string} entry.status - 'done' or 'failed'
+     * @param {string} [entry.error]
+     * @param {Object} [entry.results] - Parsed results (rawData is dropped)
+     * @param {Object} [entry.summary]
+     * @param {string} [entry.startedAt]
+     * @param {string} [entry.finishedAt]
+     */
+    async record(entry) {
+        await this.ready;
+
+        const params = entry.params || {};
+        let results = null;
+        if (entry.results) {
+            const { rawData, ...normalized } = entry.results;
+            results = JSON.stringify(normalized);
+        }
+
+        const durationMs =
+            entry.startedAt && entry.finishedAt
+                ? new Date(entry.finishedAt) - new Date(entry.startedAt)
+                : null;
+
+        this.db.run(
+            `INSERT OR REPLACE INTO searches
+                (id, url, origin, destination, depart_date, return_date, trip_type, cabin_class,
+                 passengers, params, status, error, results, summary, duration_ms,
+                 started_at, finished_at, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.id,
+                entry.url,
+                params.from || null,
+                params.to || null,
+                params.departDate || null,
+                params.returnDate || null,
+                params.tripType || null,
+                params.cabinClass || null,
+                params.passengers || null,
+                JSON.stringify(params),
+                entry.status,
+                entry.error || null,
+                results,
+                entry.summary ? JSON.stringify(entry.summary) : null,
+                durationMs,
+                entry.startedAt || null,
+                entry.finishedAt || null,
+                new Date().toISOString()
+            ]
+        );
+
+        this.schedulePersist();
+    }
+
+    /**
+     * Find past searches, newest first
+     * @param {Object} [filters]
+     * @param {string} [filters.from] - Origin code as it appears in the URL
+     * @param {string} [filters.to] - Destination code or city; city codes like NYC match the expanded name
+     * @param {string} [filters.departDate] - Exact departure date
+     * @param {string} [filters.departFrom] - Earliest departure date
+     * @param {string} [filters.departTo] - Latest departure date
+     * @param {string} [filters.since] - Searches made on/after this ISO timestamp
+     * @param {string} [filters.until] - Searches made before this ISO timestamp
+     * @param {string} [filters.cabin] - Cabin class name (e.g. 'economy')
+     * @param {string} [filters.status] - 'done' or 'failed'
+     * @param {number} [filters.limit=50] - Max rows (capped at 500)
+     * @param {number} [filters.offset=0]
+     * @param {boolean} [filters.includeResults=false] - Include stored results
+     * @returns {{ total: number, searches: Array }}
+     */
+    async query(filters = {}) {
+        this.validateFilters(filters);
+        await this.ready;
+
+        const where = [];
+        const values = [];
+        const add = (clause, value) => {
+            where.push(clause);
+            values.push(value);
+        };
+
+        if (filters.from) add('UPPER(origin) = ?', filters.from.toUpperCase());
+        if (filters.to) {
+            const destination = this.urlBuilder.formatDestination(filters.to, false, { validate: false });
+            add('UPPER(destination) LIKE ?', `%${destination.toUpperCase()}%`);
+        }
+        if (filters.departDate) add('depart_date = ?', filters.departDate);
+        if (filters.departFrom) add('depart_date >= ?', filters.departFrom);
+        if (filters.departTo) add('depart_date <= ?', filters.departTo);
+        if (filters.since) add('created_at >= ?', filters.since);
+        if (filters.until) add('created_at < ?', filters.until);
+        if (filters.cabin) add('LOWER(cabin_class) = ?', filters.cabin.toLowerCase());
+        if (filters.status) add('status = ?', filters.status);
+
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+        const offset = parseInt(filters.offset) || 0;
+
+        const total = this.select(`SELECT COUNT(*) AS total FROM searches ${whereSql}`, values)[0].total;
+        const rows = this.select(
+            `SELECT * FROM searches ${whereSql} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+            [...values, limit, offset]
+        );
+
+        return {
+            total,
+            limit,
+            offset,
+            searches: rows.map((row) => this.toEntry(row, filters.includeResults))
+        };
+    }
+
+    /**
+     * Throw for filters query() cannot use, e.g. a repeated query parameter (?from=a&from=b)
+     */
+    validateFilters(filters) {
+        for (const name of TEXT_FILTERS) {
+            if (filters[name] !== undefined && typeof filters[name] !== 'string') {
+                throw new Error(`${name} must be a single value`);
+            }
+        }
+    }
+
+    /**
+     * Look up a single stored search, including its results
+     */
+    async get(id) {
+        await this.ready;
+
+        const [row] = this.select('SELECT * FROM searches WHERE id = ?', [id]);
+        return row ? this.toEntry(row, true) : null;
+    }
+
+    /**
+     * Newest successful cash (non-award) search for the same route and dates,
+     * used to value the miles of an award search
+     * @param {Object} params - Parsed URL parameters of the award search
+     * @returns {Object|null} Entry with results
+     */
+    async findCashSearch(params) {
+        await this.ready;
+
+        const rows = this.select(
+            `SELECT * FROM searches
+             WHERE status = 'done' AND results IS NOT NULL
+               AND origin = ? AND destination = ? AND depart_date = ? AND IFNULL(return_date, '') = ?
+             ORDER BY created_at DESC LIMIT 20`,
+            [params.from || null, params.to || null, params.departDate || null, params.returnDate || '']
+        );
+
+        const row = rows.find((candidate) => !isAwardSearch(JSON.parse(candidate.params || '{}')));
+        return row ? this.toEntry(row, true) : null;
+    }
+
+    select(sql, values) {
+        const statement = this.db.prepare(sql);
+        const rows = [];
+
+        try {
+            statement.bind(values);
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+        } finally {
+            statement.free();
+        }
+
+        return rows;
+    }
+
+    toEntry(row, includeResults) {
+        const entry = {
+            id: row.id,
+            url: row.url,
+            params: JSON.parse(row.params || '{}'),
+            status: row.status,
+            error: row.error,
+            summary: row.summary ? JSON.parse(row.summary) : null,
+            durationMs: row.duration_ms,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            createdAt: row.created_at
+        };
+
+        if (includeResults) {
+            entry.results = row.results ? JSON.parse(row.results) : null;
+        }
+
+        return entry;
+    }
+
+    close() {
+        this.flush();
+        if (this.db) {
+            this.db.close();
+        }
+    }
+}
+
+module.exports = { SearchHistory };
@@ -0,0 +1,183 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+/**
+ * In-memory job queue for flight searches.
+ *
+ * Jobs are accepted immediately and run in the background by the worker
+ * function, at most `concurrency` at a time. Finished jobs are kept for
+ * `jobTTL` ms so clients can poll for their results.
+ *
+ * Emits 'queued', 'running', 'done', 'failed' and 'cancelled' with the job
+ * as argument.
+ */
+class SearchQueue extends EventEmitter {
+    /**
+     * @param {Function} worker - async (job) => result
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=2] - Searches allowed to run at once
+     * @param {number} [options.maxQueued=100] - Jobs allowed to wait before submit is refused
+     * @param {number} [options.jobTTL=3600000] - How long finished jobs are kept (ms)
+     */
+    constructor(worker, options = {}) {
+        super();
+        this.worker = worker;
+        this.concurrency = options.concurrency || 2;
+        this.maxQueued = options.maxQueued || 100;
+        this.jobTTL = options.jobTTL || 60 * 60 * 1000;
+
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+        this.waiters = new Map();
+    }
+
+    /**
+     * Whether a new job would exceed the waiting-jobs limit
+     */
+    isFull() {
+        return this.pending.length >= this.maxQueued;
+    }
+
+    /**
+     * Queue a new search job and return it immediately
+     * @param {Object} params - Passed through to the worker as job.params
+     * @returns {Object} The created job
+     */
+    submit(params) {
+        this.prune();
+
+        if (this.isFull()) {
+            throw new Error(`Search queue is full (${this.maxQueued} jobs waiting)`);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            params,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        this.emit('queued', job);
+
+        this.processNext();
+
+        return job;
+    }
+
+    /**
+     * Look up a job by ID
+     */
+    get(id) {
+        return this.jobs.get(id);
+    }
+
+    /**
+     * Position of a queued job (1 = next to run), or 0 if it is not waiting
+     */
+    positionOf(job) {
+        return this.pending.indexOf(job) + 1;
+    }
+
+    /**
+     * Resolves with the job once it has finished (done, failed or cancelled)
+     */
+    wait(job) {
+        if (job.finishedAt) return Promise.resolve(job);
+
+        return new Promise((resolve) => {
+            this.waiters.set(job.id, [...(this.waiters.get(job.id) || []), resolve]);
+        });
+    }
+
+    /**
+     * Take a job off the queue before it starts
+     * @returns {boolean} false if the job is unknown or already running/finished
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        const index = job ? this.pending.indexOf(job) : -1;
+        if (index === -1) return false;
+
+        this.pending.splice(index, 1);
+        job.status = 'cancelled';
+        this.finish(job);
+        return true;
+    }
+
+    finish(job) {
+        job.finishedAt = new Date().toISOString();
+        this.emit(job.status, job);
+
+        for (const resolve of this.waiters.get(job.id) || []) resolve(job);
+        this.waiters.delete(job.id);
+    }
+
+    /**
+     * Start waiting jobs while there are free slots
+     */
+    processNext() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            this.run(this.pending.shift());
+        }
+    }
+
+    async run(job) {
+        this.running++;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.emit('running', job);
+
+        try {
+            job.result = await this.worker(job);
+            job.status = 'done';
+        } catch (error) {
+            job.status = 'failed';
+            job.error = {
+                message: error.message,
+                ...error.details
+            };
+        } finally {
+            this.running--;
+            this.finish(job);
+            this.processNext();
+        }
+    }
+
+    /**
+     * Drop finished jobs older than the TTL
+     */
+    prune() {
+        const cutoff = Date.now() - this.jobTTL;
+
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Queue counters for status endpoints
+     */
+    getStats() {
+        const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+        for (const job of this.jobs.values()) {
+            counts[job.status]++;
+        }
+
+        return {
+            concurrency: this.concurrency,
+            maxQueued: this.maxQueued,
+            ...counts
+        };
+    }
+}
+
+module.exports = { SearchQueue };
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { createLogger } = require("./logger");
+
+/**
+ * State owned by a single search invocation: intercepted responses, failed
+ * requests and phase timings. Each searchByURL/searchByFormInteraction/replay
+ * call gets its own session so overlapping searches never share captures.
+ *
+ * Emits 'progress' with { type, timestamp, elapsedMs, ...data } as the search
+ * goes: phase, navigation, waiting, retrigger, pageErrors, response,
+ * requestFailed and partialResults.
+ */
+class SearchSession extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.id = options.id || crypto.randomUUID();
+    this.url = options.url || null;
+    this.startedAt = Date.now();
+    this.interceptedData = [];
+    this.failedRequests = [];
+    this.timings = [];
+    this.proxy = null;
+    this.pageCrashed = false;
+    this.timedOut = false;
+    this.aborted = false;
+    this.abortReason = null;
+    // Set by replay(): the captures did not come from a live search
+    this.replay = false;
+    // Every line logged for this search carries its searchId
+    this.log = createLogger("united", { searchId: this.id });
+  }
+
+  /**
+   * Record that a search phase finished (ms since the session started)
+   */
+  mark(phase) {
+    this.timings.push({
+      phase,
+      elapsedMs: Date.now() - this.startedAt,
+      timestamp: new Date().toISOString(),
+    });
+    this.progress("phase", { phase });
+  }
+
+  /**
+   * Tell listeners what the search is doing
+   * @param {string} type - Event type (see the class description)
+   * @param {Object} [data]
+   */
+  progress(type, data = {}) {
+    this.emit("progress", {
+      type,
+      timestamp: new Date().toISOString(),
+      elapsedMs: Date.now() - this.startedAt,
+      ...data,
+    });
+  }
+
+  /**
+   * Stop the search (e.g. when its job timed out). Emits 'abort'; the
+   * searcher closes the search's browser context in response, so pending page
+   * operations fail and the page goes back to the pool.
+   */
+  abort(reason = "Search aborted") {
+    if (this.aborted) return;
+
+    this.aborted = true;
+    this.abortReason = reason;
+    this.emit("abort", reason);
+  }
+
+  /**
+   * Drop what an earlier attempt captured before retrying the search
+   */
+  resetCaptures() {
+    this.interceptedData = [];
+    this.failedRequests = [];
+  }
+
+  addResponse(interceptedItem) {
+    this.interceptedData.push(interceptedItem);
+    this.progress("response", {
+      responseType: interceptedItem.type,
+      url: interceptedItem.url,
+      status: interceptedItem.status,
+      size: interceptedItem.size,
+    });
+  }
+
+  /**
+   * Captured responses of one endpoint type (see captureClassifier)
+   */
+  responsesOfType(type) {
+    return this.interceptedData.filter((item) => item.type === type);
+  }
+
+  addFailedRequest(failedRequest) {
+    this.failedRequests.push(failedRequest);
+    this.progress("requestFailed", {
+      url: failedRequest.url,
+      error: failedRequest.error,
+    });
+  }
+
+  /**
+   * Get summary statistics from intercepted data including failed requests
+   */
+  getSummary() {
+    return {
+      sessionId: this.id,
+      totalResponses: this.interceptedData.length,
+      totalDataSize: this.interceptedData.reduce(
+        (sum, item) => sum + item.size,
+        0
+      ),
+      responseUrls: this.interceptedData.map((item) => item.url),
+      responseTypes: this.interceptedData.map((item) => item.type),
+      timestamps: this.interceptedData.map((item) => item.timestamp),
+      failedRequests: this.failedRequests,
+      failedRequestCount: this.failedRequests.length,
+      timings: this.timings,
+      proxy: this.proxy,
+      elapsedMs: Date.now() - this.startedAt,
+    };
+  }
+
+  /**
+   * Provide troubleshooting information when search fails
+   */
+  getTroubleshootingInfo() {
+    const summary = this.getSummary();
+
+    const troubleshooting = {
+      summary,
+      possibleIssues: [],
+      recommendations: [],
+    };
+
+    // Analyze failed requests
+    if (summary.failedRequestCount > 0) {
+      const http2Errors = summary.failedRequests.filter((req) =>
+        req.error.includes("ERR_HTTP2_PROTOCOL_ERROR")
+      ).length;
+
+      if (http2Errors > 0) {
+        troubleshooting.possibleIssues.push(
+          "HTTP/2 Protocol Errors detected - likely anti-bot protection"
+        );
+        troubleshooting.recommendations.push(
+          "Try using the form interaction method instead of URL navigation"
+        );
+        troubleshooting.recommendations.push(
+          "Consider adding longer delays between requests"
+        );
+        troubleshooting.recommendations.push(
+          "Try using a residential proxy or VPN"
+        );
+      }
+    }
+
+    if (summary.totalResponses === 0) {
+      troubleshooting.possibleIssues.push("No API responses intercepted");
+      troubleshooting.recommendations.push(
+        "Check if United website structure has changed"
+      );
+      troubleshooting.recommendations.push("Verify the search URL is correct");
+      troubleshooting.recommendations.push(
+        "Try running with headless: false to see what's happening"
+      );
+    } else if (!summary.responseTypes.includes("flights")) {
+      troubleshooting.possibleIssues.push(
+        "API responses intercepted, but none were FetchFlights results"
+      );
+      troubleshooting.recommendations.push(
+        "The results page may not have finished loading; try a longer timeout"
+      );
+    }
+
+    return troubleshooting;
+  }
+}
+
+module.exports = { SearchSession };
@@ -1,20 +1,130 @@
 const express = require('express');
 const cors = require('cors');
+const path = require('path');
 const { UnitedURLBuilder } = require('./urlBuilder');
+const { airports } = require('./airports');
 const { UnitedFlightSearcher } = require('./united');
+const { SearchQueue } = require('./searchQueue');
+const { BrowserPool } = require('./browserPool');
+const { ProxyManager } = require('./proxyManager');
+const proxies = require('./proxies');
+const { PriceCalendar } = require('./priceCalendar');
+const { FareWatcher } = require('./fareWatch');
+const { SearchHistory } = require('./searchHistory');
+const { SearchCache } = require('./searchCache');
+const { ApiAuth } = require('./apiAuth');
+const { parseFilterQuery, applyFilters } = require('./resultFilter');
+const { isAwardSearch, valueAwardResults } = require('./awardValuation');
+const { EXPORT_FORMATS, ROW_COLUMNS, flattenResults, toCSV, toNDJSON, findItinerary, toICS } = require('./resultExport');
+const { createLogger, setLogLevel, getLogLevels } = require('./logger');
+const { FETCH_FLIGHTS_SCHEMA, SchemaDriftLog } = require('./flightSchema');
+const { SearchEventLog } = require('./searchEvents');
+const { metrics } = require('./metrics');
+
+const log = createLogger('server');
+
+const RESULT_FILTERS =
+    'maxPrice, maxMiles, maxStops, maxDuration, departAfter, departBefore, arriveAfter, arriveBefore, ' +
+    'cabin, refundable, marketingCarrier, operatingCarrier, sort=price,miles,-duration,stops,depart,arrive';
+const EXPORT_OPTIONS = 'format=json|csv|ndjson|ics, rows=itinerary|segment|fare (csv/ndjson), itineraryId (ics)';
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a load balancer, TRUST_PROXY (true, a hop count or trusted addresses) makes
+// req.ip the client's address from X-Forwarded-For, so per-IP limits apply per client
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
+function parseTrustProxy(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value.split(',').map((address) => address.trim());
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({
+    // CORS_ORIGINS limits browser access to these origins (comma separated)
+    origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map((origin) => origin.trim()) : true,
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+}));
 app.use(express.json());
 
+// API keys and per-client limits from API_KEYS_FILE (see api-keys.example.json)
+const apiAuth = ApiAuth.fromFile(process.env.API_KEYS_FILE);
+if (!apiAuth.enabled) {
+    log.warn('API_KEYS_FILE not set: API keys are not required, clients are limited by IP and admin routes are closed');
+}
+
+// Routes that start browser searches count against the 'search' limits
+function routeClass(req) {
+    if (req.method === 'POST' && ['/search', '/watches'].includes(req.path)) {
+        return { routeClass: 'search' };
+    }
+    if (req.method === 'POST' && /^\/watches\/[^/]+\/check$/.test(req.path)) {
+        return { routeClass: 'search' };
+    }
+    if (req.method === 'POST' && req.path === '/calendar') {
+        // One search per date; invalid windows are rejected by the route itself
+        try {
+            return { routeClass: 'search', cost: priceCalendar.buildSearches(req.body).length };
+        } catch (error) {
+            return { routeClass: 'search' };
+        }
+    }
+    return { routeClass: 'build' };
+}
+
+app.use('/api', apiAuth.authenticate(), apiAuth.limit(routeClass));
+
+// Prometheus scrape endpoint; outside /api so scrapers don't need an API key
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Create instances
 const urlBuilder = new UnitedURLBuilder();
+const browserPool = new BrowserPool({
+    maxBrowsers: parseInt(process.env.MAX_BROWSERS) || 2,
+    maxPagesPerBrowser: parseInt(process.env.MAX_PAGES_PER_BROWSER) || 2,
+    minBrowsers: process.env.MIN_BROWSERS !== undefined ? parseInt(process.env.MIN_BROWSERS) : 1
+});
+// Outbound proxies are opt-in: searches connect directly unless PROXY_URLS is set
+const proxyManager = new ProxyManager(proxies, {
+    maxFailures: parseInt(process.env.PROXY_MAX_FAILURES) || 3,
+    cooldownMs: parseInt(process.env.PROXY_COOLDOWN_MS) || 5 * 60 * 1000
+});
+// FetchFlights schema drift history; SCHEMA_ALERT_WEBHOOK is told about new drift
+const schemaDrift = new SchemaDriftLog({
+    file: process.env.SCHEMA_DRIFT_FILE || './data/schema-drift.json',
+    webhook: process.env.SCHEMA_ALERT_WEBHOOK
+});
 const flightSearcher = new UnitedFlightSearcher({
     headless: true,
-    saveResponses: false
+    saveResponses: false,
+    // UNITED_BASE_URL sends searches elsewhere, e.g. the mock site (node mockUnited.js)
+    baseUrl: process.env.UNITED_BASE_URL,
+    browserPool,
+    proxies: proxyManager,
+    schemaDrift
+});
+// Pooled browsers use the searcher's Chrome settings
+browserPool.launchOptions = flightSearcher.getLaunchOptions();
+
+// Directory that /api/replay may read captures from
+const captureDir = process.env.CAPTURE_DIR || './flight_data';
+
+// Search job settings
+const searchTimeout = 120000;
+
+// Identical searches within the TTL are answered from the cache
+const searchCache = new SearchCache({
+    ttlMs: process.env.SEARCH_CACHE_TTL_MS !== undefined ? parseInt(process.env.SEARCH_CACHE_TTL_MS) : 10 * 60 * 1000,
+    maxEntries: parseInt(process.env.SEARCH_CACHE_SIZE) || 200,
+    maxBytes: parseInt(process.env.SEARCH_CACHE_MAX_BYTES) || 50 * 1024 * 1024,
+    file: process.env.SEARCH_CACHE_FILE,
+    urlBuilder
 });
 
 // Routes
@@ -25,9 +135,31 @@ app.get('/', (req, res) => {
             '/api/build': 'POST - Build a custom search URL',
             '/api/oneway': 'POST - Build a one-way search URL',
             '/api/roundtrip': 'POST - Build a round-trip search URL',
+            '/api/multicity': 'POST - Build a multi-city search URL',
             '/api/parse': 'POST - Parse an existing United URL',
-            '/api/search': 'POST - Search flights using a United URL'
-        }
+            '/api/airports': 'GET - Airport/metro autocomplete (?q=newark&limit=10)',
+            '/api/airports/:code': 'GET - Airport or metro details by IATA code',
+            '/api/search': 'POST - Queue a flight search for a United URL (returns a job ID; maxAge in ms caps the age of a cached result up to the cache TTL, 0 forces a fresh search; cached results leave out rawData)',
+            '/api/search/:id/events': 'GET - Stream a search job\'s progress and partial results as Server-Sent Events',
+            '/api/search/:id': 'GET - Poll a search job for status and results (result filters: ' + RESULT_FILTERS +
+                '; award searches are valued in cents per mile against ?cashSearchId= or the newest matching cash search;' +
+                ' export: ' + EXPORT_OPTIONS + '), DELETE - Cancel a job that is still queued',
+            '/api/calendar': 'POST - Queue a lowest-price calendar search over a date window',
+            '/api/calendar/:id': 'GET - Poll a calendar job for status and the price matrix',
+            '/api/replay': 'POST - Parse saved FetchFlights captures without a browser',
+            '/api/history': 'GET - Past searches (filters: from, to, departDate, departFrom, departTo, since, until, cabin, status, limit, offset, includeResults; format=csv|ndjson exports their results)',
+            '/api/history/:id': 'GET - A past search with its results (accepts the same result filters and export options as /api/search/:id)',
+            '/api/watches': 'GET - List fare watches, POST - Create a fare watch',
+            '/api/watches/:id': 'GET - Watch with price history, PATCH - Update, DELETE - Remove',
+            '/api/watches/:id/check': 'POST - Queue a check of a fare watch now (returns a search job ID)',
+            '/api/status': 'GET - Search queue and browser pool status',
+            '/api/proxies': 'GET - Configured outbound proxies and their health',
+            '/api/schema': 'GET - FetchFlights schema version and the drift seen in responses, DELETE - Clear the drift history (admin API key)',
+            '/api/admin/usage': 'GET - Per-client request counters and limits (admin API key)',
+            '/api/admin/logging': 'GET - Log levels and known modules, PUT - Change the default or a known module\'s level ({ level, module? }, admin API key)',
+            '/metrics': 'GET - Prometheus metrics (no API key needed)'
+        },
+        authentication: apiAuth.enabled ? 'X-API-Key or Authorization: Bearer header required' : 'off'
     });
 });
 
@@ -63,6 +195,17 @@ app.post('/api/roundtrip', (req, res) => {
     }
 });
 
+// Build multi-city search URL
+app.post('/api/multicity', (req, res) => {
+    try {
+        const { segments, ...options } = req.body;
+        const url = urlBuilder.buildMultiCityURL(segments, options);
+        res.json({ url });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // Parse existing United URL
 app.post('/api/parse', (req, res) => {
     try {
@@ -77,69 +220,787 @@ app.post('/api/parse', (req, res) => {
     }
 });
 
-// Search flights using a United URL
-app.post('/api/search', async (req, res) => {
+// Airport and metro autocomplete
+app.get('/api/airports', (req, res) => {
+    const { q } = req.query;
+    if (!q) {
+        return res.status(400).json({ error: 'q is required' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    res.json({ query: q, results: airports.search(q, limit) });
+});
+
+// Look up one airport or metro code
+app.get('/api/airports/:code', (req, res) => {
+    if (!airports.isCode(req.params.code)) {
+        return res.status(400).json({ error: `Invalid airport code '${req.params.code}': expected 3 letters` });
+    }
+
+    try {
+        const code = airports.validateCode(req.params.code);
+        res.json(airports.lookup(code));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Progress events of the jobs whose browser searches are running, by cache key
+const liveSearches = new Map();
+
+// Progress events of a search job (see GET /api/search/:id/events)
+function eventsFor(job) {
+    if (!job.events) {
+        job.events = new SearchEventLog();
+    }
+    return job.events;
+}
+
+// Run a queued search job from the cache, or by joining/starting a browser run
+async function runSearchJob(job) {
+    const { url, maxAge } = job.params;
+
+    let key;
     try {
-        const { url } = req.body;
-        if (!url) {
-            throw new Error('URL is required');
-        }
+        key = searchCache.keyFor(url);
+    } catch (error) {
+        // Not a parseable search URL, so nothing to share it with
+        return searchWithBrowser(job);
+    }
 
-        console.log('Starting flight search for URL:', url);
+    // A job that joins a running search streams that search's progress
+    // (maxAge 0 always searches on its own)
+    const running = maxAge !== 0 && !searchCache.get(key, maxAge) && liveSearches.get(key);
+    const stopForwarding = running ? running.forward(eventsFor(job)) : null;
 
-        // Clear any previous search data
-        flightSearcher.clearData();
+    try {
+        const { value, cache } = await searchCache.wrap(key, () => {
+            const events = eventsFor(job);
+            liveSearches.set(key, events);
+            return searchWithBrowser(job).finally(() => {
+                if (liveSearches.get(key) === events) liveSearches.delete(key);
+            });
+        }, { maxAge });
 
+        eventsFor(job).push('cache', cache);
+        return {
+            ...value,
+            summary: { ...value.summary, cache }
+        };
+    } finally {
+        if (stopForwarding) stopForwarding();
+    }
+}
+
+// Run a search in its own search session
+async function searchWithBrowser(job) {
+    const { url } = job.params;
+    const session = flightSearcher.createSession({ id: job.id, url });
+    const jobLog = log.child({ searchId: job.id });
+    session.on('progress', ({ type, ...data }) => eventsFor(job).push(type, data));
+
+    jobLog.info('Starting search job', { url });
+
+    let timer;
+    try {
         // Perform the search with a timeout
         const searchPromise = flightSearcher.searchByURL(url, {
-            logRequests: true
+            logRequests: true,
+            session
         });
 
         // Add a timeout to prevent hanging
         const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Search timed out after 2 minutes')), 120000);
+            timer = setTimeout(() => {
+                session.timedOut = true;
+                metrics.get('united_search_timeouts_total').inc({ stage: 'job' });
+                // Stop the browser search so it gives its page back to the pool
+                session.abort('Search job timed out');
+                reject(new Error('Search timed out after 2 minutes'));
+            }, searchTimeout);
         });
 
         // Race between search and timeout
         const results = await Promise.race([searchPromise, timeoutPromise]);
 
-        // Get summary of the search
-        const summary = flightSearcher.getSummary();
+        jobLog.info('Search job completed', { elapsedMs: Date.now() - session.startedAt });
+
+        return {
+            results,
+            summary: session.getSummary()
+        };
+    } catch (error) {
+        jobLog.error('Search job failed', { error });
+
+        // Keep troubleshooting information with the failed job
+        error.details = { troubleshooting: session.getTroubleshootingInfo() };
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const searchQueue = new SearchQueue(runSearchJob, {
+    concurrency: parseInt(process.env.SEARCH_CONCURRENCY) || 2,
+    maxQueued: parseInt(process.env.SEARCH_QUEUE_SIZE) || 100,
+    jobTTL: parseInt(process.env.SEARCH_JOB_TTL_MS) || 60 * 60 * 1000
+});
+
+// Results of a queued search job, once it has finished
+async function resultsOf(job) {
+    const finished = await searchQueue.wait(job);
+    if (finished.status !== 'done') {
+        throw new Error(finished.error ? finished.error.message : `Search job ${finished.status}`);
+    }
+    return finished.result.results;
+}
+
+// Searches made for calendars and fare watches run as search jobs too, so they
+// share the concurrency limit, timeout, cache and history
+function queuedSearch(params) {
+    return (url) => resultsOf(searchQueue.submit({ url, ...params }));
+}
 
-        console.log('Search completed successfully');
+// Run a queued price calendar job (one throttled search per date)
+async function runCalendarJob(job) {
+    return priceCalendar.search(job.params, (date, entry) => {
+        job.progress = { ...job.progress, [date]: entry.status };
+    });
+}
+
+const priceCalendar = new PriceCalendar(queuedSearch(), {
+    urlBuilder,
+    delayMs: parseInt(process.env.CALENDAR_DELAY_MS) || 5000
+});
+const calendarQueue = new SearchQueue(runCalendarJob, {
+    concurrency: parseInt(process.env.CALENDAR_CONCURRENCY) || 1,
+    maxQueued: parseInt(process.env.CALENDAR_QUEUE_SIZE) || 10,
+    jobTTL: parseInt(process.env.SEARCH_JOB_TTL_MS) || 60 * 60 * 1000
+});
+
+const searchHistory = new SearchHistory(process.env.HISTORY_FILE || './data/history.sqlite');
+
+// Keep every finished search job in the history database
+function recordSearchJob(job) {
+    let params;
+    try {
+        params = urlBuilder.parseURL(job.params.url);
+    } catch (error) {
+        params = {};
+    }
+
+    searchHistory.record({
+        id: job.id,
+        url: job.params.url,
+        params,
+        status: job.status,
+        error: job.error?.message,
+        results: job.result?.results,
+        summary: job.result?.summary || job.error?.troubleshooting?.summary,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    }).catch((error) => {
+        log.error('Could not record search history', { searchId: job.id, error: error.message });
+    });
+}
+
+searchQueue.on('done', recordSearchJob);
+searchQueue.on('failed', recordSearchJob);
+
+// Job status changes end up in the job's event stream; the final event closes it
+searchQueue.on('running', (job) => eventsFor(job).push('status', { status: 'running' }));
+searchQueue.on('done', (job) => {
+    // The backlog is kept with the job, so United's raw response (rawData) stays
+    // out of it; clients that need it poll statusUrl
+    const { rawData, ...results } = job.result.results || {};
+    eventsFor(job).push('done', {
+        statusUrl: `/api/search/${job.id}`,
+        results: job.result.results ? results : null,
+        summary: job.result.summary
+    });
+    eventsFor(job).close();
+});
+searchQueue.on('cancelled', (job) => {
+    eventsFor(job).push('cancelled', { statusUrl: `/api/search/${job.id}` });
+    eventsFor(job).close();
+});
+searchQueue.on('failed', (job) => {
+    eventsFor(job).push('failed', {
+        statusUrl: `/api/search/${job.id}`,
+        error: job.error.message,
+        troubleshooting: job.error.troubleshooting
+    });
+    eventsFor(job).close();
+});
+
+// Queue, pool and cache sizes, read when /metrics is scraped
+metrics.gauge('united_search_jobs', 'Search jobs by queue and status', () =>
+    [['search', searchQueue], ['calendar', calendarQueue]].flatMap(([queue, jobs]) => {
+        const stats = jobs.getStats();
+        return ['queued', 'running', 'done', 'failed', 'cancelled'].map((status) => ({
+            labels: { queue, status },
+            value: stats[status]
+        }));
+    })
+);
+metrics.gauge('united_browser_pool_browsers', 'Browsers in the pool', () => browserPool.getStats().browsers.length);
+metrics.gauge('united_browser_pool_active_pages', 'Pages leased for searches', () =>
+    browserPool.getStats().browsers.reduce((sum, browser) => sum + browser.activePages, 0)
+);
+metrics.gauge('united_browser_pool_waiting', 'Searches waiting for a browser page', () => browserPool.getStats().waiting);
+metrics.gauge('united_search_cache_entries', 'Cached search results', () => searchCache.getStats().entries);
+
+// Fare alert webhooks go to public hosts only, or just to WEBHOOK_ALLOWED_HOSTS when set
+const fareWatcher = new FareWatcher(queuedSearch(), {
+    urlBuilder,
+    storageFile: process.env.WATCHES_FILE || './data/watches.json',
+    webhookHosts: process.env.WEBHOOK_ALLOWED_HOSTS ? process.env.WEBHOOK_ALLOWED_HOSTS.split(',').map((host) => host.trim()) : []
+});
+
+/**
+ * Value the miles of award search results against a cash search for the
+ * same trip: the one given as ?cashSearchId=, else the newest in history
+ */
+async function withAwardValuation(results, url, cashSearchId) {
+    let params;
+    try {
+        params = urlBuilder.parseURL(url);
+    } catch (error) {
+        return results;
+    }
+    if (!results || !isAwardSearch(params)) {
+        return results;
+    }
+
+    const cashSearch = cashSearchId
+        ? await searchHistory.get(cashSearchId)
+        : await searchHistory.findCashSearch(params);
+    if (!cashSearch || !cashSearch.results) {
+        return {
+            ...results,
+            awardValuation: {
+                cashSearchId: cashSearchId || null,
+                error: cashSearchId
+                    ? 'Cash search not found in history'
+                    : 'No cash search for this route and dates in history; search it without award options first'
+            }
+        };
+    }
+
+    return valueAwardResults(results, cashSearch.results, cashSearch);
+}
+
+/**
+ * Send a search as JSON, or export its results (?format=csv|ndjson|ics)
+ * @param {Object} payload - The JSON response
+ * @param {Object} search - { id, url, results } of the search being exported
+ */
+function sendSearch(req, res, payload, search) {
+    const format = req.query.format || 'json';
+    if (format === 'json') {
+        return res.json(payload);
+    }
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `Unknown format '${format}' (use ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+    }
+    if (!search.results) {
+        return res.status(409).json({ error: 'Search has no results to export', status: payload.status });
+    }
+
+    let body;
+    try {
+        if (format === 'ics') {
+            if (!req.query.itineraryId) {
+                return res.status(400).json({ error: 'itineraryId is required for format=ics' });
+            }
+            const itinerary = findItinerary(search.results, req.query.itineraryId);
+            if (!itinerary) {
+                return res.status(404).json({ error: 'Itinerary not found in results' });
+            }
+            body = toICS(itinerary, { url: search.url });
+        } else {
+            body = exportRows(format, req.query.rows, flattenResults(search.results, { rows: req.query.rows, searchId: search.id }));
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.type(EXPORT_FORMATS[format])
+        .attachment(`search-${search.id}.${format}`)
+        .send(body);
+}
+
+function exportRows(format, rowType, rows) {
+    return format === 'csv' ? toCSV(rows, ROW_COLUMNS[rowType || 'itinerary']) : toNDJSON(rows);
+}
+
+// Format a job for API responses
+function jobResponse(job, queue = searchQueue) {
+    const response = {
+        id: job.id,
+        status: job.status,
+        ...job.params,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+
+    if (job.status === 'queued') {
+        response.position = queue.positionOf(job);
+    } else if (job.status === 'running' && job.progress) {
+        response.progress = job.progress;
+    } else if (job.status === 'done') {
+        Object.assign(response, job.result);
+    } else if (job.status === 'failed') {
+        response.error = job.error.message;
+        response.troubleshooting = job.error.troubleshooting;
+    }
+
+    return response;
+}
+
+// Submit a flight search job for a United URL
+app.post('/api/search', (req, res) => {
+    const { url, maxAge } = req.body;
+    if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+    }
+    if (maxAge !== undefined && !(Number.isFinite(maxAge) && maxAge >= 0)) {
+        return res.status(400).json({ error: 'maxAge must be a non-negative number of milliseconds' });
+    }
+
+    if (searchQueue.isFull()) {
+        res.set('Retry-After', '30');
+        return res.status(503).json({
+            error: 'Search queue is full, try again later',
+            queue: searchQueue.getStats()
+        });
+    }
+
+    const job = searchQueue.submit({ url, maxAge });
+
+    res.status(202)
+        .location(`/api/search/${job.id}`)
+        .json({
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/search/${job.id}`,
+            eventsUrl: `/api/search/${job.id}/events`,
+            position: searchQueue.positionOf(job),
+            timestamp: new Date().toISOString()
+        });
+});
+
+// Stream a search job's progress as Server-Sent Events. Each event is named
+// by its type (status, phase, navigation, waiting, retrigger, pageErrors,
+// response, requestFailed, partialResults, cache) and the stream ends with
+// 'done', 'failed' or 'cancelled'. Reconnecting clients get what they missed via Last-Event-ID.
+app.get('/api/search/:id/events', (req, res) => {
+    const job = searchQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Search job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Don't let reverse proxies hold events back
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const events = eventsFor(job);
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (!lastEventId) {
+        res.write(`event: status\ndata: ${JSON.stringify({
+            status: job.status,
+            position: searchQueue.positionOf(job)
+        })}\n\n`);
+    }
+    events.since(lastEventId).forEach(send);
+
+    if (events.closed) {
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const finish = () => {
+        clearInterval(heartbeat);
+        events.off('event', send);
+        events.off('close', end);
+    };
+    const end = () => {
+        finish();
+        res.end();
+    };
+
+    events.on('event', send);
+    events.once('close', end);
+    req.on('close', finish);
+});
+
+// Poll a search job
+app.get('/api/search/:id', async (req, res) => {
+    const job = searchQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Search job not found' });
+    }
+
+    let filters;
+    try {
+        filters = parseFilterQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const response = jobResponse(job);
+    try {
+        response.results = await withAwardValuation(response.results, job.params.url, req.query.cashSearchId);
+    } catch (error) {
+        return res.status(500).json({ error: error.message });
+    }
+    if (filters && response.results) {
+        response.results = applyFilters(response.results, filters);
+    }
+
+    sendSearch(req, res, {
+        ...response,
+        timestamp: new Date().toISOString()
+    }, { id: job.id, url: job.params.url, results: response.results });
+});
+
+// Cancel a search job that has not started yet
+app.delete('/api/search/:id', (req, res) => {
+    const job = searchQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Search job not found' });
+    }
+    if (!searchQueue.cancel(job.id)) {
+        return res.status(409).json({ error: `Search job is already ${job.status}` });
+    }
+    res.json(jobResponse(job));
+});
+
+// Submit a price calendar job
+app.post('/api/calendar', (req, res) => {
+    try {
+        // Validate the window and build URLs up front so bad input fails fast
+        const searches = priceCalendar.buildSearches(req.body);
+
+        if (calendarQueue.isFull()) {
+            res.set('Retry-After', '60');
+            return res.status(503).json({
+                error: 'Calendar queue is full, try again later',
+                queue: calendarQueue.getStats()
+            });
+        }
+
+        const job = calendarQueue.submit(req.body);
+
+        res.status(202)
+            .location(`/api/calendar/${job.id}`)
+            .json({
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/calendar/${job.id}`,
+                dates: searches.length,
+                position: calendarQueue.positionOf(job),
+                timestamp: new Date().toISOString()
+            });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Poll a price calendar job
+app.get('/api/calendar/:id', (req, res) => {
+    const job = calendarQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Calendar job not found' });
+    }
+
+    res.json({
+        ...jobResponse(job, calendarQueue),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Replay saved captures through the parser (no browser)
+app.post('/api/replay', (req, res) => {
+    try {
+        const { path: capturePath, capture } = req.body;
+        if (!capturePath && !capture) {
+            throw new Error('Either path or capture is required');
+        }
+
+        let source = capture;
+        if (capturePath) {
+            // Only allow reading captures from inside the capture directory
+            const resolvedDir = path.resolve(captureDir);
+            source = path.resolve(resolvedDir, capturePath);
+            if (source !== resolvedDir && !source.startsWith(resolvedDir + path.sep)) {
+                throw new Error(`Path must be inside ${captureDir}`);
+            }
+        }
+
+        const session = flightSearcher.createSession();
+        const results = flightSearcher.replay(source, { session });
 
-        // Return both the parsed results and summary
         res.json({
             results,
-            summary,
+            summary: session.getSummary(),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        console.error('Search error:', error);
-        
-        // Get troubleshooting information if available
-        const troubleshooting = flightSearcher.getTroubleshootingInfo();
-        
-        res.status(500).json({ 
-            error: error.message,
-            troubleshooting,
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Query search history
+app.get('/api/history', async (req, res) => {
+    let filters;
+    try {
+        searchHistory.validateFilters(req.query);
+        // 'cabin' here selects searches by cabin class, not fares within results
+        filters = parseFilterQuery({ ...req.query, cabin: undefined });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'ndjson'].includes(format)) {
+        return res.status(400).json({ error: 'History lists export as json, csv or ndjson' });
+    }
+
+    try {
+        const includeResults = req.query.includeResults === 'true' || format !== 'json';
+        const history = await searchHistory.query({ ...req.query, includeResults });
+
+        if (includeResults && filters) {
+            for (const entry of history.searches) {
+                entry.results = applyFilters(entry.results, filters);
+            }
+        }
+        if (format === 'json') {
+            return res.json(history);
+        }
+
+        let rows;
+        try {
+            rows = history.searches.flatMap((entry) =>
+                flattenResults(entry.results, { rows: req.query.rows, searchId: entry.id })
+            );
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.type(EXPORT_FORMATS[format])
+            .attachment(`history.${format}`)
+            .send(exportRows(format, req.query.rows, rows));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get one past search with its results
+app.get('/api/history/:id', async (req, res) => {
+    let filters;
+    try {
+        filters = parseFilterQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const entry = await searchHistory.get(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Search not found in history' });
+        }
+        entry.results = await withAwardValuation(entry.results, entry.url, req.query.cashSearchId);
+        if (filters) {
+            entry.results = applyFilters(entry.results, filters);
+        }
+        sendSearch(req, res, entry, entry);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List fare watches
+app.get('/api/watches', (req, res) => {
+    res.json({ watches: fareWatcher.list() });
+});
+
+// Create a fare watch
+app.post('/api/watches', (req, res) => {
+    try {
+        const watch = fareWatcher.create(req.body);
+        res.status(201).location(`/api/watches/${watch.id}`).json(watch);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get a fare watch with its price history
+app.get('/api/watches/:id', (req, res) => {
+    const watch = fareWatcher.get(req.params.id);
+    if (!watch) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json(watch);
+});
+
+// Update a fare watch
+app.patch('/api/watches/:id', (req, res) => {
+    try {
+        const watch = fareWatcher.update(req.params.id, req.body);
+        if (!watch) {
+            return res.status(404).json({ error: 'Watch not found' });
+        }
+        res.json(watch);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete a fare watch
+app.delete('/api/watches/:id', (req, res) => {
+    if (!fareWatcher.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.status(204).end();
+});
+
+// Check a fare watch immediately: its search runs as a search job, and the
+// watch records the price once that job is done
+app.post('/api/watches/:id/check', (req, res) => {
+    const watch = fareWatcher.get(req.params.id);
+    if (!watch) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+    if (fareWatcher.expire(watch)) {
+        return res.status(409).json({ error: 'The watched flight has already departed', watch });
+    }
+
+    if (searchQueue.isFull()) {
+        res.set('Retry-After', '30');
+        return res.status(503).json({
+            error: 'Search queue is full, try again later',
+            queue: searchQueue.getStats()
+        });
+    }
+
+    const job = searchQueue.submit({ url: watch.url, watchId: watch.id });
+    fareWatcher.check(watch.id, () => resultsOf(job)).catch((error) => {
+        log.error('Fare watch check failed', { watchId: watch.id, error: error.message });
+    });
+
+    res.status(202)
+        .location(`/api/search/${job.id}`)
+        .json({
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/search/${job.id}`,
+            eventsUrl: `/api/search/${job.id}/events`,
+            watchUrl: `/api/watches/${watch.id}`,
+            position: searchQueue.positionOf(job),
             timestamp: new Date().toISOString()
         });
+});
+
+// Search queue and browser pool status
+app.get('/api/status', (req, res) => {
+    res.json({
+        queue: searchQueue.getStats(),
+        calendarQueue: calendarQueue.getStats(),
+        cache: searchCache.getStats(),
+        browserPool: browserPool.getStats(),
+        proxies: proxyManager.getStatus(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/api/admin/usage', apiAuth.requireAdmin(), (req, res) => {
+    res.json({
+        ...apiAuth.getUsage(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Log verbosity at runtime, e.g. { "level": "debug", "module": "united" }
+app.get('/api/admin/logging', apiAuth.requireAdmin(), (req, res) => {
+    res.json(getLogLevels());
+});
+
+app.put('/api/admin/logging', apiAuth.requireAdmin(), (req, res) => {
+    const { level, module } = req.body || {};
+
+    try {
+        setLogLevel(level, module);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
     }
+
+    log.info('Log level changed', { logLevel: level, logModule: module || 'default' });
+    res.json(getLogLevels());
+});
+
+// FetchFlights schema drift: missing, wrongly typed and new response fields
+app.get('/api/schema', (req, res) => {
+    const changes = schemaDrift.getHistory();
+
+    res.json({
+        version: FETCH_FLIGHTS_SCHEMA.version,
+        recordedAt: FETCH_FLIGHTS_SCHEMA.recordedAt,
+        drift: changes.length > 0,
+        changes,
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.delete('/api/schema', apiAuth.requireAdmin(), (req, res) => {
+    schemaDrift.clear();
+    log.info('Schema drift history cleared');
+    res.status(204).end();
+});
+
+// Outbound proxy health
+app.get('/api/proxies', (req, res) => {
+    res.json({
+        enabled: proxyManager.size > 0,
+        proxies: proxyManager.getStatus(),
+        timestamp: new Date().toISOString()
+    });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    log.error('Unhandled request error', { method: req.method, path: req.path, error: err });
     res.status(500).json({ error: 'Something broke!' });
 });
 
 // Cleanup on server shutdown
 process.on('SIGINT', async () => {
+    fareWatcher.stop();
+    searchHistory.flush();
+    await searchCache.flush();
+    await browserPool.close();
     process.exit(0);
 });
 
 // Start server
 app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
+    log.info('Server is running', { port });
+
+    // Re-check fare watches on their schedules
+    fareWatcher.start();
+
+    // Start warm browsers in the background so the first search is fast
+    browserPool.warmUp().catch((error) => {
+        log.error('Could not warm up browser pool', { error: error.message });
+    });
 }); 
\ No newline at end of file
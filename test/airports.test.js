@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AirportDirectory, airports } = require('../airports');
+
+const directory = new AirportDirectory({
+    airports: [
+        { code: 'EWR', name: 'Newark Liberty International', city: 'Newark', region: 'NJ', country: 'US', timezone: 'America/New_York', metro: 'NYC' },
+        { code: 'JFK', name: 'John F. Kennedy International', city: 'New York', region: 'NY', country: 'US', timezone: 'America/New_York', metro: 'NYC' },
+        { code: 'LGA', name: 'LaGuardia', city: 'New York', region: 'NY', country: 'US', timezone: 'America/New_York', metro: 'NYC' },
+        { code: 'SJC', name: 'Norman Y. Mineta San José International', city: 'San José', region: 'CA', country: 'US', timezone: 'America/Los_Angeles' },
+        { code: 'ZRH', name: 'Zürich', city: 'Zürich', country: 'CH', timezone: 'Europe/Zurich' }
+    ],
+    metros: [
+        { code: 'NYC', city: 'New York', region: 'NY', country: 'US', timezone: 'America/New_York', airports: ['EWR', 'JFK', 'LGA'] }
+    ]
+});
+
+test('codes are normalized and malformed ones rejected before any lookup', () => {
+    assert.equal(directory.validateCode(' ewr '), 'EWR');
+    assert.equal(directory.validateCode('nyc'), 'NYC');
+
+    for (const code of ['', 'EW', 'EWRR', 'E1R', undefined]) {
+        assert.throws(() => directory.validateCode(code), /expected 3 letters/, String(code));
+    }
+    assert.equal(directory.isCode('A1B'), false);
+    assert.equal(directory.isCode('zrh'), true);
+});
+
+test('unknown codes suggest codes one letter off or with two letters swapped', () => {
+    assert.throws(() => directory.validateCode('JKF'), /Unknown airport code 'JKF'\. Did you mean JFK\?/);
+    assert.throws(() => directory.validateCode('EWQ'), /Did you mean EWR\?/);
+    assert.throws(() => directory.validateCode('QQQ'), /^Error: Unknown airport code 'QQQ'$/);
+
+    assert.deepEqual(directory.suggest('LGX'), ['LGA']);
+    assert.deepEqual(directory.suggest('NYX'), ['NYC']);
+});
+
+test('lookup returns airports, and metros with their member airports', () => {
+    assert.equal(directory.lookup('ewr').type, 'airport');
+    assert.equal(directory.lookup('ewr').metro, 'NYC');
+
+    const metro = directory.lookup('NYC');
+    assert.equal(metro.type, 'metro');
+    assert.deepEqual(metro.airports.map((airport) => airport.code), ['EWR', 'JFK', 'LGA']);
+    assert.equal(directory.formatMetroName(metro), 'NEW YORK, NY, US');
+
+    assert.equal(directory.lookup('ZZZ'), null);
+});
+
+test('search ranks exact codes, then code prefixes, cities, names and countries, metros first', () => {
+    assert.deepEqual(directory.search('new york').map((entry) => [entry.type, entry.code]), [
+        ['metro', 'NYC'],
+        ['airport', 'JFK'],
+        ['airport', 'LGA']
+    ]);
+    assert.deepEqual(directory.search('ewr').map((entry) => entry.code), ['EWR']);
+    assert.deepEqual(directory.search('liberty').map((entry) => entry.code), ['EWR']);
+    assert.deepEqual(directory.search('ch').map((entry) => entry.code), ['ZRH']);
+    assert.equal(directory.search('new york', 2).length, 2);
+    assert.deepEqual(directory.search('  '), []);
+});
+
+test('search ignores accents and case', () => {
+    assert.deepEqual(directory.search('ZURICH').map((entry) => entry.code), ['ZRH']);
+    assert.deepEqual(directory.search('san jose').map((entry) => entry.code), ['SJC']);
+});
+
+test('the bundled dataset knows United hubs and their metros', () => {
+    for (const code of ['EWR', 'IAD', 'ORD', 'DEN', 'IAH', 'SFO', 'LAX', 'GUM']) {
+        assert.equal(airports.lookup(code)?.type, 'airport', code);
+    }
+    assert.ok(airports.lookup('NYC').airports.every(Boolean), 'metro members are all in the dataset');
+    assert.ok(airports.lookup('SFO').timezone);
+});
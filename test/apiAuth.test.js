@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { ApiAuth } = require('../apiAuth');
+
+// Run a middleware against a client, returning the status it answered with (or 'next')
+function statusFor(middleware, client) {
+    let status = 'next';
+    const res = {
+        status(code) {
+            status = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    middleware({ client }, res, () => {});
+    return status;
+}
+
+test('admin routes are closed while no admin key is configured', () => {
+    const open = new ApiAuth();
+    assert.equal(statusFor(open.requireAdmin(), { name: 'ip:127.0.0.1', admin: false }), 403);
+
+    const withoutAdmin = new ApiAuth({ keys: [{ key: 'team', name: 'team' }] });
+    assert.equal(statusFor(withoutAdmin.requireAdmin(), withoutAdmin.clients.values().next().value), 403);
+});
+
+test('admin keys pass requireAdmin', () => {
+    const auth = new ApiAuth({ keys: [{ key: 'ops', name: 'ops', admin: true }, { key: 'team', name: 'team' }] });
+    const [ops, team] = auth.clients.values();
+
+    assert.equal(statusFor(auth.requireAdmin(), ops), 'next');
+    assert.equal(statusFor(auth.requireAdmin(), team), 403);
+});
+
+// Send a request through authenticate() and limit(), answering with the route's status
+function request(auth, { ip = '203.0.113.7', key, routeStatus = 200 } = {}) {
+    const res = new EventEmitter();
+    Object.assign(res, {
+        statusCode: 200,
+        headers: {},
+        set(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json() {
+            this.emit('finish');
+            return this;
+        }
+    });
+    const req = { ip, query: {}, get: (name) => (name === 'X-API-Key' ? key : undefined) };
+
+    auth.authenticate()(req, res, () => {
+        auth.limit(() => ({ routeClass: 'search' }))(req, res, () => res.status(routeStatus).json({}));
+    });
+    return res.statusCode;
+}
+
+test('without keys every IP address has its own rate limit', () => {
+    const auth = new ApiAuth({ defaults: { search: { perMinute: 2, perDay: null } } });
+
+    assert.deepEqual([1, 2, 3].map(() => request(auth, { ip: '203.0.113.7' })), [200, 200, 429]);
+    assert.equal(request(auth, { ip: '198.51.100.1' }), 200);
+
+    const usage = auth.getUsage();
+    assert.equal(usage.authentication, 'off');
+    assert.deepEqual(
+        usage.clients.map((client) => [client.id, client.routeClasses.search.total, client.routeClasses.search.rejected]),
+        [['ip:203.0.113.7', 2, 1], ['ip:198.51.100.1', 1, 0]]
+    );
+});
+
+test('keys with the same name have separate quotas', () => {
+    const auth = new ApiAuth({
+        keys: [{ key: 'first', name: 'team' }, { key: 'second', name: 'team' }],
+        defaults: { search: { perMinute: 1, perDay: null } }
+    });
+
+    assert.equal(request(auth, { key: 'first' }), 200);
+    assert.equal(request(auth, { key: 'first' }), 429);
+    assert.equal(request(auth, { key: 'second' }), 200);
+    assert.equal(new Set(auth.getUsage().clients.map((client) => client.id)).size, 2);
+});
+
+test('requests the route rejects are not charged', () => {
+    const auth = new ApiAuth({ defaults: { search: { perMinute: 1, perDay: 1 } } });
+
+    assert.equal(request(auth, { routeStatus: 400 }), 400);
+    assert.equal(request(auth, { routeStatus: 404 }), 404);
+    assert.equal(request(auth), 200);
+    assert.equal(request(auth), 429);
+
+    const [client] = auth.getUsage().clients;
+    assert.equal(client.routeClasses.search.total, 1);
+    assert.equal(client.routeClasses.search.today, 1);
+});
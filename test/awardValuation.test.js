@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isAwardSearch, itineraryKey, centsPerMile, valueAwardResults } = require('../awardValuation');
+
+const segments = [
+    { marketingCarrier: 'UA', flightNumber: '1234', departDateTime: '2025-08-15 06:05' },
+    { marketingCarrier: 'UA', flightNumber: '567', departDateTime: '2025-08-15 09:30' }
+];
+
+function results(id, products) {
+    return { flights: [{ tripIndex: 1, itineraries: [{ id, flightNumbers: ['UA1234', 'UA567'], segments, products }] }] };
+}
+
+const cash = results('cash-hash', [
+    { productType: 'ECONOMY', cabinType: 'Coach', price: 389, currency: 'USD' },
+    { productType: 'ECONOMY-UNRESTRICTED', cabinType: 'Coach', price: 589, currency: 'USD' },
+    { productType: 'FIRST', cabinType: 'First', price: 1200, currency: 'USD' }
+]);
+
+test('award searches are recognized from their advanced options', () => {
+    assert.equal(isAwardSearch({ advanced: { awardTravel: true } }), true);
+    assert.equal(isAwardSearch({ advanced: { bookWithMiles: true } }), true);
+    assert.equal(isAwardSearch({ advanced: { nonstopOnly: true } }), false);
+    assert.equal(isAwardSearch(null), false);
+});
+
+test('cents per mile is the cash price less award taxes per mile', () => {
+    assert.equal(centsPerMile({ miles: 25000, taxes: 5.6, currency: 'USD' }, { price: 389, currency: 'USD' }), 1.53);
+    assert.equal(centsPerMile({ miles: 70000, taxes: 0 }, { price: 1200, currency: 'USD' }), 1.71);
+
+    assert.equal(centsPerMile({ miles: 25000 }, null), null);
+    assert.equal(centsPerMile({ miles: 0 }, { price: 389 }), null);
+    assert.equal(centsPerMile({ miles: 25000, taxes: 40, currency: 'CAD' }, { price: 389, currency: 'USD' }), null);
+});
+
+test('itineraries match by flights, not by United\'s per-search ids', () => {
+    assert.equal(itineraryKey({ segments }), 'UA1234@2025-08-15 06:05/UA567@2025-08-15 09:30');
+});
+
+test('award products are valued against the same product type, else the same cabin', () => {
+    const award = results('award-hash', [
+        { productType: 'ECONOMY', cabinType: 'Coach', miles: 25000, taxes: 5.6, currency: 'USD' },
+        { productType: 'MIN-BUSINESS-SURP-OR-DISP', cabinType: 'First', miles: 70000, taxes: 5.6, currency: 'USD' },
+        { productType: 'PREMIUM-ECONOMY', cabinType: 'Premium Economy', miles: 40000, taxes: 5.6, currency: 'USD' }
+    ]);
+
+    const valued = valueAwardResults(award, cash, { id: 'cash-search', url: 'https://united.example/cash' });
+    const [economy, first, premium] = valued.flights[0].itineraries[0].products;
+
+    assert.equal(economy.cashPrice, 389);
+    assert.equal(economy.centsPerMile, 1.53);
+    assert.equal(first.cashPrice, 1200);
+    assert.equal(first.centsPerMile, 1.71);
+    assert.equal(premium.cashPrice, null);
+    assert.equal(premium.centsPerMile, null);
+
+    assert.equal(valued.flights[0].itineraries[0].bestCentsPerMile, 1.71);
+    assert.deepEqual(valued.awardValuation, {
+        cashSearchId: 'cash-search',
+        cashSearchUrl: 'https://united.example/cash',
+        cashSearchedAt: null,
+        matchedItineraries: 1,
+        unmatchedItineraries: 0,
+        best: {
+            centsPerMile: 1.71,
+            itineraryId: 'award-hash',
+            flightNumbers: ['UA1234', 'UA567'],
+            productType: 'MIN-BUSINESS-SURP-OR-DISP',
+            miles: 70000,
+            taxes: 5.6,
+            cashPrice: 1200,
+            currency: 'USD'
+        }
+    });
+});
+
+test('flights missing from the cash search are counted as unmatched', () => {
+    const other = results('award-hash', [{ productType: 'ECONOMY', miles: 25000 }]);
+    other.flights[0].itineraries[0].segments = [{ marketingCarrier: 'UA', flightNumber: '9', departDateTime: '2025-08-15 20:00' }];
+
+    const valued = valueAwardResults(other, cash);
+    assert.equal(valued.awardValuation.unmatchedItineraries, 1);
+    assert.equal(valued.awardValuation.best, null);
+    assert.equal(valued.flights[0].itineraries[0].products[0].centsPerMile, null);
+});
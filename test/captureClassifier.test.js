@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyCapture, unwrapPayload } = require('../captureClassifier');
+
+const recorded = require('../search_results_20250614_000945.json').results.rawData;
+
+const teaserTexts = {
+    Data: { ColumnInformation: { Columns: [{ Type: 'ECONOMY', TeaserTexts: [{ Text: 'Lowest fare' }] }] } }
+};
+
+test('the URL decides for known endpoints', () => {
+    const base = 'https://www.united.com/api/flight';
+
+    assert.equal(classifyCapture(`${base}/FetchFlights`, {}), 'flights');
+    assert.equal(classifyCapture(`${base}/GetTeaserTexts?lang=en`, recorded), 'teaserTexts');
+    assert.equal(classifyCapture(`${base}/FetchFareWheel`, {}), 'fareWheel');
+    assert.equal(classifyCapture(`${base}/FetchFlightsSomethingElse`, {}), 'unknown');
+});
+
+test('without a known URL the payload shape decides', () => {
+    assert.equal(classifyCapture('inline:0', recorded), 'flights');
+    assert.equal(classifyCapture('inline:1', teaserTexts), 'teaserTexts');
+    assert.equal(classifyCapture('inline:2', { Data: { Calendar: { Months: [] } } }), 'fareWheel');
+});
+
+test('teaser texts are not mistaken for flights, nor flights for teaser texts', () => {
+    // FetchFlights columns can carry TeaserTexts too; Trips makes it flights
+    const flightsWithTeasers = {
+        data: { Trips: [], ColumnInformation: teaserTexts.Data.ColumnInformation }
+    };
+    assert.equal(classifyCapture('replay.json', flightsWithTeasers), 'flights');
+
+    const columnsOnly = { Data: { ColumnInformation: { Columns: [{ Type: 'ECONOMY' }] } } };
+    assert.equal(classifyCapture('replay.json', columnsOnly), 'unknown');
+});
+
+test('anything else is unknown', () => {
+    assert.equal(classifyCapture('https://www.united.com/api/home/Config', { Data: { Flags: {} } }), 'unknown');
+    assert.equal(classifyCapture(undefined, null), 'unknown');
+    assert.equal(classifyCapture('inline:0', 'not json'), 'unknown');
+});
+
+test('payloads are unwrapped from data or Data', () => {
+    assert.equal(unwrapPayload({ data: 1 }), 1);
+    assert.equal(unwrapPayload({ Data: 2 }), 2);
+    assert.deepEqual(unwrapPayload({ Trips: [] }), { Trips: [] });
+    assert.equal(unwrapPayload(null), null);
+});
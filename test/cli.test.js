@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { run, EXIT_CODES } = require('../cli');
+
+const CAPTURE = require.resolve('../search_results_20250614_000945.json');
+
+async function cli(...args) {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: (text) => (output.stdout += text) },
+        stderr: { write: (text) => (output.stderr += text) }
+    };
+    output.code = await run(args, io);
+    return output;
+}
+
+test('build writes the URL for the flags', async () => {
+    const { code, stdout } = await cli(
+        'build', '-f', 'PHL', '-t', 'EWR', '-d', '2026-11-18', '--today', '2026-10-19',
+        '--adults', '2', '--infants-on-lap', '1', '--nonstop', '--cabin', 'business', '--param', 'foo=bar'
+    );
+    const url = new URL(stdout.trim());
+
+    assert.equal(code, EXIT_CODES.ok);
+    assert.equal(url.searchParams.get('d'), '2026-11-18');
+    assert.equal(url.searchParams.get('px'), '2,0,0,0,0,0,0,1');
+    assert.equal(url.searchParams.get('ns'), '1');
+    assert.equal(url.searchParams.get('foo'), 'bar');
+});
+
+test('parse round-trips a built URL as JSON', async () => {
+    const built = await cli('build', '--segment', 'PHL:LAX:2026-11-18', '--segment', 'LAX:SFO:2026-11-20', '--today', '2026-10-19');
+    const { code, stdout } = await cli('parse', built.stdout.trim(), '--format', 'json');
+    const params = JSON.parse(stdout);
+
+    assert.equal(code, EXIT_CODES.ok);
+    assert.equal(params.tripType, 'multicity');
+    assert.deepEqual(params.segments.map((segment) => segment.to), ['LAX', 'SFO']);
+});
+
+test('bad flags and invalid search parameters are usage errors', async () => {
+    assert.equal((await cli('build', '--wat')).code, EXIT_CODES.usage);
+    assert.equal((await cli('fly')).code, EXIT_CODES.usage);
+    assert.equal((await cli('build', '-f', 'PHL')).code, EXIT_CODES.usage);
+
+    const { code, stderr } = await cli('build', '-f', 'PHL', '-t', 'XXX', '-d', '+30d');
+    assert.equal(code, EXIT_CODES.usage);
+    assert.match(stderr, /Unknown airport code 'XXX'/);
+});
+
+test('replay prints results as a table or CSV rows', async () => {
+    const table = await cli('replay', CAPTURE);
+    assert.equal(table.code, EXIT_CODES.ok);
+    assert.match(table.stdout.split('\n')[0], /^Trip\s+Depart\s+Arrive/);
+    assert.match(table.stdout, /PHL\s+EWR\s+UA4578 UA4187\s+1\s+3h 19m/);
+
+    const csv = await cli('replay', CAPTURE, '--rows', 'fare', '-o', 'csv');
+    const [header, ...rows] = csv.stdout.trim().split('\r\n');
+    assert.match(header, /^searchId,tripIndex,itineraryId,.*,refundable/);
+    assert.ok(rows.length > 15);
+});
+
+test('replay of a capture without flights exits with noResults', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cli-')), 'capture.json');
+    fs.writeFileSync(file, JSON.stringify({
+        metadata: { url: 'https://www.united.com/api/flight/FetchFlights' },
+        flightData: { data: { Trips: [] } }
+    }));
+
+    const { code, stdout, stderr } = await cli('replay', file);
+    assert.equal(code, EXIT_CODES.noResults);
+    assert.equal(stdout, '');
+    assert.match(stderr, /No flights found/);
+
+    assert.equal((await cli('replay', 'does-not-exist.json')).code, EXIT_CODES.usage);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const { parseDate, validateTravelDate } = require('../dateParser');
+const { UnitedURLBuilder } = require('../urlBuilder');
+
+// A Friday
+const today = '2025-08-15';
+
+test('formats are read without a timezone shift', () => {
+    const script =
+        "const { UnitedURLBuilder } = require('./urlBuilder');" +
+        "const builder = new UnitedURLBuilder({ today: '2025-08-01' });" +
+        "process.stdout.write(['08/15/2025', 'Aug 15 2025', new Date(2025, 7, 15)].map((d) => builder.formatDate(d)).join());";
+
+    for (const tz of ['Asia/Tokyo', 'Pacific/Kiritimati', 'America/Los_Angeles']) {
+        const output = execFileSync(process.execPath, ['-e', script], {
+            cwd: `${__dirname}/..`,
+            env: { ...process.env, TZ: tz }
+        });
+        assert.equal(String(output), '2025-08-15,2025-08-15,2025-08-15', tz);
+    }
+});
+
+test('absolute formats', () => {
+    assert.equal(parseDate('2025-08-15'), '2025-08-15');
+    assert.equal(parseDate('2025-08-15T23:30:00-07:00'), '2025-08-15');
+    assert.equal(parseDate('08/15/2025'), '2025-08-15');
+    assert.equal(parseDate('15/08/2025', { slashOrder: 'DMY' }), '2025-08-15');
+    assert.equal(parseDate('15.08.2025'), '2025-08-15');
+    assert.equal(parseDate('15 August 2025'), '2025-08-15');
+    assert.equal(parseDate('2025-W33-5'), '2025-08-15');
+    assert.equal(parseDate('2026-W01-1'), '2025-12-29');
+    assert.throws(() => parseDate('2025-02-29'), /not a calendar date/);
+    assert.throws(() => parseDate('2025-W53-1'), /no ISO week 53/);
+    assert.throws(() => parseDate('someday'), /accepted:/);
+});
+
+test('relative expressions', () => {
+    assert.equal(parseDate('today', { today }), '2025-08-15');
+    assert.equal(parseDate('tomorrow', { today }), '2025-08-16');
+    assert.equal(parseDate('+14d', { today }), '2025-08-29');
+    assert.equal(parseDate('in 2 weeks', { today }), '2025-08-29');
+    assert.equal(parseDate('+6m', { today: '2025-08-31' }), '2026-02-28');
+    assert.equal(parseDate('friday', { today }), '2025-08-15');
+    assert.equal(parseDate('next friday', { today }), '2025-08-22');
+    assert.equal(parseDate('mon', { today }), '2025-08-18');
+    assert.equal(parseDate('Jan 5', { today }), '2026-01-05');
+});
+
+test('unbookable dates are rejected', () => {
+    assert.throws(() => validateTravelDate('2025-08-14', { today }), /in the past \(today is 2025-08-15\)/);
+    assert.throws(() => validateTravelDate('2026-07-19', { today }), /booking horizon \(latest bookable date is 2026-07-18\)/);
+    validateTravelDate('2026-07-18', { today });
+
+    const builder = new UnitedURLBuilder({ today });
+    assert.throws(() => builder.buildRoundTripURL('PHL', 'SFO', '2025-08-20', '2025-08-18'), /before departDate/);
+    assert.throws(() => builder.buildOneWayURL('PHL', 'SFO', 'yesterday'), /departDate 2025-08-14 is in the past/);
+    assert.throws(
+        () => builder.buildMultiCityURL([
+            { from: 'PHL', to: 'SFO', date: '+1d' },
+            { from: 'SFO', to: 'PHL', date: '+400d' }
+        ]),
+        /Segment 2 date .* booking horizon/
+    );
+    assert.match(builder.buildOneWayURL('PHL', 'SFO', 'yesterday', { validateDates: false }), /d=2025-08-14/);
+});
+
+test('parseURL keeps old links rebuildable', () => {
+    const builder = new UnitedURLBuilder({ today });
+    const url = 'https://www.united.com/en/us/fsr/choose-flights?f=PHL&t=SFO&d=2024-01-10&r=2024-01-12&tqp=R&px=1';
+    const parsed = builder.parseURL(url);
+
+    assert.equal(parsed.validateDates, false);
+    assert.equal(builder.buildURL(parsed), url);
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const { FareWatcher, publicLookup } = require('../fareWatch');
+const { UnitedURLBuilder } = require('../urlBuilder');
+const { setLogOutput } = require('../logger');
+
+setLogOutput(() => {});
+
+const search = { from: 'PHL', to: 'EWR', departDate: '+30d' };
+
+function watcher(options = {}) {
+    const storageFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'watches-')), 'watches.json');
+    return new FareWatcher(null, { storageFile, ...options });
+}
+
+test('webhooks to local, private and link-local addresses are rejected', async () => {
+    const watches = watcher();
+
+    for (const webhook of [
+        'http://localhost:3000/hook',
+        'http://127.0.0.1/hook',
+        'http://10.1.2.3/hook',
+        'http://192.168.0.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'file:///etc/passwd'
+    ]) {
+        assert.throws(() => watches.create({ search, targetPrice: 100, notify: { webhook } }), /notify\.webhook/, webhook);
+    }
+
+    const watch = watches.create({ search, targetPrice: 100, notify: { webhook: 'https://93.184.215.14/hook' } });
+    assert.equal(watch.notify.webhook, 'https://93.184.215.14/hook');
+});
+
+test('a webhook host allowlist admits only the listed hosts', () => {
+    const watches = watcher({ webhookHosts: ['alerts.internal'] });
+
+    assert.ok(watches.create({ search, targetPrice: 100, notify: { webhook: 'http://alerts.internal/hook' } }));
+    assert.throws(
+        () => watches.create({ search, targetPrice: 100, notify: { webhook: 'https://example.com/hook' } }),
+        /must be one of alerts\.internal/
+    );
+});
+
+test('changing the search or cabin resets the price baseline', () => {
+    const watches = watcher();
+    const watch = watches.create({ search, dropPercent: 10 });
+    Object.assign(watch, { baselinePrice: 300, lowestPrice: 250, triggered: true });
+
+    watches.update(watch.id, { dropPercent: 20 });
+    assert.equal(watch.baselinePrice, 300);
+    assert.equal(watch.triggered, true);
+
+    watches.update(watch.id, { search: { ...search, to: 'LAX' } });
+    assert.equal(watch.baselinePrice, null);
+    assert.equal(watch.lowestPrice, null);
+    assert.equal(watch.triggered, false);
+
+    Object.assign(watch, { baselinePrice: 400, triggered: true });
+    watches.update(watch.id, { cabin: 'first' });
+    assert.equal(watch.baselinePrice, null);
+    assert.equal(watch.triggered, false);
+});
+
+test('relative dates are pinned when the watch is saved, and a new day means a new search', () => {
+    const urlBuilder = new UnitedURLBuilder({ today: '2025-06-01' });
+    const watches = watcher({ urlBuilder });
+    const watch = watches.create({ search, dropPercent: 10 });
+
+    assert.equal(watch.search.departDate, '2025-07-01');
+    Object.assign(watch, { baselinePrice: 300, triggered: true });
+
+    // Editing something else keeps the pinned date, even on a later day
+    urlBuilder.today = '2025-06-05';
+    watches.update(watch.id, { targetPrice: 250 });
+    assert.equal(watch.search.departDate, '2025-07-01');
+    assert.equal(watch.baselinePrice, 300);
+
+    // Giving the same relative date again now means other flights
+    watches.update(watch.id, { search });
+    assert.equal(watch.search.departDate, '2025-07-05');
+    assert.equal(watch.baselinePrice, null);
+    assert.equal(watch.triggered, false);
+});
+
+test('a check runs the given search and records the cheapest fare', async () => {
+    const watches = watcher();
+    const watch = watches.create({ search, targetPrice: 100 });
+    const searched = [];
+
+    await watches.check(watch.id, async (url) => {
+        searched.push(url);
+        return {
+            flights: [{
+                tripIndex: 1,
+                itineraries: [{
+                    id: 'a',
+                    flightNumbers: ['UA1'],
+                    products: [{ productType: 'ECONOMY', price: 120, currency: 'USD' }, { productType: 'FIRST', price: null }]
+                }]
+            }]
+        };
+    });
+    await watches.check(watch.id, async () => {
+        throw new Error('Search job timed out');
+    });
+
+    assert.deepEqual(searched, [watch.url]);
+    assert.deepEqual(watch.history.map((entry) => [entry.status, entry.price, entry.error]), [
+        ['ok', 120, undefined],
+        ['failed', undefined, 'Search job timed out']
+    ]);
+    assert.equal(watch.baselinePrice, 120);
+    assert.equal(watch.triggered, false);
+});
+
+test('a watch whose departure date has passed is deactivated instead of searched', async () => {
+    const watches = watcher({ urlBuilder: new UnitedURLBuilder({ today: '2025-06-01' }) });
+    const watch = watches.create({ search: { ...search, departDate: '2025-06-20' }, targetPrice: 100 });
+
+    assert.equal(watches.expire(watch, new Date(2025, 5, 20, 12)), false);
+    assert.equal(watch.active, true);
+
+    await watches.check(watch.id, async () => assert.fail('expired watches are not searched'));
+    assert.equal(watch.active, false, 'check() uses the current date, long after 2025-06-20');
+    assert.equal(watch.history.length, 0);
+});
+
+test('webhook hosts that resolve to blocked addresses are refused at connect time', async () => {
+    const lookup = (hostname, options) => new Promise((resolve, reject) => {
+        publicLookup(hostname, options, (error, address) => (error ? reject(error) : resolve(address)));
+    });
+
+    await assert.rejects(lookup('localhost', {}), /resolves to a local or private address/);
+    await assert.rejects(lookup('localhost', { all: true }), /resolves to a local or private address/);
+});
+
+test('alerts are POSTed to the webhook and only 2xx answers count as delivered', async (t) => {
+    const received = [];
+    let status = 204;
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', (chunk) => { body += chunk; });
+        request.on('end', () => {
+            received.push({ method: request.method, type: request.headers['content-type'], body: JSON.parse(body) });
+            response.writeHead(status, status === 302 ? { Location: 'http://169.254.169.254/' } : {});
+            response.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const watches = watcher({ webhookHosts: ['127.0.0.1'] });
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+    await watches.postWebhook(url, { price: 99 });
+    assert.deepEqual(received, [{ method: 'POST', type: 'application/json', body: { price: 99 } }]);
+
+    status = 500;
+    await assert.rejects(watches.postWebhook(url, { price: 98 }), /Webhook responded with 500/);
+
+    // Redirects are not followed
+    status = 302;
+    await assert.rejects(watches.postWebhook(url, { price: 97 }), /Webhook responded with 302/);
+    assert.equal(received.length, 3);
+});
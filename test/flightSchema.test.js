@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { validateFlightPayload, SchemaDriftLog } = require('../flightSchema');
+const { UnitedFlightSearcher } = require('../united');
+const { setLogOutput } = require('../logger');
+
+const recorded = require('../search_results_20250614_000945.json').results.rawData;
+const logLines = [];
+setLogOutput((line) => logLines.push(JSON.parse(line)));
+
+function payload() {
+    return structuredClone(recorded.data);
+}
+
+function replay(data, options = {}) {
+    const searcher = new UnitedFlightSearcher({ saveResponses: false, ...options });
+    return searcher.replay({ metadata: { url: 'https://www.united.com/api/flight/FetchFlights' }, flightData: { data } });
+}
+
+test('recorded FetchFlights responses match the schema', () => {
+    const report = validateFlightPayload(payload());
+
+    assert.equal(report.valid, true);
+    assert.equal(report.drift, false);
+    assert.deepEqual(report.newFields, []);
+});
+
+test('missing, wrongly typed and new fields are reported once per path', () => {
+    const data = payload();
+    delete data.Trips[0].Flights[0].FlightNumber;
+    delete data.Trips[0].Flights[1].FlightNumber;
+    data.Trips[0].Flights[0].Products[0].Prices[0].Amount = true;
+    data.Trips[0].Flights[0].Products[0].Upgrades = [];
+
+    const report = validateFlightPayload(data);
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.missing, [{ path: 'Trips[].Flights[].FlightNumber', expected: 'string', count: 2 }]);
+    assert.deepEqual(report.mismatched, [
+        { path: 'Trips[].Flights[].Products[].Prices[].Amount', expected: 'number|string', actual: 'boolean', count: 1 }
+    ]);
+    assert.deepEqual(report.newFields, [{ path: 'Trips[].Flights[].Products[].Upgrades', type: 'array', count: 1 }]);
+});
+
+test('new fields alone are drift but still valid', () => {
+    const data = payload();
+    data.Itineraries = [];
+
+    const report = validateFlightPayload(data);
+    assert.equal(report.valid, true);
+    assert.equal(report.drift, true);
+});
+
+test('parsed results carry the schema report and an error for an unknown shape', () => {
+    assert.equal(replay(payload()).metadata.schema.valid, true);
+
+    const results = replay({ Journeys: [] });
+
+    assert.match(results.error, /no Trips array/);
+    assert.deepEqual(results.metadata.schema.missing.map((entry) => entry.path), ['Trips']);
+});
+
+test('drift is recorded for live searches but not for replayed captures', () => {
+    const recordedDrift = [];
+    const schemaDrift = { record: (report) => recordedDrift.push(report) };
+
+    logLines.length = 0;
+    const results = replay({ Journeys: [] }, { schemaDrift });
+
+    assert.equal(results.metadata.schema.drift, true);
+    assert.deepEqual(recordedDrift, []);
+    assert.ok(!logLines.some((line) => /does not match schema/.test(line.msg)));
+
+    const searcher = new UnitedFlightSearcher({ saveResponses: false, schemaDrift });
+    searcher.checkSchema([{ data: { Journeys: [] } }], searcher.createSession());
+    assert.equal(recordedDrift.length, 1);
+    assert.ok(logLines.some((line) => line.level === 'warn' && /does not match schema/.test(line.msg)));
+});
+
+test('drift history is persisted and alerts only on first sight', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'drift-')), 'drift.json');
+    const data = payload();
+    data.Trips[0].Flights[0].Products = 'none';
+    const report = validateFlightPayload(data);
+
+    logLines.length = 0;
+    const driftLog = new SchemaDriftLog({ file });
+    assert.equal(driftLog.record(report, { searchId: 's1' }).length, 1);
+    assert.equal(driftLog.record(report, { searchId: 's2' }).length, 0);
+    assert.equal(logLines.filter((line) => /schema drift detected/.test(line.msg)).length, 1);
+
+    const [change] = new SchemaDriftLog({ file }).getHistory();
+    assert.equal(change.kind, 'mismatched');
+    assert.equal(change.path, 'Trips[].Flights[].Products');
+    assert.equal(change.searches, 2);
+    assert.equal(change.lastSearchId, 's2');
+});
+
+test('drift history keeps only the most recently seen changes', () => {
+    const driftLog = new SchemaDriftLog({ maxChanges: 2 });
+    const report = (path) => ({ drift: true, schemaVersion: 1, missing: [], mismatched: [], newFields: [{ path, type: 'string', count: 1 }] });
+
+    logLines.length = 0;
+    driftLog.record(report('A'));
+    driftLog.record(report('B'));
+    driftLog.changes.get('1:newFields:A').lastSeenAt = '2000-01-01T00:00:00.000Z';
+    driftLog.record(report('C'));
+
+    assert.deepEqual(driftLog.getHistory().map((change) => change.path).sort(), ['B', 'C']);
+});
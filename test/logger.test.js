@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { createLogger, setLogLevel, getLogLevels, setLogOutput } = require('../logger');
+
+const lines = [];
+setLogOutput((line) => lines.push(JSON.parse(line)));
+
+test('per-module levels can only be set for modules that log', () => {
+    const log = createLogger('loggerTest');
+
+    setLogLevel('error', 'loggerTest');
+    log.warn('hidden');
+    log.error('shown');
+    assert.deepEqual(lines.map((line) => line.msg), ['shown']);
+
+    assert.throws(() => setLogLevel('debug', 'no-such-module'), /Unknown log module 'no-such-module'/);
+    assert.throws(() => setLogLevel('debug', { toString: () => 'loggerTest' }), /Unknown log module/);
+    assert.equal(getLogLevels().modules['no-such-module'], undefined);
+    assert.ok(getLogLevels().knownModules.includes('loggerTest'));
+});
+
+test('log lines go to stderr unless sent elsewhere', () => {
+    const script = "require('./logger').createLogger('loggerTest').info('to stderr')";
+    const child = spawnSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), encoding: 'utf8' });
+
+    assert.equal(child.stdout, '');
+    assert.equal(JSON.parse(child.stderr).msg, 'to stderr');
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { MockUnitedSite } = require('../mockUnited');
+const { UnitedFlightSearcher } = require('../united');
+const { UnitedURLBuilder } = require('../urlBuilder');
+
+const searchURL = new UnitedURLBuilder().buildOneWayURL('PHL', 'EWR', '+30d');
+
+const site = new MockUnitedSite();
+test.before(() => site.start());
+test.after(() => site.stop());
+test.beforeEach(() => {
+    site.setScenario();
+    site.requests.length = 0;
+});
+
+function fetchFlights() {
+    return fetch(`${site.baseUrl}/api/flight/FetchFlights`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ f: 'PHL' })
+    });
+}
+
+test('serves a results page that calls the flight API', async () => {
+    const path = new URL(searchURL);
+    const page = await fetch(`${site.baseUrl}${path.pathname}${path.search}`).then((response) => response.text());
+
+    assert.match(page, /<title>United Airlines - Flight Search Results<\/title>/);
+    assert.match(page, /GetTeaserTexts/);
+    assert.match(page, /"f":"PHL"/);
+
+    const response = await fetchFlights();
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.ok(body.data.Trips.length > 0);
+    assert.deepEqual(site.requestsTo('/api/flight/FetchFlights')[0].body, { f: 'PHL' });
+});
+
+test('simulates slow, failing, empty and malformed responses', async () => {
+    site.setScenario({ delayMs: 300 });
+    const started = Date.now();
+    await fetchFlights();
+    assert.ok(Date.now() - started >= 300);
+
+    site.setScenario({ status: 503 });
+    assert.equal((await fetchFlights()).status, 503);
+
+    site.setScenario({ emptyBody: true });
+    assert.equal(await (await fetchFlights()).text(), '');
+
+    site.setScenario({ malformedBody: true });
+    await assert.rejects((await fetchFlights()).json(), SyntaxError);
+
+    site.setScenario({ dropConnection: true });
+    await assert.rejects(fetchFlights());
+});
+
+test('drops the first page loads when asked to', async () => {
+    site.setScenario({ pageFailures: 1 });
+    const page = `${site.baseUrl}/en/us/fsr/choose-flights?f=PHL`;
+
+    await assert.rejects(fetch(page));
+    assert.equal((await fetch(page)).status, 200);
+});
+
+test('searcher sends united.com URLs to its base URL', () => {
+    const searcher = new UnitedFlightSearcher({ saveResponses: false, baseUrl: 'http://127.0.0.1:4100/' });
+    const resolved = new URL(searcher.resolveURL(searchURL));
+
+    assert.equal(resolved.origin, 'http://127.0.0.1:4100');
+    assert.equal(resolved.search, new URL(searchURL).search);
+    assert.equal(searcher.isFetchFlightsAPI('http://127.0.0.1:4100/api/flight/GetTeaserTexts'), true);
+});
+
+// End-to-end searches need a Chrome binary (CHROME_BIN)
+const chrome = new UnitedFlightSearcher({ saveResponses: false }).getLaunchOptions().executablePath;
+const skip = fs.existsSync(chrome) ? false : `Chrome not found at ${chrome}`;
+
+async function search(scenario, options = {}) {
+    site.setScenario(scenario);
+    const searcher = new UnitedFlightSearcher({
+        saveResponses: false,
+        baseUrl: site.baseUrl,
+        timeout: 10000,
+        resultsTimeout: 8000,
+        ...options
+    });
+    const session = searcher.createSession({ url: searchURL });
+
+    try {
+        return { results: await searcher.searchByURL(searchURL, { session }), session };
+    } catch (error) {
+        error.session = session;
+        throw error;
+    } finally {
+        await searcher.close();
+    }
+}
+
+test('searchByURL intercepts and parses the mock responses', { skip }, async () => {
+    const { results } = await search();
+
+    assert.ok(results.flights[0].itineraries.length > 0);
+    assert.deepEqual(results.metadata.responseTypes, { teaserTexts: 1, flights: 1 });
+    assert.ok(results.teaserTexts.length > 0);
+});
+
+test('searchByURL waits for slow FetchFlights responses', { skip }, async () => {
+    const { results } = await search({ delayMs: 4000 });
+    assert.ok(results.flights[0].itineraries.length > 0);
+});
+
+test('searchByURL retries navigation after a dropped page load', { skip }, async () => {
+    const { results } = await search({ pageFailures: 1 });
+
+    assert.ok(results.flights.length > 0);
+    assert.equal(site.requestsTo('/en/us/fsr/choose-flights').length, 2);
+});
+
+test('searchByURL clicks the search button when results do not start', { skip }, async () => {
+    const { results } = await search({ requireSearchClick: true }, { resultsTimeout: 20000 });
+    assert.ok(results.flights.length > 0);
+});
+
+for (const [name, scenario] of [
+    ['non-200', { status: 500 }],
+    ['empty', { emptyBody: true }],
+    ['malformed', { malformedBody: true }]
+]) {
+    test(`searchByURL fails cleanly on ${name} FetchFlights responses`, { skip }, async () => {
+        await assert.rejects(search(scenario), /No flight data intercepted/);
+    });
+}
+
+test('searchByURL records dropped FetchFlights connections as failed requests', { skip }, async () => {
+    const error = await search({ dropConnection: true }).catch((failure) => failure);
+
+    assert.match(error.message, /No flight data intercepted/);
+    assert.ok(error.session.failedRequests.some((request) => request.url.includes('FetchFlights')));
+});
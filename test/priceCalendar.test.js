@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PriceCalendar } = require('../priceCalendar');
+const { UnitedURLBuilder } = require('../urlBuilder');
+const { setLogOutput } = require('../logger');
+
+setLogOutput(() => {});
+
+const urlBuilder = new UnitedURLBuilder({ today: '2025-06-01' });
+
+function calendar(search = async () => ({ flights: [] }), options = {}) {
+    return new PriceCalendar(search, { urlBuilder, delayMs: 0, ...options });
+}
+
+// Search results with one itinerary per given { cabin: price }
+function resultsWith(prices) {
+    return {
+        flights: [{
+            tripIndex: 1,
+            itineraries: [{
+                id: 'x',
+                flightNumbers: ['UA1'],
+                products: Object.entries(prices).map(([productType, price]) => ({ productType, price, currency: 'USD' }))
+            }]
+        }]
+    };
+}
+
+test('buildSearches makes one URL per departure date', () => {
+    const searches = calendar().buildSearches({ from: 'PHL', to: 'EWR', startDate: '2025-08-30', endDate: '2025-09-02' });
+
+    assert.deepEqual(searches.map((entry) => entry.departDate), ['2025-08-30', '2025-08-31', '2025-09-01', '2025-09-02']);
+    assert.equal(searches[0].returnDate, undefined);
+    assert.equal(urlBuilder.parseURL(searches[3].url).departDate, '2025-09-02');
+    assert.equal(urlBuilder.parseURL(searches[3].url).tripType, 'oneway');
+});
+
+test('buildSearches adds the return date for round trips and passes other options on', () => {
+    const [entry] = calendar().buildSearches({
+        from: 'PHL', to: 'SFO', startDate: '2025-08-30', endDate: '2025-08-30', tripLength: 3, cabinClass: 'business'
+    });
+    const parsed = urlBuilder.parseURL(entry.url);
+
+    assert.equal(entry.returnDate, '2025-09-02');
+    assert.equal(parsed.returnDate, '2025-09-02');
+    assert.equal(parsed.cabinClass, 'business');
+});
+
+test('buildSearches rejects incomplete or oversized windows', () => {
+    const cal = calendar(undefined, { maxDates: 7 });
+
+    assert.throws(() => cal.buildSearches({ from: 'PHL', to: 'EWR', startDate: '2025-08-01' }), /Required parameters/);
+    assert.throws(
+        () => cal.buildSearches({ from: 'PHL', to: 'EWR', startDate: '2025-08-01', endDate: '2025-08-01', tripLength: -1 }),
+        /tripLength must be a non-negative whole number/
+    );
+    assert.throws(() => cal.buildSearches({ from: 'PHL', to: 'EWR', startDate: '2025-08-01', endDate: '2025-08-08' }), /limited to 7 days/);
+});
+
+test('dateRange is inclusive, crosses month ends and does not drift', () => {
+    const cal = calendar();
+
+    assert.deepEqual(cal.dateRange('2025-02-27', '2025-03-02'), ['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02']);
+    assert.deepEqual(cal.dateRange('2025-03-09', '2025-03-10'), ['2025-03-09', '2025-03-10']);
+    assert.deepEqual(cal.dateRange('2025-08-15', '2025-08-15'), ['2025-08-15']);
+    assert.throws(() => cal.dateRange('2025-08-15', '2025-08-14'), /endDate must not be before startDate/);
+    assert.equal(cal.addDays('2024-12-30', 3), '2025-01-02');
+});
+
+test('findCheapest picks the cheapest date per cabin', () => {
+    const cheapest = calendar().findCheapest({
+        '2025-08-15': { returnDate: '2025-08-18', lowest: { ECONOMY: { price: 210, currency: 'USD' }, FIRST: { price: 900, currency: 'USD' } } },
+        '2025-08-16': { returnDate: '2025-08-19', lowest: { ECONOMY: { price: 180, currency: 'USD' } } },
+        '2025-08-17': { returnDate: '2025-08-20', lowest: {} }
+    });
+
+    assert.deepEqual(cheapest, {
+        ECONOMY: { departDate: '2025-08-16', returnDate: '2025-08-19', price: 180, currency: 'USD' },
+        FIRST: { departDate: '2025-08-15', returnDate: '2025-08-18', price: 900, currency: 'USD' }
+    });
+});
+
+test('every date is searched through the search function and failures are kept per date', async () => {
+    const searched = [];
+    const cal = calendar(async (url) => {
+        const { departDate } = urlBuilder.parseURL(url);
+        searched.push(departDate);
+        if (departDate === '2025-08-16') throw new Error('Search timed out after 2 minutes');
+        return resultsWith(departDate === '2025-08-15' ? { ECONOMY: 210 } : { ECONOMY: 150, FIRST: 800 });
+    }, { concurrency: 2 });
+    const progress = [];
+
+    const matrix = await cal.search(
+        { from: 'PHL', to: 'EWR', startDate: '2025-08-15', endDate: '2025-08-17' },
+        (date, entry) => progress.push([date, entry.status])
+    );
+
+    assert.deepEqual(searched.sort(), ['2025-08-15', '2025-08-16', '2025-08-17']);
+    assert.deepEqual(progress.sort(), [['2025-08-15', 'done'], ['2025-08-16', 'failed'], ['2025-08-17', 'done']]);
+    assert.deepEqual(Object.keys(matrix.dates), ['2025-08-15', '2025-08-16', '2025-08-17']);
+    assert.equal(matrix.dates['2025-08-16'].error, 'Search timed out after 2 minutes');
+    assert.deepEqual(matrix.cabins.sort(), ['ECONOMY', 'FIRST']);
+    assert.equal(matrix.cheapest.ECONOMY.departDate, '2025-08-17');
+    assert.equal(matrix.cheapest.ECONOMY.price, 150);
+});
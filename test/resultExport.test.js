@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROW_COLUMNS, flattenResults, toCSV, toNDJSON, findItinerary, toICS } = require('../resultExport');
+
+const itinerary = {
+    id: 'abc123',
+    origin: 'EWR',
+    destination: 'SFO',
+    departDateTime: '2025-08-15 10:40',
+    arrivalDateTime: '2025-08-15 14:05',
+    durationMinutes: 385,
+    stops: 0,
+    flightNumbers: ['UA1234'],
+    connections: [],
+    lowestPrice: 289,
+    lowestMiles: null,
+    currency: 'USD',
+    segments: [{
+        flightNumber: '1234',
+        marketingCarrier: 'UA',
+        operatingCarrier: 'UA',
+        origin: 'EWR',
+        originDescription: 'Newark, NJ, US (EWR)',
+        destination: 'SFO',
+        destinationDescription: 'San Francisco, CA, US (SFO)',
+        departDateTime: '2025-08-15 10:40',
+        arrivalDateTime: '2025-08-15 14:05',
+        originTimezoneOffset: -4,
+        destinationTimezoneOffset: -7,
+        durationMinutes: 385,
+        equipment: { description: 'Boeing 777-200' }
+    }],
+    products: [
+        { productType: 'ECONOMY', price: 289, currency: 'USD', isRefundable: false },
+        { productType: 'FIRST', price: null, miles: null }
+    ]
+};
+const results = { flights: [{ tripIndex: 1, itineraries: [itinerary] }] };
+
+test('rows are flattened per itinerary, segment or priced fare', () => {
+    const [row] = flattenResults(results, { searchId: 's1' });
+    assert.deepEqual(Object.keys(row), ROW_COLUMNS.itinerary);
+    assert.equal(row.searchId, 's1');
+    assert.equal(row.flightNumbers, 'UA1234');
+
+    assert.equal(flattenResults(results, { rows: 'segment' })[0].flightNumber, 'UA1234');
+    assert.deepEqual(flattenResults(results, { rows: 'fare' }).map((fare) => fare.productType), ['ECONOMY']);
+    assert.throws(() => flattenResults(results, { rows: 'leg' }), /Unknown rows 'leg'/);
+});
+
+test('CSV cells with commas, quotes and line breaks are quoted', () => {
+    const csv = toCSV([{ a: 'plain', b: 'one, two', c: 'say "hi"', d: 'two\nlines', e: null }]);
+
+    assert.equal(csv, 'a,b,c,d,e\r\nplain,"one, two","say ""hi""","two\nlines",\r\n');
+});
+
+test('CSV text a spreadsheet would run as a formula is defused', () => {
+    const csv = toCSV([{ a: '=HYPERLINK("http://x")', b: '+1', c: '-2', d: '@SUM(A1)', e: -2, f: '\tx' }]);
+    const [, row] = csv.split('\r\n');
+
+    assert.equal(row, `"'=HYPERLINK(""http://x"")",'+1,'-2,'@SUM(A1),-2,'\tx`);
+});
+
+test('CSV keeps the given column order and writes only a header for no rows', () => {
+    assert.equal(toCSV([{ b: 2, a: 1 }], ['a', 'b']), 'a,b\r\n1,2\r\n');
+    assert.equal(toCSV([], ['a', 'b']), 'a,b\r\n');
+});
+
+test('NDJSON writes one JSON object per line', () => {
+    const ndjson = toNDJSON(flattenResults(results, { rows: 'fare' }));
+    const lines = ndjson.split('\n');
+
+    assert.equal(lines.length, 2);
+    assert.equal(lines[1], '');
+    assert.equal(JSON.parse(lines[0]).price, 289);
+    assert.equal(toNDJSON([]), '');
+});
+
+test('itineraries are found by id in any trip', () => {
+    assert.equal(findItinerary(results, 'abc123'), itinerary);
+    assert.equal(findItinerary(results, 'missing'), null);
+});
+
+test('ICS events carry UTC times from the segment offsets', () => {
+    const ics = toICS(itinerary, { now: new Date('2025-06-01T12:00:00Z'), url: 'https://www.united.com/x' });
+    const lines = ics.split('\r\n');
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines.at(-2), 'END:VCALENDAR');
+    assert.ok(lines.includes('DTSTAMP:20250601T120000Z'));
+    assert.ok(lines.includes('DTSTART:20250815T144000Z'));
+    assert.ok(lines.includes('DTEND:20250815T210500Z'));
+    assert.ok(lines.includes('UID:abc123-1-UA1234@united-flight-search'));
+    assert.ok(lines.includes('SUMMARY:UA1234 EWR → SFO'));
+    assert.ok(!/TZID/.test(ics), 'no TZID without a VTIMEZONE');
+    assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75), 'content lines are folded');
+});
+
+test('ICS falls back to the airport time zone, including its DST offset', () => {
+    const segment = {
+        ...itinerary.segments[0],
+        departDateTime: '2025-01-15 10:40',
+        arrivalDateTime: '2025-01-15 13:55',
+        originTimezoneOffset: undefined,
+        destinationTimezoneOffset: undefined
+    };
+    const ics = toICS({ ...itinerary, segments: [segment] }, { now: new Date(0) });
+
+    assert.match(ics, /\r\nDTSTART:20250115T154000Z\r\n/);
+    assert.match(ics, /\r\nDTEND:20250115T215500Z\r\n/);
+});
+
+test('ICS needs a usable departure time', () => {
+    const segment = { ...itinerary.segments[0], departDateTime: 'soon' };
+    assert.throws(() => toICS({ ...itinerary, segments: [segment] }), /no usable departure time/);
+});
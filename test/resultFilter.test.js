@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilterQuery, applyFilters } = require('../resultFilter');
+
+function itinerary(id, options = {}) {
+    const carriers = options.carriers || [['UA', 'UA']];
+    return {
+        id,
+        stops: options.stops || 0,
+        durationMinutes: options.durationMinutes || 90,
+        departDateTime: `2025-08-15 ${options.depart || '08:00'}`,
+        arrivalDateTime: `2025-08-15 ${options.arrive || '09:30'}`,
+        segments: carriers.map(([marketingCarrier, operatingCarrier]) => ({ marketingCarrier, operatingCarrier })),
+        connections: (options.connections || []).map((airport) => ({ airport })),
+        products: options.products
+    };
+}
+
+function product(productType, cabinType, price, extra = {}) {
+    return { productType, cabinType, price, currency: 'USD', miles: null, isRefundable: false, ...extra };
+}
+
+const results = {
+    flights: [{
+        tripIndex: 1,
+        itineraries: [
+            itinerary('cheap', {
+                depart: '06:05',
+                arrive: '07:20',
+                products: [
+                    product('ECONOMY', 'Coach', 120),
+                    product('ECONOMY-UNRESTRICTED', 'Coach', 320, { isRefundable: true }),
+                    product('FIRST', 'First', 540)
+                ]
+            }),
+            itinerary('connecting', {
+                stops: 1,
+                durationMinutes: 300,
+                depart: '13:00',
+                arrive: '18:00',
+                carriers: [['UA', 'UA'], ['UA', 'ZW']],
+                connections: ['IAD'],
+                products: [product('ECONOMY', 'Coach', 95), product('FIRST', 'First', null)]
+            }),
+            itinerary('award', {
+                depart: '19:45',
+                arrive: '21:00',
+                products: [product('MIN-ECONOMY-SURP-OR-DISP', 'Coach', null, { miles: 12500, isRefundable: null })]
+            })
+        ]
+    }]
+};
+
+function ids(filters) {
+    return applyFilters(results, filters).flights[0].itineraries.map((entry) => entry.id);
+}
+
+test('maxPrice keeps fares at or below the cap and never unpriced ones', () => {
+    assert.deepEqual(ids({ maxPrice: 120 }), ['cheap', 'connecting']);
+    assert.deepEqual(ids({ maxPrice: 100 }), ['connecting']);
+
+    const [cheap] = applyFilters(results, { maxPrice: 400 }).flights[0].itineraries;
+    assert.deepEqual(cheap.products.map((entry) => entry.productType), ['ECONOMY', 'ECONOMY-UNRESTRICTED']);
+});
+
+test('maxMiles keeps award fares within the cap, not cash fares without miles', () => {
+    assert.deepEqual(ids({ maxMiles: 15000 }), ['award']);
+    assert.deepEqual(ids({ maxMiles: 10000 }), []);
+});
+
+test('cabin matches product types or cabin names and narrows the products', () => {
+    assert.deepEqual(ids({ cabin: ['FIRST'] }), ['cheap']);
+    assert.deepEqual(ids({ cabin: ['COACH'] }), ['cheap', 'connecting', 'award']);
+
+    const [cheap] = applyFilters(results, { cabin: ['FIRST'] }).flights[0].itineraries;
+    assert.equal(cheap.lowestPrice, 540);
+    assert.equal(cheap.products.length, 1);
+});
+
+test('refundable matches known refundability only', () => {
+    assert.deepEqual(ids({ refundable: true }), ['cheap']);
+    assert.deepEqual(ids({ refundable: false }), ['cheap', 'connecting']);
+});
+
+test('stops, duration, times and carriers filter whole itineraries', () => {
+    assert.deepEqual(ids({ maxStops: 0 }), ['cheap', 'award']);
+    assert.deepEqual(ids({ maxDuration: 120 }), ['cheap', 'award']);
+    assert.deepEqual(ids({ departAfter: '12:00' }), ['connecting', 'award']);
+    assert.deepEqual(ids({ departBefore: '12:00' }), ['cheap']);
+    assert.deepEqual(ids({ arriveAfter: '20:00' }), ['award']);
+    assert.deepEqual(ids({ arriveBefore: '18:00' }), ['cheap', 'connecting']);
+    assert.deepEqual(ids({ marketingCarrier: ['UA'] }), ['cheap', 'connecting', 'award']);
+    assert.deepEqual(ids({ operatingCarrier: ['UA'] }), ['cheap', 'award']);
+});
+
+test('sorting puts missing values last', () => {
+    assert.deepEqual(ids({ sort: [{ key: 'price', descending: false }] }), ['connecting', 'cheap', 'award']);
+    assert.deepEqual(ids({ sort: [{ key: 'price', descending: true }] }), ['cheap', 'connecting', 'award']);
+    assert.deepEqual(ids({ sort: [{ key: 'duration', descending: true }, { key: 'depart', descending: false }] }), [
+        'connecting',
+        'cheap',
+        'award'
+    ]);
+});
+
+test('facets count every itinerary before filtering', () => {
+    const { facets } = applyFilters(results, { maxStops: 0 }).flights[0];
+
+    assert.equal(facets.total, 3);
+    assert.equal(facets.matched, 2);
+    assert.deepEqual(facets.refundable, { true: 1, false: 2 });
+    assert.equal(facets.connectionAirports.IAD, 1);
+});
+
+test('query strings become filters', () => {
+    assert.equal(parseFilterQuery({}), null);
+    assert.deepEqual(parseFilterQuery({
+        maxPrice: '300',
+        maxStops: '0',
+        cabin: 'economy, first',
+        refundable: 'false',
+        departAfter: '06:00',
+        sort: 'price,-duration'
+    }), {
+        maxPrice: 300,
+        maxStops: 0,
+        cabin: ['ECONOMY', 'FIRST'],
+        refundable: false,
+        departAfter: '06:00',
+        sort: [{ key: 'price', descending: false }, { key: 'duration', descending: true }]
+    });
+});
+
+test('malformed and repeated query values are rejected', () => {
+    assert.throws(() => parseFilterQuery({ maxPrice: '-1' }), /maxPrice must be a non-negative number/);
+    assert.throws(() => parseFilterQuery({ maxMiles: 'lots' }), /maxMiles must be a non-negative number/);
+    assert.throws(() => parseFilterQuery({ departAfter: '6am' }), /departAfter must be a time in HH:MM format/);
+    assert.throws(() => parseFilterQuery({ refundable: 'yes' }), /refundable must be true or false/);
+    assert.throws(() => parseFilterQuery({ sort: 'cheapest' }), /Unknown sort key 'cheapest'/);
+
+    assert.throws(() => parseFilterQuery({ cabin: ['economy', 'first'] }), /cabin must be a single value/);
+    assert.throws(() => parseFilterQuery({ sort: ['price', 'duration'] }), /sort must be a single value/);
+    assert.throws(() => parseFilterQuery({ maxPrice: ['100', '200'] }), /maxPrice must be a single value/);
+
+    // Parameters that are not filters are left to their routes
+    assert.equal(parseFilterQuery({ format: ['csv', 'json'] }), null);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { SearchCache } = require('../searchCache');
+
+function searchValue(flights, rawSize = 0, totalResponses = 1) {
+    return { results: { flights, rawData: { blob: 'x'.repeat(rawSize) } }, summary: { totalResponses } };
+}
+
+const found = [{ tripIndex: 1, itineraries: [{ id: 'UA1' }] }];
+
+test('cached values leave out rawData', async () => {
+    const cache = new SearchCache();
+    const { value } = await cache.wrap('k', async () => searchValue(found, 1000));
+
+    assert.ok(value.results.rawData, 'the searching caller still gets rawData');
+    const cached = await cache.wrap('k', async () => assert.fail('should hit'));
+    assert.equal(cached.cache.status, 'hit');
+    assert.deepEqual(cached.value, { results: { flights: found }, summary: { totalResponses: 1 } });
+});
+
+test('errors and searches without flights are not cached', async () => {
+    const cache = new SearchCache();
+
+    await cache.wrap('error', async () => ({ results: { flights: found, error: 'Blocked' } }));
+    await cache.wrap('empty', async () => searchValue([{ tripIndex: 1, itineraries: [] }]));
+    await cache.wrap('none', async () => ({ results: null }));
+
+    assert.equal(cache.getStats().entries, 0);
+    const retried = await cache.wrap('empty', async () => searchValue(found));
+    assert.equal(retried.cache.status, 'miss');
+});
+
+test('maxAge 0 does not join a running search', async () => {
+    const cache = new SearchCache();
+    let searches = 0;
+    const search = () => new Promise((resolve) => setTimeout(() => resolve(searchValue(found, 0, ++searches)), 20));
+
+    const [first, joined, fresh] = await Promise.all([
+        cache.wrap('k', search),
+        cache.wrap('k', search),
+        cache.wrap('k', search, { maxAge: 0 })
+    ]);
+
+    assert.equal(searches, 2);
+    assert.equal(joined.cache.status, 'coalesced');
+    assert.equal(joined.value, first.value);
+    assert.equal(fresh.cache.status, 'miss');
+    assert.notEqual(fresh.value, first.value);
+    assert.equal(cache.getStats().inFlight, 0);
+});
+
+test('maxAge cannot stretch past the TTL', () => {
+    const cache = new SearchCache({ ttlMs: 1000 });
+    cache.set('k', searchValue([]));
+    cache.entries.get('k').storedAt -= 5000;
+
+    assert.equal(cache.get('k', 60 * 60 * 1000), null);
+    assert.equal(cache.get('k', 0), null);
+});
+
+test('oldest entries are evicted past maxBytes', () => {
+    const cache = new SearchCache({ maxBytes: 2500 });
+    const flights = [{ note: 'y'.repeat(1000) }];
+
+    cache.set('a', searchValue(flights, 100000));
+    cache.set('b', searchValue(flights));
+    assert.equal(cache.getStats().entries, 2);
+
+    cache.set('c', searchValue(flights));
+    assert.deepEqual([...cache.entries.keys()], ['b', 'c']);
+    assert.ok(cache.getStats().bytes <= 2500);
+});
+
+test('changes are written to the file together, after a delay', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cache-')), 'cache.json');
+    const cache = new SearchCache({ file, saveDelayMs: 20 });
+
+    cache.set('a', searchValue([], 10));
+    cache.set('b', searchValue([]));
+    assert.equal(fs.existsSync(file), false);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await cache.flush();
+
+    const restored = new SearchCache({ file });
+    assert.deepEqual([...restored.entries.keys()], ['a', 'b']);
+    assert.equal(restored.get('a').value.results.rawData, undefined);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchEventLog } = require('../searchEvents');
+const { UnitedFlightSearcher } = require('../united');
+const { setLogOutput } = require('../logger');
+
+const recorded = require('../search_results_20250614_000945.json').results.rawData;
+setLogOutput(() => {});
+
+test('events are numbered and replayed after a Last-Event-ID', () => {
+    const events = new SearchEventLog();
+    events.push('status', { status: 'running' });
+    events.push('phase', { phase: 'launch' });
+    events.push('phase', { phase: 'navigate' });
+
+    assert.deepEqual(events.since().map((event) => event.id), [1, 2, 3]);
+    assert.deepEqual(events.since('2').map((event) => event.data.phase), ['navigate']);
+});
+
+test('only the latest partial results stay in the backlog', () => {
+    const events = new SearchEventLog();
+    events.push('partialResults', { flightResponses: 1 });
+    events.push('response', {});
+    events.push('partialResults', { flightResponses: 2 });
+
+    assert.deepEqual(events.since().map((event) => event.type), ['response', 'partialResults']);
+    assert.equal(events.since()[1].data.flightResponses, 2);
+});
+
+test('forwarding copies search progress but not job events', () => {
+    const leader = new SearchEventLog();
+    const follower = new SearchEventLog();
+    leader.push('status', { status: 'running' });
+    leader.push('phase', { phase: 'launch' });
+
+    const stop = leader.forward(follower);
+    leader.push('response', { responseType: 'flights' });
+    leader.push('cache', { status: 'miss' });
+    stop();
+    leader.push('phase', { phase: 'parse' });
+
+    assert.deepEqual(follower.since().map((event) => event.type), ['phase', 'response']);
+});
+
+test('closed logs notify listeners and take no more events', () => {
+    const events = new SearchEventLog();
+    let closed = false;
+    events.once('close', () => (closed = true));
+
+    events.push('done', {});
+    events.close();
+
+    assert.equal(closed, true);
+    assert.equal(events.push('phase', {}), null);
+    assert.equal(events.since().length, 1);
+});
+
+test('search sessions report progress as responses are parsed', () => {
+    const searcher = new UnitedFlightSearcher({ saveResponses: false });
+    const session = searcher.createSession();
+    const progress = [];
+    session.on('progress', (event) => progress.push(event));
+
+    searcher.replay({ metadata: { url: 'https://www.united.com/api/flight/FetchFlights' }, flightData: recorded }, { session });
+
+    assert.deepEqual(progress.map((event) => event.type), ['response', 'phase', 'phase']);
+    assert.equal(progress[0].responseType, 'flights');
+    assert.deepEqual(progress.slice(1).map((event) => event.phase), ['load', 'parse']);
+
+    const partial = searcher.getPartialResults(session);
+    assert.equal(partial.flightResponses, 1);
+    assert.ok(partial.flights[0].itineraries.length > 0);
+});
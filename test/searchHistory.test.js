@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { SearchHistory } = require('../searchHistory');
+const { setLogOutput } = require('../logger');
+
+const logLines = [];
+setLogOutput((line) => logLines.push(JSON.parse(line)));
+
+function tempFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'history.sqlite');
+}
+
+function entry(id) {
+    return { id, url: 'https://www.united.com/en/us/fsr/choose-flights?f=PHL&t=EWR', params: { from: 'PHL', to: 'EWR' }, status: 'done' };
+}
+
+test('inserts are written to the file together', async () => {
+    const file = tempFile();
+    const history = new SearchHistory(file, { persistDelayMs: 20 });
+
+    await history.record(entry('a'));
+    await history.record(entry('b'));
+    assert.equal(fs.existsSync(file), false);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal((await new SearchHistory(file).query()).total, 2);
+
+    await history.record(entry('c'));
+    history.close();
+    assert.equal((await new SearchHistory(file).query()).total, 3);
+});
+
+test('a corrupt database file is reported when the history opens', async () => {
+    const file = tempFile();
+    fs.writeFileSync(file, 'not a database');
+
+    logLines.length = 0;
+    const history = new SearchHistory(file);
+
+    await assert.rejects(history.query(), /Could not open search history/);
+    assert.ok(logLines.some((line) => line.level === 'error' && line.msg === 'Search history is unavailable'));
+});
+
+test('repeated query parameters are rejected', async () => {
+    const history = new SearchHistory(tempFile());
+
+    await assert.rejects(history.query({ from: ['PHL', 'EWR'] }), /from must be a single value/);
+    assert.equal((await history.query({ from: 'phl' })).total, 0);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchQueue } = require('../searchQueue');
+
+// Worker whose jobs finish only when the test says so
+function controlledWorker() {
+    const running = new Map();
+    const worker = (job) => new Promise((resolve, reject) => running.set(job.params.name, { resolve, reject }));
+    return { worker, running };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('no more than `concurrency` jobs run at once, the rest wait in order', async () => {
+    const { worker, running } = controlledWorker();
+    const queue = new SearchQueue(worker, { concurrency: 2 });
+
+    const [a, b, c] = ['a', 'b', 'c'].map((name) => queue.submit({ name }));
+    assert.deepEqual([a.status, b.status, c.status], ['running', 'running', 'queued']);
+    assert.equal(queue.positionOf(c), 1);
+    assert.equal(queue.positionOf(a), 0);
+
+    running.get('a').resolve({ flights: 1 });
+    await tick();
+
+    assert.equal(a.status, 'done');
+    assert.deepEqual(a.result, { flights: 1 });
+    assert.equal(c.status, 'running');
+    assert.deepEqual(queue.getStats(), {
+        concurrency: 2, maxQueued: 100, queued: 0, running: 2, done: 1, failed: 0, cancelled: 0
+    });
+
+    const failure = new Error('Search timed out');
+    failure.details = { troubleshooting: { stage: 'job' } };
+    running.get('b').reject(failure);
+    running.get('c').resolve({});
+    await tick();
+
+    assert.equal(b.status, 'failed');
+    assert.deepEqual(b.error, { message: 'Search timed out', troubleshooting: { stage: 'job' } });
+});
+
+test('submit is refused once maxQueued jobs are waiting', () => {
+    const { worker } = controlledWorker();
+    const queue = new SearchQueue(worker, { concurrency: 1, maxQueued: 2 });
+
+    queue.submit({ name: 'running' });
+    queue.submit({ name: 'waiting-1' });
+    queue.submit({ name: 'waiting-2' });
+
+    assert.equal(queue.isFull(), true);
+    assert.throws(() => queue.submit({ name: 'one-too-many' }), /Search queue is full \(2 jobs waiting\)/);
+    assert.equal(queue.jobs.size, 3);
+});
+
+test('finished jobs are dropped after jobTTL, unfinished ones never', async () => {
+    const { worker, running } = controlledWorker();
+    const queue = new SearchQueue(worker, { concurrency: 1, jobTTL: 1000 });
+
+    const done = queue.submit({ name: 'done' });
+    const slow = queue.submit({ name: 'slow' });
+    running.get('done').resolve({});
+    await tick();
+
+    done.finishedAt = new Date(Date.now() - 2000).toISOString();
+    slow.createdAt = new Date(Date.now() - 2000).toISOString();
+    queue.prune();
+
+    assert.equal(queue.get(done.id), undefined);
+    assert.equal(queue.get(slow.id), slow);
+});
+
+test('only waiting jobs can be cancelled', async () => {
+    const { worker, running } = controlledWorker();
+    const queue = new SearchQueue(worker, { concurrency: 1 });
+    const cancelled = [];
+    queue.on('cancelled', (job) => cancelled.push(job.id));
+
+    const first = queue.submit({ name: 'first' });
+    const second = queue.submit({ name: 'second' });
+    const third = queue.submit({ name: 'third' });
+
+    assert.equal(queue.cancel(second.id), true);
+    assert.equal(second.status, 'cancelled');
+    assert.ok(second.finishedAt);
+    assert.deepEqual(cancelled, [second.id]);
+    assert.equal(queue.positionOf(third), 1);
+
+    assert.equal(queue.cancel(first.id), false, 'running jobs are not cancelled');
+    assert.equal(queue.cancel(second.id), false, 'cancelling twice does nothing');
+    assert.equal(queue.cancel('unknown'), false);
+
+    running.get('first').resolve({});
+    await tick();
+    assert.equal(third.status, 'running');
+    assert.equal(running.has('second'), false);
+});
+
+test('wait() resolves with the job once it has finished, however it ended', async () => {
+    const { worker, running } = controlledWorker();
+    const queue = new SearchQueue(worker, { concurrency: 1 });
+
+    const ok = queue.submit({ name: 'ok' });
+    const failing = queue.submit({ name: 'failing' });
+    const cancelled = queue.submit({ name: 'cancelled' });
+    const waits = Promise.all([queue.wait(ok), queue.wait(ok), queue.wait(failing), queue.wait(cancelled)]);
+
+    queue.cancel(cancelled.id);
+    running.get('ok').resolve({ flights: [] });
+    await tick();
+    running.get('failing').reject(new Error('Blocked'));
+
+    const finished = await waits;
+    assert.deepEqual(finished.map((job) => job.status), ['done', 'done', 'failed', 'cancelled']);
+    assert.equal((await queue.wait(ok)).status, 'done', 'waiting on a finished job resolves at once');
+    assert.equal(queue.waiters.size, 0);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UnitedFlightSearcher } = require('../united');
+const { setLogOutput } = require('../logger');
+
+setLogOutput(() => {});
+
+const searchURL = 'https://www.united.com/en/us/fsr/choose-flights?f=PHL&t=EWR&d=2026-11-18&tqp=O&px=1';
+
+// Browser pool whose pages never finish loading until their context is closed
+function hangingPool() {
+    const pool = { leases: 0, released: 0 };
+
+    pool.acquire = async () => {
+        pool.leases++;
+        let closeContext;
+        const closed = new Promise((resolve) => (closeContext = resolve));
+        const page = new Proxy({}, {
+            get(target, name) {
+                if (name === 'then') return undefined;
+                if (name === 'goto') return () => closed.then(() => Promise.reject(new Error('Target closed')));
+                return () => Promise.resolve();
+            }
+        });
+
+        return {
+            page,
+            context: { close: async () => closeContext() },
+            release: async () => {
+                pool.released++;
+            }
+        };
+    };
+    return pool;
+}
+
+test('aborting a session ends its search and returns the page', async () => {
+    const pool = hangingPool();
+    const searcher = new UnitedFlightSearcher({ browserPool: pool, saveResponses: false });
+    const session = searcher.createSession({ url: searchURL });
+
+    const search = searcher.searchByURL(searchURL, { session });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    session.abort('Search job timed out');
+
+    await assert.rejects(search, /Target closed/);
+    assert.equal(pool.leases, 1);
+    assert.equal(pool.released, 1);
+    assert.equal(session.listenerCount('abort'), 0);
+});
+
+test('a session aborted before it gets a page does not search', async () => {
+    const pool = hangingPool();
+    const searcher = new UnitedFlightSearcher({ browserPool: pool, saveResponses: false });
+    const session = searcher.createSession({ url: searchURL });
+    session.abort('Search job timed out');
+
+    await assert.rejects(searcher.searchByURL(searchURL, { session }), /Search job timed out/);
+    assert.equal(pool.released, 1);
+});
+
+test('only proxy errors count against a proxy, and retries start with fresh captures', async () => {
+    const searcher = new UnitedFlightSearcher({
+        browserPool: hangingPool(),
+        proxies: ['http://proxy-a:8080', 'http://proxy-b:8080'],
+        saveResponses: false
+    });
+    const [proxyA, proxyB] = searcher.proxyManager.proxies;
+    const session = searcher.createSession();
+
+    await assert.rejects(
+        searcher.runWithProxyFailover(session, async () => {
+            throw new Error('No flight data intercepted');
+        }),
+        /No flight data/
+    );
+    assert.equal(proxyA.failures, 0);
+
+    const seen = [];
+    const results = await searcher.runWithProxyFailover(session, async (proxy) => {
+        seen.push(session.interceptedData.length);
+        session.addResponse({ type: 'FetchFlights', url: proxy.label, size: 1 });
+        if (proxy === proxyA) throw new Error('net::ERR_PROXY_CONNECTION_FAILED');
+        return { ok: true };
+    });
+
+    assert.deepEqual(results, { ok: true });
+    assert.deepEqual(seen, [0, 0]);
+    assert.equal(session.interceptedData.length, 1);
+    assert.equal(proxyA.failures, 1);
+    assert.equal(proxyB.successes, 1);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER = require.resolve('../server');
+
+// Start server.js on a free-ish port with its state in a temp directory and
+// no warm browsers; resolves with the base URL once it answers
+async function startServer(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: dir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            MIN_BROWSERS: '0',
+            HISTORY_FILE: path.join(dir, 'history.sqlite'),
+            WATCHES_FILE: path.join(dir, 'watches.json'),
+            SCHEMA_DRIFT_FILE: path.join(dir, 'schema-drift.json'),
+            API_KEYS_FILE: '',
+            PROXY_URLS: ''
+        },
+        stdio: 'ignore'
+    });
+    t.after(() => child.kill());
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (child.exitCode !== null) throw new Error(`server exited with ${child.exitCode}`);
+        try {
+            await fetch(`${baseUrl}/api`);
+            return baseUrl;
+        } catch {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    }
+    throw new Error('server did not start');
+}
+
+test('airport codes: malformed is a bad request, well-formed but unknown is not found', async (t) => {
+    const baseUrl = await startServer(t);
+
+    const malformed = await fetch(`${baseUrl}/api/airports/A1`);
+    assert.equal(malformed.status, 400);
+    assert.match((await malformed.json()).error, /expected 3 letters/);
+
+    const unknown = await fetch(`${baseUrl}/api/airports/JKF`);
+    assert.equal(unknown.status, 404);
+    assert.match((await unknown.json()).error, /Did you mean JFK\?/);
+
+    const metro = await fetch(`${baseUrl}/api/airports/nyc`);
+    assert.equal(metro.status, 200);
+    assert.equal((await metro.json()).type, 'metro');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UnitedFlightSearcher, lowestPricesByCabin } = require('../united');
+const { setLogOutput } = require('../logger');
+
+setLogOutput(() => {});
+
+const recorded = require('../search_results_20250614_000945.json').results.rawData;
+const searcher = new UnitedFlightSearcher({ saveResponses: false });
+
+function flight() {
+    return structuredClone(recorded.data.Trips[0].Flights[0]);
+}
+
+test('an itinerary joins the flight and its connections into one journey', () => {
+    const itinerary = searcher.extractItinerary(flight(), 1);
+
+    assert.equal(itinerary.id, '227-4578|4187-UA');
+    assert.equal(itinerary.tripIndex, 1);
+    assert.equal(itinerary.origin, 'PHL');
+    assert.equal(itinerary.destination, 'EWR');
+    assert.equal(itinerary.departDateTime, '2025-08-15 10:40');
+    assert.equal(itinerary.arrivalDateTime, '2025-08-15 13:59');
+    assert.equal(itinerary.durationMinutes, 199);
+    assert.equal(itinerary.stops, 1);
+    assert.deepEqual(itinerary.flightNumbers, ['UA4578', 'UA4187']);
+    assert.deepEqual(itinerary.connections, [{ airport: 'IAD', minutes: 55 }]);
+    assert.deepEqual(itinerary.segments.map((segment) => [segment.origin, segment.destination, segment.originTimezoneOffset]), [
+        ['PHL', 'IAD', -4],
+        ['IAD', 'EWR', -4]
+    ]);
+    assert.equal(itinerary.lowestPrice, 1179);
+    assert.equal(itinerary.currency, 'USD');
+    assert.equal(itinerary.lowestMiles, null);
+});
+
+test('products carry their cabin, fare, taxes and fare basis codes', () => {
+    const [economy, unrestricted, first] = searcher.extractItinerary(flight(), 1).products;
+
+    assert.equal(economy.productType, 'ECONOMY');
+    assert.equal(economy.cabinType, 'Coach');
+    assert.equal(economy.price, 1179);
+    assert.equal(economy.priceAllPassengers, 1179);
+    assert.equal(economy.taxes, 129);
+    assert.equal(economy.isAward, false);
+    assert.equal(economy.miles, null);
+    assert.deepEqual(economy.fareBasisCodes, ['BAA0ADEN']);
+    assert.deepEqual(economy.passengerFares, [
+        { ptc: 'ADT', passengerType: 'adult', baseFare: 811.19, currency: 'USD', fareBasisCodes: ['BAA0ADEN'] }
+    ]);
+
+    assert.equal(unrestricted.price, 1384);
+    assert.deepEqual(first.fareBasisCodes, ['VFA5AFFN', 'BAA0ADFN']);
+});
+
+test('refundability is only known when United sends NonRefundableIndicator', () => {
+    const [economy, unrestricted] = searcher.extractItinerary(flight(), 1).products;
+    assert.equal(economy.isRefundable, false);
+    assert.equal(unrestricted.isRefundable, null, 'the recording leaves the indicator out here');
+
+    const product = flight().Products[0];
+    assert.equal(searcher.extractProduct({ ...product, NonRefundableIndicator: false }).isRefundable, true);
+    delete product.NonRefundableIndicator;
+    assert.equal(searcher.extractProduct(product).isRefundable, null);
+});
+
+test('award products are priced in miles with cash taxes', () => {
+    const award = searcher.extractProduct({
+        ProductType: 'MIN-ECONOMY-SURP-OR-DISP',
+        ProductPath: 'Award',
+        Prices: [
+            { PricingType: 'Award', Amount: 12500, AmountAllPax: 25000, Currency: 'MILES' },
+            { PricingType: 'Taxes', Amount: 5.6, Currency: 'USD' }
+        ]
+    });
+
+    assert.equal(award.isAward, true);
+    assert.equal(award.miles, 12500);
+    assert.equal(award.milesAllPassengers, 25000);
+    assert.equal(award.price, null);
+    assert.equal(award.taxes, 5.6);
+    assert.equal(award.currency, 'USD');
+});
+
+test('lowest prices per cabin consider every trip of the search', () => {
+    const outbound = searcher.extractItinerary(flight(), 1);
+    const results = {
+        flights: [
+            { tripIndex: 1, itineraries: [outbound] },
+            {
+                tripIndex: 2,
+                itineraries: [{
+                    id: 'return',
+                    flightNumbers: ['UA1'],
+                    products: [{ productType: 'ECONOMY', price: 999, currency: 'USD' }, { productType: 'PREMIUM', price: null }]
+                }]
+            }
+        ]
+    };
+
+    const lowest = lowestPricesByCabin(results);
+    assert.deepEqual(lowest.ECONOMY, { price: 999, currency: 'USD', tripIndex: 2, itineraryId: 'return', flightNumbers: ['UA1'] });
+    assert.equal(lowest.FIRST.price, 1474);
+    assert.equal(lowest.FIRST.tripIndex, 1);
+    assert.equal(lowest.PREMIUM, undefined, 'unpriced products are skipped');
+    assert.deepEqual(lowestPricesByCabin(null), {});
+});
@@ -0,0 +1,277 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UnitedURLBuilder } = require('../urlBuilder');
+
+// Generated dates are bookable relative to this fixed today
+const builder = new UnitedURLBuilder({ today: '2025-01-01' });
+const RUNS = 500;
+
+// Small seeded PRNG (mulberry32) so failures are reproducible
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function generator(seed) {
+    const next = random(seed);
+    const gen = {
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        bool: () => next() < 0.5,
+        pick: (values) => values[gen.int(0, values.length - 1)],
+        maybe: (value) => (next() < 0.5 ? value : undefined)
+    };
+    return gen;
+}
+
+const AIRPORTS = ['PHL', 'SFO', 'EWR', 'ORD', 'DEN', 'IAH', 'LHR', 'NRT', 'NYC', 'BOS'];
+const CITIES = ['NEW YORK, NY, US (ALL AIRPORTS)', 'Chicago, IL, US (ORD)', 'TOKYO, JP'];
+
+function addDays(start, days) {
+    return new Date(Date.parse(`${start}T00:00:00Z`) + days * 86400000).toISOString().split('T')[0];
+}
+
+function date(gen) {
+    return addDays('2025-01-01', gen.int(0, 300));
+}
+
+function passengers(gen) {
+    if (gen.bool()) return gen.int(1, 9);
+
+    const mix = { adults: gen.int(0, 3), seniors: gen.int(0, 2) };
+    if (mix.adults + mix.seniors === 0) mix.adults = 1;
+
+    const room = () => 9 - Object.values(mix).reduce((sum, count) => sum + count, 0);
+    for (const type of ['children15To17', 'children12To14', 'children5To11', 'children2To4']) {
+        mix[type] = gen.int(0, Math.min(2, room()));
+    }
+    const adults = mix.adults + mix.seniors;
+    mix.infantsOnLap = gen.int(0, Math.min(adults, room()));
+    mix.infantsInSeat = gen.int(0, Math.min(adults - mix.infantsOnLap, room()));
+    return mix;
+}
+
+function advanced(gen) {
+    const options = {};
+    for (const flag of Object.keys(builder.advancedFlags)) {
+        if (gen.bool()) options[flag] = true;
+    }
+    if (gen.bool()) options.timeOfDay = gen.pick(['morning', 'Afternoon', 'EVENING', 'night']);
+    if (gen.bool()) options.corporateCode = gen.pick(['ABC123', 'GOV-9']);
+    if (gen.bool()) options.promoCode = gen.pick(['SPRING25', 'x y&z']);
+    return options;
+}
+
+function searchOptions(gen) {
+    const options = {
+        passengers: passengers(gen),
+        cabinClass: gen.maybe(gen.pick(Object.keys(builder.cabinClasses))),
+        sortBy: gen.maybe(gen.pick(Object.keys(builder.sortTypes))),
+        useAllAirports: gen.maybe(gen.bool()),
+        advanced: gen.maybe(advanced(gen)),
+        extraParams: gen.maybe({ [gen.pick(['utm_source', 'ref', 'idx'])]: gen.pick(['mail', '1', 'a,b']) })
+    };
+
+    if (gen.int(0, 4) === 0) {
+        let day = date(gen);
+        options.segments = Array.from({ length: gen.int(2, 6) }, () => ({
+            from: gen.pick(AIRPORTS),
+            to: gen.pick([...AIRPORTS, ...CITIES]),
+            date: (day = addDays(day, gen.int(0, 5)))
+        }));
+        return options;
+    }
+
+    const departDate = date(gen);
+    return {
+        ...options,
+        from: gen.pick(AIRPORTS).toLowerCase(),
+        to: gen.pick([...AIRPORTS, ...CITIES]),
+        departDate,
+        returnDate: gen.bool() ? addDays(departDate, gen.int(0, 30)) : undefined
+    };
+}
+
+function sortedParams(url) {
+    return [...new URL(url).searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+// What the parsed options should say for the given builder input
+function expectedAdvanced(options) {
+    const expected = {};
+    for (const [flag, value] of Object.entries(options || {})) {
+        if (flag === 'timeOfDay') expected.timeOfDay = value.toLowerCase();
+        else if (value) expected[flag] = value;
+    }
+    return expected;
+}
+
+test('parseURL(buildURL(options)) rebuilds the identical URL', () => {
+    for (let seed = 1; seed <= RUNS; seed++) {
+        const options = searchOptions(generator(seed));
+        const url = builder.buildURL(options);
+        const rebuilt = builder.buildURL(builder.parseURL(url));
+
+        assert.deepEqual(sortedParams(rebuilt), sortedParams(url), `seed ${seed}: ${url}`);
+    }
+});
+
+test('parseURL(buildURL(options)) reports every option', () => {
+    for (let seed = 1; seed <= RUNS; seed++) {
+        const options = searchOptions(generator(seed));
+        const parsed = builder.parseURL(builder.buildURL(options));
+        const message = `seed ${seed}`;
+
+        assert.deepEqual(parsed.passengerMix, builder.normalizePassengers(options.passengers), message);
+        assert.equal(parsed.sortBy, options.sortBy || 'bestmatches', message);
+        assert.equal(parsed.cabinClass, options.cabinClass || 'economy', message);
+        assert.deepEqual(parsed.advanced || {}, expectedAdvanced(options.advanced), message);
+        assert.deepEqual(parsed.extraParams, options.extraParams, message);
+
+        if (options.segments) {
+            assert.equal(parsed.tripType, 'multicity', message);
+            assert.deepEqual(
+                parsed.segments.map((segment) => [segment.from, segment.date]),
+                options.segments.map((segment) => [segment.from, segment.date]),
+                message
+            );
+        } else {
+            assert.equal(parsed.from, options.from.toUpperCase(), message);
+            assert.equal(parsed.departDate, options.departDate, message);
+            assert.equal(parsed.returnDate, options.returnDate || null, message);
+            assert.equal(parsed.tripType, options.returnDate ? 'roundtrip' : 'oneway', message);
+        }
+    }
+});
+
+test('parse, modify and rebuild changes only the modified parameter', () => {
+    for (let seed = 1; seed <= RUNS; seed++) {
+        const options = searchOptions(generator(seed));
+        if (options.segments) continue;
+
+        const url = builder.buildURL(options);
+        const parsed = builder.parseURL(url);
+        const modified = builder.buildURL({
+            ...parsed,
+            departDate: '2025-12-01',
+            returnDate: null,
+            tripType: 'oneway'
+        });
+
+        const before = new URL(url).searchParams;
+        const after = new URL(modified).searchParams;
+        before.delete('d');
+        before.delete('r');
+        before.set('tqp', 'O');
+        after.delete('d');
+
+        assert.deepEqual([...after.entries()].sort(), [...before.entries()].sort(), `seed ${seed}`);
+        assert.equal(new URL(modified).searchParams.get('d'), '2025-12-01');
+    }
+});
+
+test('parseURL keeps parameters it does not know about', () => {
+    const url =
+        'https://www.united.com/en/us/fsr/choose-flights?f=PHL&t=SFO&d=2025-08-15&tqp=O&px=2' +
+        '&st=cheapest&idx=1&cbm=-1&cbm2=-1&ct=1&clm=7&sc=1%2C1&taxng=1&newHP=True&tod=Z';
+    const parsed = builder.parseURL(url);
+
+    assert.equal(parsed.to, 'SFO');
+    assert.equal(parsed.sortBy, undefined);
+    assert.deepEqual(parsed.extraParams, {
+        st: 'cheapest',
+        idx: '1',
+        cbm: '-1',
+        cbm2: '-1',
+        clm: '7',
+        tod: 'Z'
+    });
+    assert.deepEqual(sortedParams(builder.buildURL(parsed)), sortedParams(url));
+});
+
+test('parseURL marks parameters the builder would add as removed', () => {
+    const url = 'https://www.united.com/en/us/fsr/choose-flights?f=PHL&t=EWR&d=2025-08-15';
+    const parsed = builder.parseURL(url);
+
+    assert.equal(parsed.extraParams.px, null);
+    assert.equal(parsed.extraParams.tqp, null);
+    assert.equal(builder.buildURL(parsed), url);
+});
+
+test("'premium' is rejected rather than read as first class", () => {
+    assert.throws(
+        () => builder.buildOneWayURL('PHL', 'EWR', '2025-08-15', { cabinClass: 'Premium' }),
+        /'premium' is ambiguous: use 'premium-economy' or 'first'/
+    );
+
+    const premiumEconomy = builder.buildOneWayURL('PHL', 'EWR', '2025-08-15', { cabinClass: 'premium-economy' });
+    assert.equal(builder.parseURL(premiumEconomy).cabinClass, 'premium-economy');
+});
+
+test('a multi-city URL parses back to its segments and rebuilds unchanged', () => {
+    const url = builder.buildMultiCityURL([
+        { from: 'PHL', to: 'SFO', date: '2025-08-15' },
+        { from: 'SFO', to: 'NYC', date: '2025-08-20' },
+        { from: 'EWR', to: 'PHL', date: '2025-08-27' }
+    ]);
+    const params = new URL(url).searchParams;
+
+    assert.equal(params.get('tqp'), 'M');
+    assert.equal(params.get('f3'), 'EWR');
+    assert.equal(params.get('d2'), '2025-08-20');
+
+    const parsed = builder.parseURL(url);
+    assert.equal(parsed.tripType, 'multicity');
+    assert.deepEqual(parsed.segments, [
+        { from: 'PHL', to: 'SFO', date: '2025-08-15' },
+        { from: 'SFO', to: 'NEW YORK, NY, US (ALL AIRPORTS)', date: '2025-08-20' },
+        { from: 'EWR', to: 'PHL', date: '2025-08-27' }
+    ]);
+    assert.equal(builder.buildURL(parsed), url);
+});
+
+test('multi-city trips need 2 to 6 complete legs in date order', () => {
+    const leg = (from, to, date) => ({ from, to, date });
+
+    assert.throws(() => builder.buildMultiCityURL([leg('PHL', 'SFO', '2025-08-15')]), /between 2 and 6 segments/);
+    assert.throws(() => builder.buildMultiCityURL([leg('PHL', 'SFO', '2025-08-15'), leg('SFO', 'EWR')]), /Segment 2 requires from, to and date/);
+    assert.throws(
+        () => builder.buildMultiCityURL([leg('PHL', 'SFO', '2025-08-15'), leg('SFO', 'EWR', '2025-08-14')]),
+        /Segment 2 date 2025-08-14 is before segment 1 date 2025-08-15/
+    );
+});
+
+test('px is a plain count for adults and one count per passenger type otherwise', () => {
+    const px = (passengers) => new URL(builder.buildOneWayURL('PHL', 'EWR', '2025-08-15', { passengers })).searchParams.get('px');
+
+    assert.equal(px(3), '3');
+    assert.equal(px({ adults: 2 }), '2');
+    assert.equal(px({ adults: 1, seniors: 1 }), '1,1,0,0,0,0,0,0');
+    assert.equal(px({ adults: 2, children5To11: 1, infantsOnLap: 1 }), '2,0,0,0,1,0,0,1');
+    assert.equal(px({ seniors: 1, children15To17: 1, children12To14: 1, children2To4: 1, infantsInSeat: 1 }), '0,1,1,1,0,1,1,0');
+
+    const parsed = builder.parseURL(builder.buildOneWayURL('PHL', 'EWR', '2025-08-15', {
+        passengers: { adults: 2, children5To11: 1, infantsOnLap: 1 }
+    }));
+    assert.equal(parsed.passengers, 4);
+    assert.equal(parsed.passengerMix.children5To11, 1);
+
+    assert.throws(() => px({ adults: 1, infantsOnLap: 2 }), /infant must travel with an adult/);
+    assert.throws(() => px({ adults: 5, children5To11: 5 }), /Between 1 and 9 passengers/);
+});
+
+test('single airports are written as codes, metro areas as all their airports', () => {
+    // SFO, LAX, BOS, ... were once written as "<CITY> (ALL AIRPORTS)" too; only
+    // codes of multi-airport metro areas (NYC, CHI, WAS, ...) expand now
+    const destination = (to) => new URL(builder.buildOneWayURL('PHL', to, '2025-08-15')).searchParams.get('t');
+
+    assert.equal(destination('SFO'), 'SFO');
+    assert.equal(destination('lax'), 'LAX');
+    assert.equal(destination('NYC'), 'NEW YORK, NY, US (ALL AIRPORTS)');
+    assert.equal(builder.formatDestination('NYC', false), 'NEW YORK, NY, US');
+    assert.throws(() => destination('ZZZ'), /ZZZ/);
+});
@@ -9,6 +9,9 @@ NC='\033[0m' # No Color
 # API base URL - change this if your server runs on a different port/host
 API_URL="http://localhost:3000"
 
+# API key, when the server is started with API_KEYS_FILE
+API_KEY="${API_KEY:-}"
+
 # Function to print section headers
 print_header() {
     echo -e "\n${BLUE}=== $1 ===${NC}"
@@ -29,6 +32,7 @@ make_api_call() {
     # Make the API call
     response=$(curl -s -X "$method" \
         -H "Content-Type: application/json" \
+        -H "X-API-Key: $API_KEY" \
         -d "$data" \
         "$API_URL$endpoint")
 
@@ -65,8 +69,8 @@ print_header "Testing API Endpoints"
 make_api_call "/api/roundtrip" "POST" '{
     "from": "PHL",
     "to": "NYC",
-    "departDate": "2025-08-15",
-    "returnDate": "2025-08-17",
+    "departDate": "+30d",
+    "returnDate": "+32d",
     "passengers": 1,
     "cabinClass": "economy"
 }' "Building Round-Trip URL"
@@ -81,10 +85,29 @@ fi
 
 print_header "Testing Flight Search"
 
-# Test 2: Search flights using the generated URL
+# Test 2: Submit a search job for the generated URL
 make_api_call "/api/search" "POST" "{
     \"url\": \"$search_url\"
-}" "Searching Flights"
+}" "Submitting Flight Search Job"
+
+job_id=$(echo "$response" | jq -r '.jobId')
+
+if [ -z "$job_id" ] || [ "$job_id" = "null" ]; then
+    echo -e "${RED}Error: Failed to submit search job${NC}"
+    exit 1
+fi
+
+# Poll the job until it finishes (searches can take a couple of minutes)
+echo -e "\n${GREEN}Polling search job $job_id${NC}"
+for i in $(seq 1 60); do
+    response=$(curl -s -H "X-API-Key: $API_KEY" "$API_URL/api/search/$job_id")
+    status=$(echo "$response" | jq -r '.status')
+    echo "Status: $status"
+    if [ "$status" = "done" ] || [ "$status" = "failed" ]; then
+        break
+    fi
+    sleep 5
+done
 
 # Check if the search was successful
 if echo "$response" | jq -e '.results.flights' > /dev/null; then
@@ -4,34 +4,95 @@
 
 const fs = require("fs");
 const path = require("path");
-const puppeteer = require("puppeteer-core");
+const { SearchSession } = require("./searchSession");
+const { BrowserPool } = require("./browserPool");
+const { ProxyManager } = require("./proxyManager");
+const { classifyCapture, unwrapPayload } = require("./captureClassifier");
+const {
+  validateFlightPayload,
+  mergeReports,
+  countDrift,
+} = require("./flightSchema");
+const { createLogger } = require("./logger");
+const { metrics } = require("./metrics");
+
+const log = createLogger("united");
+
+// Passenger type codes on fare components (C05, C11, ... are children by age)
+const PTC_TYPES = {
+  ADT: "adult",
+  SRC: "senior",
+  CHD: "child",
+  CNN: "child",
+  INS: "infantInSeat",
+  INF: "infantOnLap",
+};
+
+// Award prices come in as Currency "MILES" (PricingType "Award" or "Miles")
+function isMilesPrice(price) {
+  return (
+    /^miles$/i.test(price.currency || "") ||
+    /^(award|miles)$/i.test(price.type || "")
+  );
+}
 
-// Add proper export at the end of the file
-module.exports = { UnitedFlightSearcher };
+function passengerTypeForPtc(ptc) {
+  return PTC_TYPES[ptc] || (/^C\d{2}$/.test(ptc) ? "child" : "other");
+}
 
 class UnitedFlightSearcher {
   constructor(options = {}) {
     this.headless = options.headless !== false;
     this.timeout = options.timeout || 60000;
-    this.interceptedData = [];
+    this.resultsTimeout = options.resultsTimeout || 60000;
+    // Origin searches are sent to; point it at a local mock site for tests
+    this.baseUrl = (options.baseUrl || "https://www.united.com").replace(/\/+$/, "");
+    this.lastSession = new SearchSession();
     this.saveResponses = options.saveResponses !== false;
     this.outputDir = options.outputDir || "./flight_data";
+    // Optional SchemaDriftLog that keeps FetchFlights schema drift history
+    this.schemaDrift = options.schemaDrift || null;
+
+    // Searches draw browsers from a shared pool; a private one is created
+    // when none is given (call close() when done with this searcher)
+    this.ownsBrowserPool = !options.browserPool;
+    this.browserPool =
+      options.browserPool ||
+      new BrowserPool({
+        launchOptions: this.getLaunchOptions(),
+        minBrowsers: 0,
+      });
+
+    // Optional outbound proxies (array of URLs or a shared ProxyManager)
+    this.proxyManager =
+      options.proxies instanceof ProxyManager
+        ? options.proxies
+        : options.proxies
+        ? new ProxyManager(options.proxies)
+        : null;
 
     // Ensure output directory exists
     if (this.saveResponses && !fs.existsSync(this.outputDir)) {
       fs.mkdirSync(this.outputDir, { recursive: true });
     }
   }
+
   /**
-   * Search flights by navigating to a United URL and intercepting API responses
-   * @param {string} searchURL - United.com search URL (from URL builder)
-   * @param {Object} options - Additional options
-   * @returns {Object} Parsed flight data
+   * Intercepted responses of the most recent search (see lastSession)
    */
-  async searchByURL(searchURL, options = {}) {
-    console.log(`🌐 Navigating to: ${searchURL}`);
+  get interceptedData() {
+    return this.lastSession.interceptedData;
+  }
 
-    const browser = await puppeteer.launch({
+  get failedRequests() {
+    return this.lastSession.failedRequests;
+  }
+
+  /**
+   * Chrome launch options used for pooled browsers
+   */
+  getLaunchOptions() {
+    return {
       headless: this.headless,
       executablePath: process.env.CHROME_BIN || '/usr/bin/google-chrome',
       args: [
@@ -45,31 +106,209 @@ class UnitedFlightSearcher {
         "--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
       ],
       defaultViewport: { width: 1920, height: 1080 },
+    };
+  }
+
+  /**
+   * Lease an isolated page from the browser pool for one search.
+   * Page crashes are recorded on the session so the browser gets recycled.
+   */
+  async acquirePage(session, proxy = null) {
+    const lease = await this.browserPool.acquire(
+      proxy ? { proxyServer: proxy.server } : {}
+    );
+    session.mark("launch");
+
+    if (session.aborted) {
+      await lease.release();
+      throw new Error(session.abortReason);
+    }
+
+    // Aborting the session closes the context, which ends the search
+    lease.abort = () => lease.context.close().catch(() => {});
+    session.once("abort", lease.abort);
+
+    if (proxy) {
+      session.proxy = proxy.label;
+      if (proxy.username) {
+        await lease.page.authenticate({
+          username: proxy.username,
+          password: proxy.password,
+        });
+      }
+    }
+
+    lease.page.on("error", (error) => {
+      session.log.error("Page crashed", { error });
+      session.pageCrashed = true;
     });
 
-    try {
-      const page = await browser.newPage();
+    return lease;
+  }
+
+  /**
+   * Return a leased page, recycling the browser if the search suggests it
+   * crashed or was flagged by United's anti-bot protection
+   */
+  async releasePage(lease, session) {
+    session.off("abort", lease.abort);
+
+    const flagged =
+      session.pageCrashed ||
+      session.failedRequests.some((req) =>
+        req.error.includes("ERR_HTTP2_PROTOCOL_ERROR")
+      );
+
+    await lease.release({ recycle: flagged });
+  }
 
-      // Enhanced anti-detection measures
-      await this.setupAntiDetection(page);
+  /**
+   * Run a search attempt through the configured proxies, failing over to the
+   * next proxy when the current one cannot be used
+   * @param {SearchSession} session
+   * @param {Function} attempt - async (proxy) => results; proxy is null without proxies
+   */
+  async runWithProxyFailover(session, attempt) {
+    if (!this.proxyManager || this.proxyManager.size === 0) {
+      return attempt(null);
+    }
 
-      // Enable request interception
-      await page.setRequestInterception(true);
-      this.setupInterception(page, options);
+    for (let tries = 1; ; tries++) {
+      const proxy = this.proxyManager.next();
 
-      // Navigate with retry logic
-      await this.navigateWithRetry(page, searchURL);
+      // Start each attempt clean: responses from a failed proxy are not results
+      if (tries > 1) {
+        session.resetCaptures();
+      }
 
-      // Wait for the page to load and potentially trigger searches
-      await this.waitForSearchResults(page);
+      try {
+        const results = await attempt(proxy);
+        this.proxyManager.recordSuccess(proxy);
+        return results;
+      } catch (error) {
+        // Only failures of the proxy itself count against it
+        if (!this.proxyManager.isProxyError(error)) {
+          throw error;
+        }
+
+        this.proxyManager.recordFailure(proxy, error.message);
+        if (session.aborted || tries >= this.proxyManager.size) {
+          throw error;
+        }
 
-      // Parse and return the intercepted data
-      return this.parseInterceptedData(options);
-    } finally {
-      await browser.close();
+        session.log.warn("Proxy failed, trying next proxy", {
+          proxy: proxy.label,
+          error: error.message,
+        });
+        session.mark("proxyFailover");
+      }
     }
   }
 
+  /**
+   * Close the browser pool if this searcher created it
+   */
+  async close() {
+    if (this.ownsBrowserPool) {
+      await this.browserPool.close();
+    }
+  }
+
+  /**
+   * Create a session that isolates the state of one search
+   */
+  createSession(options = {}) {
+    return new SearchSession(options);
+  }
+
+  /**
+   * Search flights by navigating to a United URL and intercepting API responses
+   * @param {string} searchURL - United.com search URL (from URL builder)
+   * @param {Object} options - Additional options
+   * @param {SearchSession} [options.session] - Session to collect state in (created if omitted)
+   * @returns {Object} Parsed flight data
+   */
+  async searchByURL(searchURL, options = {}) {
+    const session = options.session || this.createSession({ url: searchURL });
+    this.lastSession = session;
+
+    const targetURL = this.resolveURL(searchURL);
+    session.log.info("Starting URL search", { url: targetURL });
+
+    return this.runTimedSearch("url", session, async (proxy) => {
+      const lease = await this.acquirePage(session, proxy);
+
+      try {
+        const page = lease.page;
+
+        // Enhanced anti-detection measures
+        await this.setupAntiDetection(page);
+
+        // Enable request interception
+        await page.setRequestInterception(true);
+        this.setupInterception(page, session, options);
+
+        // Navigate with retry logic
+        await this.navigateWithRetry(page, targetURL, session);
+        session.mark("navigate");
+
+        // Wait for the page to load and potentially trigger searches
+        await this.waitForSearchResults(page, session);
+        session.mark("results");
+
+        // Parse and return the intercepted data
+        return this.parseInterceptedData(options, session);
+      } finally {
+        await this.releasePage(lease, session);
+      }
+    });
+  }
+
+  /**
+   * Run a browser search through the proxies (see runWithProxyFailover),
+   * recording its duration and outcome (success, failure or timeout) in
+   * united_search_duration_seconds
+   * @param {string} method - "url" or "form"
+   * @param {SearchSession} session
+   * @param {Function} attempt - async (proxy) => results
+   */
+  async runTimedSearch(method, session, attempt) {
+    const stopTimer = metrics
+      .get("united_search_duration_seconds")
+      .startTimer({ method });
+
+    try {
+      const results = await this.runWithProxyFailover(session, attempt);
+      const outcome = results && results.error ? "failure" : "success";
+      const seconds = stopTimer({ outcome });
+      session.log.info("Search finished", { method, outcome, seconds });
+      return results;
+    } catch (error) {
+      const outcome = session.timedOut ? "timeout" : "failure";
+      const seconds = stopTimer({ outcome });
+      session.log.error("Search failed", {
+        method,
+        outcome,
+        seconds,
+        error: error.message,
+        failedRequests: session.failedRequests.length,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a united.com search URL to the configured base URL (same path and query)
+   */
+  resolveURL(searchURL) {
+    const target = new URL(searchURL);
+    const base = new URL(this.baseUrl);
+
+    target.protocol = base.protocol;
+    target.host = base.host;
+    return target.toString();
+  }
+
   /**
    * Set up anti-detection measures
    */
@@ -136,10 +375,15 @@ class UnitedFlightSearcher {
   /**
    * Navigate with retry logic for network errors
    */
-  async navigateWithRetry(page, url, maxRetries = 3) {
+  async navigateWithRetry(page, url, session, maxRetries = 3) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        console.log(`🔄 Navigation attempt ${attempt}/${maxRetries}`);
+        session.log.debug("Navigating", { attempt, maxRetries });
+        session.progress("navigation", {
+          attempt,
+          maxRetries,
+          status: "started",
+        });
 
         await page.goto(url, {
           waitUntil: "domcontentloaded", // Changed from networkidle0 to be less strict
@@ -152,11 +396,29 @@ class UnitedFlightSearcher {
         // Check if page loaded successfully
         const title = await page.title();
         if (title && !title.includes("Error")) {
-          console.log(`✅ Page loaded successfully: ${title}`);
+          session.log.info("Page loaded", { title, attempt });
+          session.progress("navigation", {
+            attempt,
+            maxRetries,
+            status: "loaded",
+          });
           return;
         }
       } catch (error) {
-        console.log(`⚠️ Navigation attempt ${attempt} failed:`, error.message);
+        session.log.warn("Navigation attempt failed", {
+          attempt,
+          error: error.message,
+        });
+        session.progress("navigation", {
+          attempt,
+          maxRetries,
+          status: "failed",
+          error: error.message,
+        });
+
+        if (session.aborted) {
+          throw error;
+        }
 
         if (attempt === maxRetries) {
           throw new Error(
@@ -165,6 +427,7 @@ class UnitedFlightSearcher {
         }
 
         // Wait before retry
+        metrics.get("united_navigation_retries_total").inc();
         await this.waitFor(page, 2000 * attempt);
       }
     }
@@ -173,9 +436,8 @@ class UnitedFlightSearcher {
   /**
    * Set up request/response interception for United's API
    */
-  setupInterception(page, options = {}) {
+  setupInterception(page, session, options = {}) {
     let requestCount = 0;
-    let failedRequests = [];
 
     page.on("request", (request) => {
       const url = request.url();
@@ -184,8 +446,8 @@ class UnitedFlightSearcher {
       if (url.includes("/api/")) {
         const headers = {
           ...request.headers(),
-          Referer: "https://www.united.com/",
-          Origin: "https://www.united.com",
+          Referer: `${this.baseUrl}/`,
+          Origin: this.baseUrl,
           "X-Requested-With": "XMLHttpRequest",
           Accept: "application/json, text/plain, */*",
           "Cache-Control": "no-cache",
@@ -199,12 +461,12 @@ class UnitedFlightSearcher {
 
       // Log requests to FetchFlights endpoint
       if (url.includes("/api/flight/FetchFlights")) {
-        console.log(`📤 Request ${++requestCount} to FetchFlights:`, url);
-
-        // Optionally log request payload
-        if (options.logRequests && request.postData()) {
-          console.log("📋 Request payload:", request.postData());
-        }
+        session.log.debug("FetchFlights request", {
+          request: ++requestCount,
+          url,
+          // Optionally log request payload
+          payload: options.logRequests ? request.postData() : undefined,
+        });
       }
     });
 
@@ -214,10 +476,11 @@ class UnitedFlightSearcher {
       const failure = request.failure();
 
       if (url.includes("/api/") || url.includes("FetchFlights")) {
-        console.log(`❌ Request failed: ${url}`);
-        console.log(`❌ Failure reason: ${failure?.errorText || "Unknown"}`);
+        const reason = failure?.errorText || "Unknown";
+        session.log.warn("Request failed", { url, reason });
+        metrics.get("united_failed_requests_total").inc({ reason });
 
-        failedRequests.push({
+        session.addFailedRequest({
           url,
           error: failure?.errorText || "Unknown error",
           timestamp: new Date().toISOString(),
@@ -231,33 +494,42 @@ class UnitedFlightSearcher {
 
       // Log all API responses for debugging
       if (url.includes("/api/")) {
-        console.log(`📡 API Response: ${status} - ${url}`);
+        session.log.debug("API response", { status, url });
       }
 
-      // Intercept the specific FetchFlights API endpoint
+      // Capture flight API responses; each is tagged with its endpoint type
       if (this.isFetchFlightsAPI(url)) {
         try {
           if (status !== 200) {
-            console.log(`⚠️ FetchFlights returned status ${status} for ${url}`);
+            session.log.warn("Flight API returned an error status", {
+              status,
+              url,
+            });
+            this.countUnusableResponse("http_error");
             return;
           }
 
           const responseBody = await response.text();
 
           if (!responseBody || responseBody.trim() === "") {
-            console.log(`⚠️ Empty response from FetchFlights: ${url}`);
+            session.log.warn("Empty response from flight API", { url });
+            this.countUnusableResponse("empty_body");
             return;
           }
 
           const data = JSON.parse(responseBody);
+          const type = classifyCapture(url, data);
 
-          console.log(`✅ Intercepted FetchFlights response: ${status}`);
-          console.log(
-            `📊 Response size: ${(responseBody.length / 1024).toFixed(2)}KB`
-          );
+          session.log.info("Intercepted response", {
+            type,
+            status,
+            sizeKB: Number((responseBody.length / 1024).toFixed(2)),
+          });
+          metrics.get("united_intercepted_responses_total").inc({ type });
 
           const interceptedItem = {
             url,
+            type,
             timestamp: new Date().toISOString(),
             status: status,
             headers: response.headers(),
@@ -265,52 +537,62 @@ class UnitedFlightSearcher {
             size: responseBody.length,
           };
 
-          this.interceptedData.push(interceptedItem);
+          session.addResponse(interceptedItem);
+
+          // Let clients show flights before the search has finished
+          if (type === "flights") {
+            session.progress("partialResults", this.getPartialResults(session));
+          }
 
           // Save to file if enabled
           if (this.saveResponses) {
             await this.saveResponseToFile(interceptedItem, options);
           }
         } catch (error) {
-          console.log(
-            `❌ Failed to parse FetchFlights response from ${url}:`,
-            error.message
-          );
-          console.log(`❌ Response status: ${status}`);
+          this.countUnusableResponse("malformed");
 
           // Try to log partial response for debugging
+          let partialResponse;
           try {
-            const partialResponse = await response.text();
-            console.log(
-              `❌ Partial response: ${partialResponse.substring(0, 200)}...`
-            );
+            partialResponse = (await response.text()).substring(0, 200);
           } catch (e) {
-            console.log(`❌ Could not read response body: ${e.message}`);
+            partialResponse = `(could not read response body: ${e.message})`;
           }
+
+          session.log.warn("Failed to parse flight API response", {
+            url,
+            status,
+            error: error.message,
+            partialResponse,
+          });
         }
       }
     });
+  }
 
-    // Store failed requests for later analysis
-    this.failedRequests = failedRequests;
+  countUnusableResponse(reason) {
+    metrics.get("united_unusable_responses_total").inc({ reason });
   }
 
   /**
-   * Check if URL is the FetchFlights API endpoint
+   * Check if URL is a flight API endpoint worth capturing (FetchFlights,
+   * teaser texts, fare wheel, ...; see captureClassifier for the types)
    */
   isFetchFlightsAPI(url) {
     return (
       url.includes("/api/flight/FetchFlights") ||
       url.includes("FetchFlights") ||
-      (url.includes("united.com") && url.includes("/api/flight/"))
+      ((url.includes("united.com") || url.startsWith(this.baseUrl)) &&
+        url.includes("/api/flight/"))
     );
   }
 
   /**
    * Wait for search results to load with better error handling
    */
-  async waitForSearchResults(page, maxWait = 60000) {
-    console.log("⏳ Waiting for flight search results...");
+  async waitForSearchResults(page, session, maxWait = this.resultsTimeout) {
+    session.log.debug("Waiting for flight search results", { maxWait });
+    session.progress("waiting", { maxWaitMs: maxWait });
 
     const startTime = Date.now();
     let lastDataCount = 0;
@@ -319,40 +601,44 @@ class UnitedFlightSearcher {
     while (Date.now() - startTime < maxWait) {
       checkCount++;
 
-      // Check if we've received new data
-      if (this.interceptedData.length > lastDataCount) {
-        lastDataCount = this.interceptedData.length;
-        console.log(
-          `📡 Received ${this.interceptedData.length} API response(s)`
-        );
+      // Check if we've received new flight data (teasers etc. arrive first)
+      const flightResponses = session.responsesOfType("flights").length;
+      if (flightResponses > lastDataCount) {
+        lastDataCount = flightResponses;
+        session.log.debug("Received flight API responses", {
+          count: flightResponses,
+        });
 
         // Wait a bit more for any additional responses
         await this.waitFor(page, 3000);
 
         // If no new data for 3 seconds, we're probably done
-        if (this.interceptedData.length === lastDataCount) {
-          console.log("✅ Flight data collection completed");
+        if (session.responsesOfType("flights").length === lastDataCount) {
+          session.log.debug("Flight data collection completed");
           return;
         }
       }
 
       // Every 10 seconds, check page state and try to trigger search if needed
       if (checkCount % 10 === 0) {
-        await this.checkPageStateAndRetrigger(page);
+        await this.checkPageStateAndRetrigger(page, session);
       }
 
       await this.waitFor(page, 1000);
     }
 
     // If we have failed requests, log them for debugging
-    if (this.failedRequests && this.failedRequests.length > 0) {
-      console.log(`⚠️ ${this.failedRequests.length} failed requests detected:`);
-      this.failedRequests.forEach((req) => {
-        console.log(`   - ${req.url}: ${req.error}`);
+    if (session.failedRequests.length > 0) {
+      session.log.warn("Failed requests detected", {
+        failedRequests: session.failedRequests.map(
+          (req) => `${req.url}: ${req.error}`
+        ),
       });
     }
 
-    if (this.interceptedData.length === 0) {
+    if (session.responsesOfType("flights").length === 0) {
+      session.timedOut = true;
+      metrics.get("united_search_timeouts_total").inc({ stage: "results" });
       throw new Error(
         "No flight data intercepted within timeout period. Check for network errors or anti-bot detection."
       );
@@ -362,27 +648,27 @@ class UnitedFlightSearcher {
   /**
    * Check page state and try to retrigger search if needed
    */
-  async checkPageStateAndRetrigger(page) {
+  async checkPageStateAndRetrigger(page, session) {
     try {
       // Check if there are any error messages on the page
-      const errorElements = await page.$(
+      const errorElements = await page.$$(
         '[data-test="error-message"], .error-message, .alert-error'
       );
       if (errorElements.length > 0) {
-        console.log("⚠️ Error messages detected on page");
-
         // Try to get error text
+        const errors = [];
         for (const element of errorElements) {
           try {
-            const errorText = await page.evaluate(
-              (el) => el.textContent,
-              element
+            errors.push(
+              await page.evaluate((el) => el.textContent, element)
             );
-            console.log(`   Error: ${errorText}`);
           } catch (e) {
             // Ignore individual element errors
           }
         }
+
+        session.log.warn("Error messages detected on page", { errors });
+        session.progress("pageErrors", { errors });
       }
 
       // Check if search button is still visible (indicates search hasn't been triggered)
@@ -390,16 +676,20 @@ class UnitedFlightSearcher {
         '[data-test-id="search-button"], button[type="submit"]'
       );
       if (searchButton) {
-        console.log(
-          "🔄 Search button still visible, attempting to retrigger search..."
+        session.log.info(
+          "Search button still visible, attempting to retrigger search"
         );
 
         try {
           await searchButton.click();
-          await page.waitForTimeout(2000);
-          console.log("✅ Search retriggered");
+          await this.waitFor(page, 2000);
+          session.log.info("Search retriggered");
+          session.progress("retrigger", { clicked: true });
         } catch (e) {
-          console.log("⚠️ Could not click search button:", e.message);
+          session.log.warn("Could not click search button", {
+            error: e.message,
+          });
+          session.progress("retrigger", { clicked: false, error: e.message });
         }
       }
 
@@ -411,11 +701,11 @@ class UnitedFlightSearcher {
       });
 
       if (consoleLogs) {
-        console.log(`📊 Page load status: ${consoleLogs.type}`);
+        session.log.debug("Page navigation type", { type: consoleLogs.type });
       }
     } catch (error) {
       // Don't let page state checking break the main flow
-      console.log("⚠️ Error checking page state:", error.message);
+      session.log.warn("Error checking page state", { error: error.message });
     }
   }
 
@@ -441,7 +731,7 @@ class UnitedFlightSearcher {
       };
 
       fs.writeFileSync(filepath, JSON.stringify(dataToSave, null, 2));
-      console.log(`💾 Saved flight data to: ${filepath}`);
+      log.debug("Saved flight data", { file: filepath });
 
       // Also save a simplified version with just the flight data
       const simpleFilename = filename.replace(".json", "_simple.json");
@@ -450,17 +740,125 @@ class UnitedFlightSearcher {
         simpleFilepath,
         JSON.stringify(interceptedItem.data, null, 2)
       );
-      console.log(`💾 Saved simplified data to: ${simpleFilepath}`);
+      log.debug("Saved simplified data", { file: simpleFilepath });
     } catch (error) {
-      console.error("❌ Failed to save response to file:", error.message);
+      log.error("Failed to save response to file", { error: error.message });
     }
   }
 
   /**
-   * Parse all intercepted data and return structured results
+   * Replay previously captured responses through the normal parsing pipeline
+   * without launching a browser
+   * @param {string|Object|Array} source - Capture file, directory of captures,
+   *   or already-loaded capture object(s)
+   * @param {Object} options - Same options accepted by parseInterceptedData
+   * @param {SearchSession} [options.session] - Session to collect state in (created if omitted)
+   * @returns {Object} Parsed flight data
    */
-  parseInterceptedData(options = {}) {
-    if (this.interceptedData.length === 0) {
+  replay(source, options = {}) {
+    const captures =
+      typeof source === "string"
+        ? this.loadCaptures(source)
+        : [].concat(source).map((capture, index) =>
+            this.captureToInterceptedItem(capture, `inline:${index}`)
+          );
+
+    const session = options.session || this.createSession();
+    session.replay = true;
+    session.log.info("Replaying captured responses", {
+      count: captures.length,
+    });
+    this.lastSession = session;
+    captures.forEach((capture) => session.addResponse(capture));
+    session.mark("load");
+
+    return this.parseInterceptedData(options, session);
+  }
+
+  /**
+   * Load captured responses from a file or a directory of JSON files
+   */
+  loadCaptures(sourcePath) {
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(`Capture not found: ${sourcePath}`);
+    }
+
+    let files = [sourcePath];
+
+    if (fs.statSync(sourcePath).isDirectory()) {
+      const names = fs
+        .readdirSync(sourcePath)
+        .filter((name) => name.endsWith(".json"))
+        .sort();
+
+      // saveResponseToFile writes a "_simple" twin next to every full capture;
+      // only fall back to it when the full capture is missing
+      files = names
+        .filter(
+          (name) =>
+            !name.endsWith("_simple.json") ||
+            !names.includes(name.replace(/_simple\.json$/, ".json"))
+        )
+        .map((name) => path.join(sourcePath, name));
+    }
+
+    return files.map((file) => {
+      const content = fs.readFileSync(file, "utf8");
+      let capture;
+
+      try {
+        capture = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid capture file ${file}: ${error.message}`);
+      }
+
+      return this.captureToInterceptedItem(capture, file, content.length);
+    });
+  }
+
+  /**
+   * Convert a saved capture into the shape produced by setupInterception.
+   * Understands the full and "_simple" files written by saveResponseToFile
+   * as well as saved /api/search responses (results.rawData).
+   */
+  captureToInterceptedItem(capture, source, size) {
+    let metadata = {};
+    let data = capture;
+
+    if (capture && capture.metadata && "flightData" in capture) {
+      metadata = capture.metadata;
+      data = capture.flightData;
+    } else if (capture && capture.results && "rawData" in capture.results) {
+      metadata = {
+        url: capture.results.metadata?.apiUrl,
+        timestamp: capture.results.metadata?.responseTimestamp,
+        size: capture.results.metadata?.responseSize,
+      };
+      data = capture.results.rawData;
+    }
+
+    const url = metadata.url || source;
+
+    return {
+      url,
+      type: classifyCapture(url, data),
+      timestamp: metadata.timestamp || new Date().toISOString(),
+      status: metadata.status || 200,
+      headers: metadata.headers || {},
+      data,
+      size: metadata.size || size || JSON.stringify(data || null).length,
+      replayedFrom: source,
+    };
+  }
+
+  /**
+   * Parse all intercepted data and return structured results.
+   * Each capture is routed by its endpoint type: flight results are built
+   * from the FetchFlights responses, teaser texts and fare wheel data are
+   * returned alongside them.
+   */
+  parseInterceptedData(options = {}, session = this.lastSession) {
+    if (session.interceptedData.length === 0) {
       return {
         flights: [],
         error: "No data intercepted",
@@ -471,29 +869,208 @@ class UnitedFlightSearcher {
       };
     }
 
-    console.log(
-      `📋 Parsing ${this.interceptedData.length} intercepted response(s)`
-    );
-
-    // Use the latest/largest response (usually the most complete)
-    const latestData = this.interceptedData.reduce((prev, current) => {
-      return current.size > prev.size ? current : prev;
+    session.log.debug("Parsing intercepted responses", {
+      count: session.interceptedData.length,
     });
 
-    const parsedResults = this.extractFlightInfo(latestData.data);
+    const byType = {};
+    for (const item of session.interceptedData) {
+      const type = item.type || classifyCapture(item.url, item.data);
+      (byType[type] = byType[type] || []).push(item);
+    }
+
+    const flightCaptures = byType.flights || [];
+    const schema = flightCaptures.length
+      ? this.checkSchema(flightCaptures, session)
+      : undefined;
+    let parsedResults;
+
+    if (flightCaptures.length > 0) {
+      parsedResults = this.extractFlightInfo(
+        this.assembleFlightData(flightCaptures)
+      );
+    } else {
+      parsedResults = {
+        flights: [],
+        error: "No FetchFlights response intercepted",
+      };
+    }
+
+    const teaserCaptures = byType.teaserTexts || [];
+    if (teaserCaptures.length > 0) {
+      parsedResults.teaserTexts = this.extractTeaserTexts(
+        teaserCaptures[teaserCaptures.length - 1].data
+      );
+    }
+
+    // FetchFlights carries a (usually empty) Calendar block too
+    const fareWheel = [...(byType.fareWheel || []), ...flightCaptures]
+      .map((item) => this.extractFareWheel(item.data))
+      .find((days) => days.length > 0);
+    if (fareWheel) {
+      parsedResults.fareWheel = fareWheel;
+    }
+
+    const primary = flightCaptures[0] || session.interceptedData[0];
 
     // Add metadata
     parsedResults.metadata = {
-      interceptedResponses: this.interceptedData.length,
-      responseTimestamp: latestData.timestamp,
-      responseSize: latestData.size,
-      apiUrl: latestData.url,
+      sessionId: session.id,
+      interceptedResponses: session.interceptedData.length,
+      responseTypes: Object.fromEntries(
+        Object.entries(byType).map(([type, items]) => [type, items.length])
+      ),
+      responseTimestamp: primary.timestamp,
+      responseSize: primary.size,
+      apiUrl: primary.url,
       parseTimestamp: new Date().toISOString(),
+      schema,
     };
 
+    session.mark("parse");
+
     return parsedResults;
   }
 
+  /**
+   * Flights parsed from the FetchFlights responses captured so far
+   */
+  getPartialResults(session) {
+    const captures = session.responsesOfType("flights");
+    const { flights, error } = this.extractFlightInfo(
+      this.assembleFlightData(captures)
+    );
+
+    return { flightResponses: captures.length, flights, error };
+  }
+
+  /**
+   * Validate FetchFlights captures against the response schema (see
+   * flightSchema). Drift is logged, counted and kept in the drift history,
+   * except for replays: old or client-supplied captures say nothing about
+   * what United sends today.
+   * @returns {Object} Merged report for metadata.schema
+   */
+  checkSchema(flightCaptures, session) {
+    const report = mergeReports(
+      flightCaptures.map((item) =>
+        validateFlightPayload(unwrapPayload(item.data))
+      )
+    );
+
+    if (report.drift && !session.replay) {
+      session.log.warn("FetchFlights response does not match schema", {
+        schemaVersion: report.schemaVersion,
+        missing: report.missing.map((entry) => entry.path),
+        mismatched: report.mismatched.map((entry) => entry.path),
+        newFields: report.newFields.map((entry) => entry.path),
+      });
+      countDrift(report);
+
+      if (this.schemaDrift) {
+        this.schemaDrift.record(report, {
+          searchId: session.id,
+          url: session.url,
+        });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Combine FetchFlights responses into one payload. Later responses for a
+   * trip (retriggered searches, trip 2 of a round trip) replace earlier ones,
+   * and a response without flights never replaces one that has them.
+   */
+  assembleFlightData(captures) {
+    const payloads = captures
+      .map((item) => unwrapPayload(item.data))
+      .filter((payload) => payload && Array.isArray(payload.Trips));
+
+    if (payloads.length === 0) {
+      return captures[captures.length - 1].data;
+    }
+
+    const trips = new Map();
+    for (const payload of payloads) {
+      payload.Trips.forEach((trip, position) => {
+        if (!trip) return;
+
+        const index = trip.TripIndex || trip.Index || position + 1;
+        const existing = trips.get(index);
+        const hasFlights = (trip.Flights || []).length > 0;
+
+        if (!existing || hasFlights || !(existing.Flights || []).length) {
+          trips.set(index, trip);
+        }
+      });
+    }
+
+    const base = payloads[payloads.length - 1];
+    return {
+      data: {
+        ...base,
+        Trips: [...trips.keys()]
+          .sort((a, b) => a - b)
+          .map((index) => trips.get(index)),
+      },
+    };
+  }
+
+  /**
+   * Fare column teaser texts (GetTeaserTexts), e.g. "No change fees"
+   */
+  extractTeaserTexts(data) {
+    const columns = unwrapPayload(data)?.ColumnInformation?.Columns || [];
+
+    return columns.map((column) => ({
+      type: column.Type,
+      fareFamily: column.FareFamily,
+      label: column.DataSourceLabel?.trim(),
+      description: column.Description,
+      fareContent: column.FareContentDescription,
+      marketingText: column.MarketingText,
+      teasers: (column.TeaserTexts || [])
+        .slice()
+        .sort((a, b) => (a.SortIndex || 0) - (b.SortIndex || 0))
+        .map((teaser) => ({
+          text: teaser.Text,
+          type: teaser.Type,
+          icon: teaser.Icon,
+          isPrimary: teaser.IsPrimary || false,
+        })),
+    }));
+  }
+
+  /**
+   * Lowest price per date from a fare wheel/calendar block
+   */
+  extractFareWheel(data) {
+    const months = unwrapPayload(data)?.Calendar?.Months || [];
+    const days = [];
+
+    for (const month of months) {
+      for (const week of month.Weeks || []) {
+        for (const day of week.Days || []) {
+          const price = day.Solutions?.[0]?.Prices?.[0];
+          if (!day.DateValue || !price) continue;
+
+          days.push({
+            date: day.DateValue,
+            price:
+              typeof price.Amount === "number"
+                ? price.Amount
+                : parseFloat(price.Amount),
+            currency: price.Currency,
+          });
+        }
+      }
+    }
+
+    return days;
+  }
+
   /**
    * Extract flight information from United's API response
    */
@@ -518,6 +1095,13 @@ class UnitedFlightSearcher {
         trips = data.data.Trips;
       } else if (Array.isArray(data)) {
         trips = data;
+      } else {
+        return {
+          flights,
+          error:
+            "FetchFlights response has no Trips array (see metadata.schema)",
+          rawData: data,
+        };
       }
 
       for (const trip of trips) {
@@ -535,8 +1119,16 @@ class UnitedFlightSearcher {
           pricing: [],
           aircraft: [],
           searchFilters: {},
+          itineraries: [],
         };
 
+        // Extract individual flights (itineraries with their segments and products)
+        if (Array.isArray(trip.Flights)) {
+          flightInfo.itineraries = trip.Flights.filter(Boolean).map((flight) =>
+            this.extractItinerary(flight, flightInfo.tripIndex)
+          );
+        }
+
         // Extract fare information
         if (trip.ColumnInformation && trip.ColumnInformation.Columns) {
           flightInfo.fares = trip.ColumnInformation.Columns.map((column) => ({
@@ -616,7 +1208,7 @@ class UnitedFlightSearcher {
         rawData: data,
       };
     } catch (error) {
-      console.error("❌ Error parsing flight data:", error.message);
+      log.error("Error parsing flight data", { error: error.message });
       return {
         flights,
         error: `Failed to parse flight data: ${error.message}`,
@@ -626,76 +1218,241 @@ class UnitedFlightSearcher {
   }
 
   /**
-   * Get summary statistics from intercepted data including failed requests
+   * Normalize a single entry of trip.Flights into an itinerary.
+   * The top-level flight is the first segment; its Connections are the
+   * following segments, and its Products carry the itinerary-wide prices.
    */
-  getSummary() {
+  extractItinerary(flight, tripIndex) {
+    const legs = [flight, ...(flight.Connections || [])];
+    const segments = legs.map((leg) => this.extractSegment(leg));
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+
+    const products = (flight.Products || []).map((product) =>
+      this.extractProduct(product)
+    );
+    const pricedProducts = products.filter((product) => product.price !== null);
+    const awardProducts = products.filter((product) => product.miles !== null);
+
     return {
-      totalResponses: this.interceptedData.length,
-      totalDataSize: this.interceptedData.reduce(
-        (sum, item) => sum + item.size,
-        0
+      id: flight.Hash || flight.BBXHash,
+      tripIndex: flight.TripIndex || tripIndex,
+      origin: first.origin,
+      destination: last.destination,
+      departDateTime: first.departDateTime,
+      arrivalDateTime: last.arrivalDateTime,
+      durationMinutes: flight.TravelMinutesTotal,
+      stops:
+        segments.length -
+        1 +
+        segments.reduce((sum, segment) => sum + segment.stops.length, 0),
+      flightNumbers: segments.map(
+        (segment) => `${segment.marketingCarrier}${segment.flightNumber}`
       ),
-      responseUrls: this.interceptedData.map((item) => item.url),
-      timestamps: this.interceptedData.map((item) => item.timestamp),
-      failedRequests: this.failedRequests || [],
-      failedRequestCount: (this.failedRequests || []).length,
+      segments,
+      connections: segments.slice(1).map((segment) => ({
+        airport: segment.origin,
+        minutes: segment.connectTimeMinutes,
+      })),
+      products,
+      lowestPrice: pricedProducts.length
+        ? pricedProducts.reduce((lowest, product) =>
+            product.price < lowest.price ? product : lowest
+          ).price
+        : null,
+      currency: pricedProducts[0]?.currency,
+      lowestMiles: awardProducts.length
+        ? Math.min(...awardProducts.map((product) => product.miles))
+        : null,
     };
   }
 
+  /**
+   * Normalize a single flight leg (top-level flight or connection)
+   */
+  extractSegment(leg) {
+    return {
+      flightNumber: leg.FlightNumber,
+      marketingCarrier: leg.MarketingCarrier,
+      marketingCarrierName: leg.MarketingCarrierDescription,
+      operatingCarrier: leg.OperatingCarrier,
+      operatingCarrierName:
+        leg.OperatingCarrierShort || leg.OperatingCarrierDescription,
+      origin: leg.Origin,
+      originDescription: leg.OriginDescription,
+      destination: leg.Destination,
+      destinationDescription: leg.DestinationDescription,
+      departDateTime: leg.DepartDateTime,
+      arrivalDateTime: leg.DestinationDateTime,
+      originTimezoneOffset: leg.OriginTimezoneOffset,
+      destinationTimezoneOffset: leg.DestinationTimezoneOffset,
+      durationMinutes: leg.TravelMinutes,
+      connectTimeMinutes: leg.ConnectTimeMinutes,
+      mileage: leg.MileageActual,
+      fareBasisCode: leg.FareBasisCode,
+      equipment: leg.EquipmentDisclosures
+        ? {
+            code: leg.EquipmentDisclosures.EquipmentType,
+            description: leg.EquipmentDisclosures.EquipmentDescription,
+          }
+        : null,
+      stops: (leg.StopInfos || []).map((stop) => ({
+        airport: stop.Origin || stop.Destination,
+        description: stop.OriginDescription || stop.DestinationDescription,
+        arrivalDateTime: stop.DestinationDateTime,
+        departDateTime: stop.DepartDateTime,
+      })),
+      amenities: leg.Amenities || [],
+      bookingCodes: (leg.Products || []).map((product) => ({
+        productType: product.ProductType,
+        cabinType: product.CabinType,
+        bookingCode: product.BookingCode,
+        mileage: product.Mileage,
+      })),
+    };
+  }
+
+  /**
+   * Normalize a fare product (one cabin/fare family column) and its prices
+   */
+  extractProduct(product) {
+    const prices = (product.Prices || []).map((price) => ({
+      type: price.PricingType,
+      amount:
+        typeof price.Amount === "number" ? price.Amount : parseFloat(price.Amount),
+      currency: price.Currency,
+      amountAllPax: price.AmountAllPax,
+      amountBase: price.AmountBase,
+    }));
+    // Award products are priced in miles plus cash taxes and fees
+    const award = prices.find(isMilesPrice);
+    const fare = prices.find(
+      (price) => price.type === "Fare" && !isMilesPrice(price)
+    );
+    const taxes = prices.find(
+      (price) => /^tax(es)?$/i.test(price.type || "") && !isMilesPrice(price)
+    );
+
+    return {
+      productType: product.ProductType,
+      productSubtype: product.ProductSubtype,
+      fareFamily: product.FareFamily,
+      cabinType: product.CabinType,
+      cabinTypeCode: product.CabinTypeCode,
+      description: product.Description,
+      bookingCode: product.BookingCode,
+      fareBasisCodes: (product.Fares || []).map(
+        (productFare) => productFare.FareBasisCode
+      ),
+      mileage: product.Mileage,
+      // null when United leaves NonRefundableIndicator out: unknown, not refundable
+      isRefundable:
+        typeof product.NonRefundableIndicator === "boolean"
+          ? !product.NonRefundableIndicator
+          : null,
+      noChangeFee: product.NoChangeFeeIndicator || false,
+      mealDescription: product.MealDescription,
+      passengerFares: this.extractPassengerFares(product.Fares || []),
+      price: fare && !isNaN(fare.amount) ? fare.amount : null,
+      priceAllPassengers:
+        fare && typeof fare.amountAllPax === "number" ? fare.amountAllPax : null,
+      taxes: taxes && !isNaN(taxes.amount) ? taxes.amount : null,
+      currency: fare?.currency || (award ? taxes?.currency : undefined),
+      isAward: product.ProductPath === "Award" || Boolean(award),
+      miles: award && !isNaN(award.amount) ? award.amount : null,
+      milesAllPassengers:
+        award && typeof award.amountAllPax === "number"
+          ? award.amountAllPax
+          : null,
+      prices,
+    };
+  }
+
+  /**
+   * Base fare per passenger type code (ADT, SRC, CHD, INF, ...), summed
+   * over the product's fare components
+   */
+  extractPassengerFares(fares) {
+    const byPtc = new Map();
+
+    for (const fare of fares) {
+      const ptc = fare.Ptc || "ADT";
+      const entry = byPtc.get(ptc) || {
+        ptc,
+        passengerType: passengerTypeForPtc(ptc),
+        baseFare: 0,
+        currency: fare.Currency,
+        fareBasisCodes: [],
+      };
+
+      entry.baseFare += Number(fare.Amount) || 0;
+      if (fare.FareBasisCode) entry.fareBasisCodes.push(fare.FareBasisCode);
+      byPtc.set(ptc, entry);
+    }
+
+    return [...byPtc.values()].map((entry) => ({
+      ...entry,
+      baseFare: Math.round(entry.baseFare * 100) / 100,
+    }));
+  }
+
+  /**
+   * Get summary statistics for a search session (defaults to the most recent)
+   */
+  getSummary(session = this.lastSession) {
+    return session.getSummary();
+  }
+
   /**
    * Alternative search method using form interaction if URL navigation fails
    */
   async searchByFormInteraction(searchParams, options = {}) {
-    console.log("🔄 Trying alternative form interaction method...");
+    const session = options.session || this.createSession();
+    this.lastSession = session;
 
-    const browser = await puppeteer.launch({
-      headless: this.headless,
-      executablePath: process.env.CHROME_BIN || '/usr/bin/google-chrome',
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-blink-features=AutomationControlled",
-        "--disable-http2",
-        "--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-        `--proxy-server=${proxies[Math.floor(Math.random() * proxies.length)]}`,
-      ],
-    });
+    session.log.info("Starting form interaction search");
 
-    try {
-      const page = await browser.newPage();
-      await this.setupAntiDetection(page);
-      await page.setRequestInterception(true);
-      this.setupInterception(page, options);
-
-      // Navigate to United homepage first
-      await page.goto("https://www.united.com", {
-        waitUntil: "domcontentloaded",
-        timeout: this.timeout,
-      });
+    return this.runTimedSearch("form", session, async (proxy) => {
+      const lease = await this.acquirePage(session, proxy);
 
-      await this.waitFor(page, 3000);
+      try {
+        const page = lease.page;
+        await this.setupAntiDetection(page);
+        await page.setRequestInterception(true);
+        this.setupInterception(page, session, options);
+
+        // Navigate to United homepage first
+        await page.goto(this.baseUrl, {
+          waitUntil: "domcontentloaded",
+          timeout: this.timeout,
+        });
 
-      // Fill out the search form manually
-      await this.fillSearchFormManually(page, searchParams);
+        await this.waitFor(page, 3000);
 
-      // Submit search
-      await this.submitSearchManually(page);
+        // Fill out the search form manually
+        await this.fillSearchFormManually(page, searchParams, session);
 
-      // Wait for results
-      await this.waitForSearchResults(page);
+        // Submit search
+        await this.submitSearchManually(page, session);
+        session.mark("navigate");
 
-      return this.parseInterceptedData(options);
-    } finally {
-      await browser.close();
-    }
+        // Wait for results
+        await this.waitForSearchResults(page, session);
+        session.mark("results");
+
+        return this.parseInterceptedData(options, session);
+      } finally {
+        await this.releasePage(lease, session);
+      }
+    });
   }
 
   /**
    * Manually fill search form with delays to avoid detection
    */
-  async fillSearchFormManually(page, params) {
+  async fillSearchFormManually(page, params, session) {
     try {
-      console.log("📝 Manually filling search form...");
+      session.log.debug("Filling search form");
 
       // Wait for form to be ready
       await page.waitForSelector('input[placeholder*="From"], #origin', {
@@ -737,7 +1494,9 @@ class UnitedFlightSearcher {
           await page.type(depDateSelector, params.departDate, { delay: 100 });
           await this.waitFor(page, 1000);
         } catch (e) {
-          console.log("⚠️ Could not fill departure date:", e.message);
+          session.log.warn("Could not fill departure date", {
+            error: e.message,
+          });
         }
       }
 
@@ -755,13 +1514,15 @@ class UnitedFlightSearcher {
           await page.type(retDateSelector, params.returnDate, { delay: 100 });
           await this.waitFor(page, 1000);
         } catch (e) {
-          console.log("⚠️ Could not fill return date:", e.message);
+          session.log.warn("Could not fill return date", {
+            error: e.message,
+          });
         }
       }
 
-      console.log("✅ Search form filled manually");
+      session.log.debug("Search form filled");
     } catch (error) {
-      console.log("❌ Error filling search form manually:", error.message);
+      session.log.error("Error filling search form", { error: error.message });
       throw error;
     }
   }
@@ -769,9 +1530,9 @@ class UnitedFlightSearcher {
   /**
    * Manually submit search form
    */
-  async submitSearchManually(page) {
+  async submitSearchManually(page, session) {
     try {
-      console.log("🚀 Submitting search manually...");
+      session.log.debug("Submitting search form");
 
       // Look for search button with multiple selectors
       const searchSelectors = [
@@ -790,7 +1551,7 @@ class UnitedFlightSearcher {
           const button = await page.$(selector);
           if (button) {
             await button.click();
-            console.log(`✅ Search submitted using selector: ${selector}`);
+            session.log.debug("Search submitted", { selector });
             searchSubmitted = true;
             break;
           }
@@ -802,13 +1563,15 @@ class UnitedFlightSearcher {
       if (!searchSubmitted) {
         // Try pressing Enter as fallback
         await page.keyboard.press("Enter");
-        console.log("✅ Search submitted via Enter key");
+        session.log.debug("Search submitted via Enter key");
       }
 
       // Wait for navigation/response
       await this.waitFor(page, 3000);
     } catch (error) {
-      console.log("❌ Error submitting search manually:", error.message);
+      session.log.error("Error submitting search form", {
+        error: error.message,
+      });
       throw error;
     }
   }
@@ -816,127 +1579,60 @@ class UnitedFlightSearcher {
   /**
    * Provide troubleshooting information when search fails
    */
-  getTroubleshootingInfo() {
-    const summary = this.getSummary();
-
-    const troubleshooting = {
-      summary,
-      possibleIssues: [],
-      recommendations: [],
-    };
-
-    // Analyze failed requests
-    if (summary.failedRequestCount > 0) {
-      const http2Errors = summary.failedRequests.filter((req) =>
-        req.error.includes("ERR_HTTP2_PROTOCOL_ERROR")
-      ).length;
-
-      if (http2Errors > 0) {
-        troubleshooting.possibleIssues.push(
-          "HTTP/2 Protocol Errors detected - likely anti-bot protection"
-        );
-        troubleshooting.recommendations.push(
-          "Try using the form interaction method instead of URL navigation"
-        );
-        troubleshooting.recommendations.push(
-          "Consider adding longer delays between requests"
-        );
-        troubleshooting.recommendations.push(
-          "Try using a residential proxy or VPN"
-        );
-      }
-    }
-
-    if (summary.totalResponses === 0) {
-      troubleshooting.possibleIssues.push("No API responses intercepted");
-      troubleshooting.recommendations.push(
-        "Check if United website structure has changed"
-      );
-      troubleshooting.recommendations.push("Verify the search URL is correct");
-      troubleshooting.recommendations.push(
-        "Try running with headless: false to see what's happening"
-      );
-    }
-
-    return troubleshooting;
+  getTroubleshootingInfo(session = this.lastSession) {
+    return session.getTroubleshootingInfo();
   }
 
   /**
-   * Clear intercepted data (useful for multiple searches)
+   * Start over with an empty session (useful for multiple searches)
    */
   clearData() {
-    this.interceptedData = [];
+    this.lastSession = new SearchSession();
   }
 }
 
-// Usage example and test function with enhanced error handling
+/**
+ * Search a URL, falling back to form interaction when URL navigation fails.
+ * Progress and troubleshooting information go to the "united" logger; print
+ * the results with cli.js (node cli.js search <url>).
+ */
 async function testWithURL(searchURL, options = {}) {
-  console.log("🚀 Testing United Flight Searcher with URL...\n");
-
   const searcher = new UnitedFlightSearcher({
-    headless: false,
+    headless: options.headless ?? false,
     saveResponses: true,
     outputDir: "./flight_data",
   });
 
   try {
-    // First try the URL-based approach
-    console.log("📋 Method 1: URL Navigation");
-    console.log("=".repeat(40));
-
-    const results = await searcher.searchByURL(searchURL, {
+    return await searcher.searchByURL(searchURL, {
       logRequests: true,
       filename: options.filename,
     });
-
-    console.log("\n📋 Flight Search Results:");
-    console.log("=".repeat(50));
-    displayResults(results);
-
-    return results;
   } catch (error) {
-    console.error("❌ URL Navigation Error:", error.message);
-
-    // Get troubleshooting information
     const troubleshooting = searcher.getTroubleshootingInfo();
-    console.log("\n🔍 Troubleshooting Information:");
-    console.log("=".repeat(50));
-    console.log("Possible Issues:", troubleshooting.possibleIssues);
-    console.log("Recommendations:", troubleshooting.recommendations);
+    log.error("URL navigation failed, trying form interaction", {
+      error: error.message,
+      possibleIssues: troubleshooting.possibleIssues,
+      recommendations: troubleshooting.recommendations,
+    });
 
-    // Try alternative form interaction method
     try {
-      console.log("\n📋 Method 2: Form Interaction (Fallback)");
-      console.log("=".repeat(40));
-
-      // Extract search parameters from URL
-      const searchParams = extractParamsFromURL(searchURL);
-      const formResults = await searcher.searchByFormInteraction(searchParams, {
-        logRequests: true,
-        filename: options.filename,
-      });
-
-      console.log("\n📋 Form Interaction Results:");
-      console.log("=".repeat(50));
-      displayResults(formResults);
-
-      return formResults;
-    } catch (formError) {
-      console.error("❌ Form Interaction Error:", formError.message);
-
-      // Final troubleshooting
-      const finalTroubleshooting = searcher.getTroubleshootingInfo();
-      console.log("\n🆘 Final Troubleshooting Information:");
-      console.log("=".repeat(50));
-      console.log(
-        "Summary:",
-        JSON.stringify(finalTroubleshooting.summary, null, 2)
+      return await searcher.searchByFormInteraction(
+        extractParamsFromURL(searchURL),
+        { logRequests: true, filename: options.filename }
       );
+    } catch (formError) {
+      log.error("Form interaction failed", {
+        error: formError.message,
+        summary: searcher.getTroubleshootingInfo().summary,
+      });
 
       throw new Error(
-        "Both URL navigation and form interaction methods failed. Check troubleshooting information above."
+        "Both URL navigation and form interaction methods failed. Check the logged troubleshooting information."
       );
     }
+  } finally {
+    await searcher.close();
   }
 }
 
@@ -950,10 +1646,12 @@ function extractParamsFromURL(url) {
       to: params.get("t"),
       departDate: params.get("d"),
       returnDate: params.get("r"),
-      passengers: parseInt(params.get("px")) || 1,
+      passengers: String(params.get("px") || "1")
+        .split(",")
+        .reduce((sum, count) => sum + (parseInt(count) || 0), 0) || 1,
     };
   } catch (error) {
-    console.log("⚠️ Could not parse URL parameters, using defaults");
+    log.warn("Could not parse URL parameters, using defaults", { url });
     return {
       from: "PHL",
       to: "NYC",
@@ -964,87 +1662,35 @@ function extractParamsFromURL(url) {
   }
 }
 
-function displayResults(results) {
-  if (results.flights && results.flights.length > 0) {
-    results.flights.forEach((flight, index) => {
-      console.log(`\nTrip ${flight.tripIndex || index + 1}:`);
-      console.log(
-        `  Route: ${flight.originDecoded || flight.origin} → ${
-          flight.destinationDecoded || flight.destination
-        }`
-      );
-      console.log(
-        `  Date: ${flight.departDate}${
-          flight.departTime ? ` at ${flight.departTime}` : ""
-        }`
-      );
-
-      if (flight.fares && flight.fares.length > 0) {
-        console.log("  Available Fares:");
-        flight.fares.forEach((fare) => {
-          const refundable = fare.isRefundable ? " (Refundable)" : "";
-          console.log(
-            `    - ${fare.cabinClass} (${fare.type})${refundable}: ${fare.description}`
-          );
-        });
-      }
-
-      if (flight.pricing && flight.pricing.length > 0) {
-        console.log("  Pricing by Airport:");
-        flight.pricing.forEach((price) => {
-          console.log(
-            `    - ${price.airport}: ${price.price} ${price.currency} (${price.fareFamily})`
-          );
-        });
-      }
-
-      if (flight.searchFilters && flight.searchFilters.priceRange) {
-        console.log(
-          `  Price Range: ${flight.searchFilters.priceRange.min} - ${flight.searchFilters.priceRange.max}`
-        );
-      }
-    });
-
-    if (results.searchInfo) {
-      console.log(
-        `\n📊 Search Status: ${
-          results.searchInfo.status === 1 ? "Success" : "Warning/Error"
-        }`
-      );
-      if (
-        results.searchInfo.warnings &&
-        results.searchInfo.warnings.length > 0
-      ) {
-        console.log(
-          "⚠️ Warnings:",
-          results.searchInfo.warnings.map((w) => w.Message).join(", ")
-        );
-      }
-      if (results.searchInfo.errors && results.searchInfo.errors.length > 0) {
-        console.log(
-          "❌ Errors:",
-          results.searchInfo.errors.map((e) => e.Message || e).join(", ")
-        );
+/**
+ * Lowest fare per product type (ECONOMY, FIRST, ...) across the itineraries
+ * of every trip. United prices round-trip and multi-city itineraries at the
+ * whole journey's fare, so this is the lowest total price whichever leg it is
+ * listed on; legs United has not priced yet come without itineraries.
+ */
+function lowestPricesByCabin(results) {
+  const lowest = {};
+
+  for (const trip of results?.flights || []) {
+    for (const itinerary of trip.itineraries || []) {
+      for (const product of itinerary.products) {
+        if (product.price === null || product.price === undefined) continue;
+
+        const cabin = product.productType;
+        if (!lowest[cabin] || product.price < lowest[cabin].price) {
+          lowest[cabin] = {
+            price: product.price,
+            currency: product.currency,
+            tripIndex: trip.tripIndex,
+            itineraryId: itinerary.id,
+            flightNumbers: itinerary.flightNumbers,
+          };
+        }
       }
     }
-
-    if (results.metadata) {
-      console.log(`\n📊 Metadata:`);
-      console.log(
-        `  Intercepted Responses: ${results.metadata.interceptedResponses}`
-      );
-      console.log(
-        `  Response Timestamp: ${results.metadata.responseTimestamp}`
-      );
-      console.log(`  API URL: ${results.metadata.apiUrl}`);
-    }
-  } else {
-    console.log("No flights found or error occurred:", results.error);
-
-    if (results.rawData) {
-      console.log("Raw data available for debugging. Check saved JSON files.");
-    }
   }
+
+  return lowest;
 }
 
 // Export for use as module
@@ -1052,16 +1698,8 @@ module.exports = {
   UnitedFlightSearcher,
   testWithURL,
   extractParamsFromURL,
-  displayResults
+  lowestPricesByCabin
 };
 
-// Run test if called directly
-if (require.main === module) {
-  // Example URL (you would generate this with the URL builder)
-  const exampleURL =
-    "https://www.united.com/en/us/fsr/choose-flights?f=PHL&t=NEW%20YORK%2C%20NY%2C%20US%20(ALL%20AIRPORTS)&d=2025-08-15&r=2025-08-17&sc=7%2C7&ct=1&px=1&taxng=1&newHP=True&clm=7&st=bestmatches&tqp=R";
-
-  testWithURL(exampleURL, {
-    filename: "test_flight_search.json",
-  });
-}
+// This module is a library; run searches from the command line with
+//   node cli.js search <url> [--headful] [--save-responses] [--verbose]
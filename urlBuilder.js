@@ -1,14 +1,42 @@
+const { airports } = require('./airports');
+const { parseDate, validateTravelDate, localToday } = require('./dateParser');
+
 class UnitedURLBuilder {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.today] - Fixed "today" (YYYY-MM-DD) for relative dates and validation
+     * @param {number} [options.maxDaysAhead=337] - Booking horizon in days
+     * @param {string} [options.slashOrder='MDY'] - Read 01/02/2025 as 'MDY' (US) or 'DMY'
+     */
+    constructor(options = {}) {
         this.baseUrl = 'https://www.united.com/en/us/fsr/choose-flights';
+        this.today = options.today;
+        this.maxDaysAhead = options.maxDaysAhead || 337;
+        this.slashOrder = options.slashOrder || 'MDY';
         
         // Cabin class mappings
         this.cabinClasses = {
             'economy': 1,
             'premium-economy': 2,
             'business': 3,
-            'first': 7,
-            'premium': 7
+            'first': 7
+        };
+
+        // Values addAdvancedParams writes for timeOfDay
+        this.timesOfDay = {
+            'morning': 'M',
+            'afternoon': 'A',
+            'evening': 'E',
+            'night': 'N'
+        };
+
+        // Boolean advanced options and the parameter each one sets to '1'
+        this.advancedFlags = {
+            flexibleDates: 'fd',
+            nonstopOnly: 'ns',
+            awardTravel: 'at',
+            refundableOnly: 'rf',
+            bookWithMiles: 'bwm'
         };
 
         // Sort type mappings
@@ -26,24 +54,51 @@ class UnitedURLBuilder {
             'oneway': 'O',
             'multicity': 'M'
         };
+
+        // Passenger types in the order United expects them in px
+        this.passengerTypes = [
+            'adults',
+            'seniors',
+            'children15To17',
+            'children12To14',
+            'children5To11',
+            'children2To4',
+            'infantsInSeat',
+            'infantsOnLap'
+        ];
+        this.maxPassengers = 9;
     }
 
     /**
      * Build United Airlines flight search URL
      * @param {Object} options - Search options
      * @param {string} options.from - Origin airport code (e.g., 'PHL')
-     * @param {string} options.to - Destination airport code or city (e.g., 'NYC' or 'NEW YORK, NY, US (ALL AIRPORTS)')
-     * @param {string} options.departDate - Departure date in YYYY-MM-DD format
-     * @param {string} [options.returnDate] - Return date in YYYY-MM-DD format (for round trip)
-     * @param {number} [options.passengers=1] - Number of passengers
+     * @param {string} options.to - Destination airport or metro code, or city (e.g., 'EWR', 'NYC' or 'NEW YORK, NY, US (ALL AIRPORTS)')
+     * @param {string} options.departDate - Departure date (YYYY-MM-DD or any format formatDate accepts, e.g. '+14d')
+     * @param {string} [options.returnDate] - Return date (for round trip)
+     * @param {number|Object} [options.passengers=1] - Number of adults, or a passenger mix
+     *   ({ adults, seniors, children15To17, children12To14, children5To11, children2To4,
+     *   infantsInSeat, infantsOnLap })
+     * @param {Object} [options.passengerMix] - Passenger mix as returned by parseURL (wins over passengers)
      * @param {string} [options.cabinClass='economy'] - Cabin class preference
      * @param {string} [options.sortBy='bestmatches'] - Sort preference
      * @param {string} [options.tripType] - Trip type (auto-detected if not provided)
      * @param {boolean} [options.useAllAirports=true] - Use all airports for destination
+     * @param {boolean} [options.exactDestination=false] - Write metro codes as given instead of expanding them
+     * @param {boolean} [options.validateAirports=true] - Reject codes missing from the airport dataset
+     * @param {boolean} [options.validateDates=true] - Reject past dates, dates past the booking horizon
+     *   and returns before departure
      * @param {Object} [options.advanced] - Advanced search criteria
+     * @param {Array} [options.segments] - Multi-city legs (see buildMultiCityURL)
+     * @param {Object} [options.extraParams] - Raw query parameters written last (value null removes
+     *   a parameter, an array repeats it); parseURL returns anything it can't map to an option here
      * @returns {string} Complete United Airlines search URL
      */
     buildURL(options) {
+        if (options.segments) {
+            return this.buildMultiCityURL(options.segments, options);
+        }
+
         if (!options.from || !options.to || !options.departDate) {
             throw new Error('Required parameters: from, to, departDate');
         }
@@ -51,24 +106,41 @@ class UnitedURLBuilder {
         const params = new URLSearchParams();
         
         // Basic search parameters
-        params.set('f', options.from.toUpperCase());
-        params.set('t', this.formatDestination(options.to, options.useAllAirports));
-        params.set('d', this.formatDate(options.departDate));
+        params.set('f', this.formatOrigin(options.from, options));
+        params.set('t', this.formatDestination(options.to, options.useAllAirports, {
+            exact: options.exactDestination,
+            validate: options.validateAirports
+        }));
+        const departDate = this.formatDate(options.departDate);
+        const returnDate = options.returnDate ? this.formatDate(options.returnDate) : null;
+        if (options.validateDates !== false) {
+            this.validateTripDates(departDate, returnDate);
+        }
+        params.set('d', departDate);
         
         // Return date for round trip
-        if (options.returnDate) {
-            params.set('r', this.formatDate(options.returnDate));
+        if (returnDate) {
+            params.set('r', returnDate);
         }
         
         // Determine trip type
         const tripType = options.tripType || (options.returnDate ? 'roundtrip' : 'oneway');
         params.set('tqp', this.tripTypes[tripType] || 'O');
         
-        // Passenger count
-        params.set('px', options.passengers || 1);
+        this.addCommonParams(params, options);
+        
+        return `${this.baseUrl}?${params.toString()}`;
+    }
+
+    /**
+     * Add passenger, cabin, sort and advanced parameters shared by all trip types
+     */
+    addCommonParams(params, options) {
+        // Passengers: a plain count for adults only, otherwise one count per type
+        params.set('px', this.formatPassengers(this.normalizePassengers(options.passengerMix || options.passengers)));
         
         // Cabin class
-        const cabinCode = this.cabinClasses[options.cabinClass?.toLowerCase()] || 1;
+        const cabinCode = this.cabinCode(options.cabinClass);
         params.set('ct', cabinCode);
         params.set('clm', cabinCode);
         
@@ -88,50 +160,171 @@ class UnitedURLBuilder {
             this.addAdvancedParams(params, options.advanced);
         }
         
-        return `${this.baseUrl}?${params.toString()}`;
+        if (options.extraParams) {
+            this.applyExtraParams(params, options.extraParams);
+        }
+    }
+
+    applyExtraParams(params, extraParams) {
+        for (const [name, value] of Object.entries(extraParams)) {
+            if (value === null || value === undefined) {
+                params.delete(name);
+            } else if (Array.isArray(value)) {
+                params.delete(name);
+                value.forEach(item => params.append(name, item));
+            } else {
+                params.set(name, value);
+            }
+        }
     }
 
     /**
-     * Format destination with proper encoding
+     * Turn a passenger count or partial mix into a full, validated mix
+     * @param {number|Object} [passengers=1]
+     * @returns {Object} Count for every type in passengerTypes
      */
-    formatDestination(destination, useAllAirports = true) {
-        // If it's just an airport code, expand it
-        if (destination.length === 3 && /^[A-Z]{3}$/.test(destination)) {
-            const cityMap = {
-                'NYC': 'NEW YORK, NY, US',
-                'LAX': 'LOS ANGELES, CA, US',
-                'CHI': 'CHICAGO, IL, US',
-                'WAS': 'WASHINGTON, DC, US',
-                'SFO': 'SAN FRANCISCO, CA, US',
-                'BOS': 'BOSTON, MA, US',
-                'MIA': 'MIAMI, FL, US',
-                'LAS': 'LAS VEGAS, NV, US',
-                'SEA': 'SEATTLE, WA, US',
-                'DEN': 'DENVER, CO, US'
-            };
-            
-            const cityName = cityMap[destination.toUpperCase()] || destination.toUpperCase();
-            return useAllAirports ? `${cityName} (ALL AIRPORTS)` : cityName;
+    normalizePassengers(passengers = 1) {
+        const input = typeof passengers === 'object' && passengers !== null
+            ? passengers
+            : { adults: passengers || 1 };
+
+        const unknown = Object.keys(input).filter(type => !this.passengerTypes.includes(type));
+        if (unknown.length) {
+            throw new Error(`Unknown passenger type(s): ${unknown.join(', ')}`);
         }
-        
-        // If already formatted, return as-is
-        return destination;
+
+        const mix = {};
+        for (const type of this.passengerTypes) {
+            const count = input[type] === undefined ? 0 : Number(input[type]);
+            if (!Number.isInteger(count) || count < 0) {
+                throw new Error(`${type} must be a non-negative whole number`);
+            }
+            mix[type] = count;
+        }
+
+        this.validatePassengers(mix);
+        return mix;
     }
 
     /**
-     * Format date to YYYY-MM-DD
+     * United's booking rules: 1-9 travelers, at least one adult or senior,
+     * and no more infants than adults to travel with
      */
-    formatDate(dateInput) {
-        if (typeof dateInput === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateInput)) {
-            return dateInput;
+    validatePassengers(mix) {
+        const total = this.countPassengers(mix);
+        const adults = mix.adults + mix.seniors;
+        const infants = mix.infantsInSeat + mix.infantsOnLap;
+
+        if (total < 1 || total > this.maxPassengers) {
+            throw new Error(`Between 1 and ${this.maxPassengers} passengers are allowed`);
+        }
+        if (adults < 1) {
+            throw new Error('At least one adult or senior is required');
+        }
+        if (infants > adults) {
+            throw new Error('Each infant must travel with an adult or senior');
+        }
+    }
+
+    countPassengers(mix) {
+        return this.passengerTypes.reduce((sum, type) => sum + mix[type], 0);
+    }
+
+    formatPassengers(mix) {
+        const adultsOnly = this.passengerTypes.every(type => type === 'adults' || mix[type] === 0);
+        return adultsOnly
+            ? String(mix.adults)
+            : this.passengerTypes.map(type => mix[type]).join(',');
+    }
+
+    /**
+     * Read px back into a mix ("2" or "1,1,0,0,1,0,0,1")
+     */
+    parsePassengers(px) {
+        const counts = String(px || '1').split(',').map(count => parseInt(count) || 0);
+        const mix = {};
+        this.passengerTypes.forEach((type, index) => {
+            mix[type] = counts[index] || 0;
+        });
+        if (counts.length === 1 && mix.adults === 0) {
+            mix.adults = 1;
+        }
+        return mix;
+    }
+
+    /**
+     * Upper-case the origin, checking codes against the airport dataset
+     */
+    formatOrigin(origin, options = {}) {
+        if (airports.isCode(origin) && options.validateAirports !== false) {
+            return airports.validateCode(origin);
+        }
+        return origin.trim().toUpperCase();
+    }
+
+    /**
+     * Format destination with proper encoding.
+     * Metro codes (NYC, CHI, LON, ...) expand to the city name United uses;
+     * airport codes are checked against the dataset and written as codes.
+     * @param {string} destination - Airport/metro code or an already formatted city
+     * @param {boolean} [useAllAirports=true] - Append "(ALL AIRPORTS)" to metro names
+     * @param {Object} [options]
+     * @param {boolean} [options.exact=false] - Write the destination as given
+     * @param {boolean} [options.validate=true] - Reject unknown codes
+     */
+    formatDestination(destination, useAllAirports = true, options = {}) {
+        if (options.exact || !airports.isCode(destination)) {
+            // Already formatted (or explicitly kept), return as-is
+            return destination;
         }
         
-        const date = new Date(dateInput);
-        if (isNaN(date.getTime())) {
-            throw new Error(`Invalid date: ${dateInput}`);
+        const code = destination.trim().toUpperCase();
+        const metro = airports.getMetro(code);
+        if (metro) {
+            const cityName = airports.formatMetroName(metro);
+            return useAllAirports ? `${cityName} (ALL AIRPORTS)` : cityName;
         }
         
-        return date.toISOString().split('T')[0];
+        return options.validate === false ? code : airports.validateCode(code);
+    }
+
+    /**
+     * United's code for a cabin class name (economy when none is given)
+     */
+    cabinCode(cabinClass) {
+        const name = (cabinClass || 'economy').toLowerCase();
+
+        // Older callers used 'premium' for first class, which reads like premium economy
+        if (name === 'premium') {
+            throw new Error("cabinClass 'premium' is ambiguous: use 'premium-economy' or 'first'");
+        }
+        return this.cabinClasses[name] || 1;
+    }
+
+    /**
+     * Format date to YYYY-MM-DD (see dateParser for the accepted formats)
+     */
+    formatDate(dateInput) {
+        return parseDate(dateInput, { today: this.getToday(), slashOrder: this.slashOrder });
+    }
+
+    getToday() {
+        return this.today || localToday();
+    }
+
+    /**
+     * Departure and return must be bookable, and the return can't come first
+     */
+    validateTripDates(departDate, returnDate) {
+        const options = { today: this.getToday(), maxDaysAhead: this.maxDaysAhead };
+
+        validateTravelDate(departDate, { ...options, label: 'departDate' });
+        if (returnDate) {
+            if (returnDate < departDate) {
+                throw new Error(`returnDate ${returnDate} is before departDate ${departDate}`);
+            }
+            validateTravelDate(returnDate, { ...options, label: 'returnDate' });
+        }
     }
 
     /**
@@ -140,38 +333,32 @@ class UnitedURLBuilder {
     addAdvancedParams(params, advanced) {
         // Flexible dates
         if (advanced.flexibleDates) {
-            params.set('fd', '1');
+            params.set(this.advancedFlags.flexibleDates, '1');
         }
         
         // Nonstop only
         if (advanced.nonstopOnly) {
-            params.set('ns', '1');
+            params.set(this.advancedFlags.nonstopOnly, '1');
         }
         
         // Preferred time of day
         if (advanced.timeOfDay) {
-            const timeMap = {
-                'morning': 'M',
-                'afternoon': 'A', 
-                'evening': 'E',
-                'night': 'N'
-            };
-            params.set('tod', timeMap[advanced.timeOfDay.toLowerCase()] || 'A');
+            params.set('tod', this.timesOfDay[advanced.timeOfDay.toLowerCase()] || 'A');
         }
         
         // Award travel
         if (advanced.awardTravel) {
-            params.set('at', '1');
+            params.set(this.advancedFlags.awardTravel, '1');
         }
         
         // Refundable fares only
         if (advanced.refundableOnly) {
-            params.set('rf', '1');
+            params.set(this.advancedFlags.refundableOnly, '1');
         }
         
         // Book with miles
         if (advanced.bookWithMiles) {
-            params.set('bwm', '1');
+            params.set(this.advancedFlags.bookWithMiles, '1');
         }
         
         // Corporate/government rates
@@ -214,36 +401,200 @@ class UnitedURLBuilder {
 
     /**
      * Build URL for multi-city trip
+     * The first leg uses the regular f/t/d parameters; every following leg
+     * is appended as f{n}/t{n}/d{n} (n = 2..6) with tqp=M.
+     * @param {Array<{from: string, to: string, date: string}>} segments - Ordered legs (2-6)
+     * @param {Object} [options] - Same passenger/cabin/sort/advanced options as buildURL
+     * @returns {string} Complete United Airlines search URL
      */
     buildMultiCityURL(segments, options = {}) {
-        // Multi-city requires different URL structure
-        // This would need to be implemented based on United's multi-city URL format
-        throw new Error('Multi-city URL building not yet implemented');
+        this.validateMultiCitySegments(segments, options);
+
+        const params = new URLSearchParams();
+
+        segments.forEach((segment, index) => {
+            const suffix = index === 0 ? '' : String(index + 1);
+            params.set(`f${suffix}`, this.formatOrigin(segment.from, options));
+            params.set(`t${suffix}`, this.formatDestination(segment.to, options.useAllAirports, {
+                exact: options.exactDestination,
+                validate: options.validateAirports
+            }));
+            params.set(`d${suffix}`, this.formatDate(segment.date));
+        });
+
+        params.set('tqp', this.tripTypes.multicity);
+
+        this.addCommonParams(params, options);
+
+        return `${this.baseUrl}?${params.toString()}`;
+    }
+
+    /**
+     * Validate multi-city legs: 2-6 complete legs with bookable dates in travel order
+     */
+    validateMultiCitySegments(segments, options = {}) {
+        if (!Array.isArray(segments) || segments.length < 2 || segments.length > 6) {
+            throw new Error('Multi-city trips require between 2 and 6 segments');
+        }
+
+        let previousDate = null;
+        segments.forEach((segment, index) => {
+            if (!segment || !segment.from || !segment.to || !segment.date) {
+                throw new Error(`Segment ${index + 1} requires from, to and date`);
+            }
+
+            const date = this.formatDate(segment.date);
+            if (options.validateDates !== false) {
+                validateTravelDate(date, {
+                    today: this.getToday(),
+                    maxDaysAhead: this.maxDaysAhead,
+                    label: `Segment ${index + 1} date`
+                });
+            }
+            if (previousDate && date < previousDate) {
+                throw new Error(
+                    `Segment ${index + 1} date ${date} is before segment ${index} date ${previousDate}`
+                );
+            }
+            previousDate = date;
+        });
     }
 
     /**
-     * Parse existing United URL to extract search parameters
+     * Parse existing United URL to extract search parameters.
+     * Lossless: buildURL(parseURL(url)) yields the same query parameters.
+     * Whatever doesn't map onto a builder option (unknown parameters, values
+     * the builder would write differently) is returned in extraParams.
+     * To change travelers before rebuilding, edit passengerMix (it wins over
+     * the passengers count).
      */
     parseURL(url) {
+        let urlObj;
         try {
-            const urlObj = new URL(url);
-            const params = urlObj.searchParams;
-            
-            const parsed = {
-                from: params.get('f'),
-                to: params.get('t'),
-                departDate: params.get('d'),
-                returnDate: params.get('r'),
-                passengers: parseInt(params.get('px')) || 1,
-                tripType: this.reverseLookup(this.tripTypes, params.get('tqp')),
-                sortBy: this.reverseLookup(this.sortTypes, params.get('st')),
-                cabinClass: this.reverseLookup(this.cabinClasses, parseInt(params.get('ct')))
-            };
-            
-            return parsed;
+            urlObj = new URL(url);
         } catch (error) {
             throw new Error(`Invalid URL: ${error.message}`);
         }
+        
+        const params = urlObj.searchParams;
+        const passengerMix = this.parsePassengers(params.get('px'));
+        
+        const parsed = {
+            from: params.get('f'),
+            to: params.get('t'),
+            departDate: params.get('d'),
+            returnDate: params.get('r'),
+            passengers: this.countPassengers(passengerMix),
+            passengerMix,
+            tripType: this.reverseLookup(this.tripTypes, params.get('tqp')),
+            sortBy: this.reverseLookup(this.sortTypes, params.get('st')),
+            cabinClass: this.reverseLookup(this.cabinClasses, parseInt(params.get('ct')))
+        };
+        
+        // Multi-city legs: f/t/d followed by f2/t2/d2 ... f6/t6/d6
+        if (parsed.tripType === 'multicity') {
+            parsed.segments = [{ from: parsed.from, to: parsed.to, date: parsed.departDate }];
+            for (let n = 2; params.has(`f${n}`); n++) {
+                parsed.segments.push({
+                    from: params.get(`f${n}`),
+                    to: params.get(`t${n}`),
+                    date: params.get(`d${n}`)
+                });
+            }
+        }
+        
+        // United links often carry a bare code in t; keep it a code on rebuild
+        const legs = parsed.segments || [{ from: parsed.from, to: parsed.to }];
+        if (legs.some(leg => airports.getMetro(leg.to || ''))) {
+            parsed.exactDestination = true;
+        }
+        
+        // Codes United accepts but the bundled dataset lacks must still rebuild
+        const codes = legs.flatMap(leg => [leg.from, leg.to]).filter(code => airports.isCode(code));
+        if (codes.some(code => !airports.lookup(code))) {
+            parsed.validateAirports = false;
+        }
+        
+        // Old or odd links (past dates, return first) must still rebuild
+        try {
+            if (parsed.segments) {
+                this.validateMultiCitySegments(parsed.segments);
+            } else if (parsed.departDate) {
+                this.validateTripDates(parsed.departDate, parsed.returnDate);
+            }
+        } catch (error) {
+            parsed.validateDates = false;
+        }
+        
+        const advanced = this.parseAdvancedParams(params);
+        if (Object.keys(advanced).length) {
+            parsed.advanced = advanced;
+        }
+        
+        const extraParams = this.diffParams(params, parsed);
+        if (Object.keys(extraParams).length) {
+            parsed.extraParams = extraParams;
+        }
+        
+        return parsed;
+    }
+
+    /**
+     * Read back what addAdvancedParams writes
+     */
+    parseAdvancedParams(params) {
+        const advanced = {};
+        
+        for (const [option, name] of Object.entries(this.advancedFlags)) {
+            if (params.get(name) === '1') {
+                advanced[option] = true;
+            }
+        }
+        
+        const timeOfDay = this.reverseLookup(this.timesOfDay, params.get('tod'));
+        if (timeOfDay) {
+            advanced.timeOfDay = timeOfDay;
+        }
+        if (params.get('cc')) {
+            advanced.corporateCode = params.get('cc');
+        }
+        if (params.get('pc')) {
+            advanced.promoCode = params.get('pc');
+        }
+        
+        return advanced;
+    }
+
+    /**
+     * Rebuild from the parsed options and collect every parameter that
+     * comes out different (null = the builder adds one the URL didn't have)
+     */
+    diffParams(params, parsed) {
+        let rebuilt;
+        try {
+            rebuilt = new URL(this.buildURL(parsed)).searchParams;
+        } catch (error) {
+            // Not buildable (e.g. missing f/t/d): keep every parameter as-is
+            rebuilt = new URLSearchParams();
+        }
+        
+        const extraParams = {};
+        const names = new Set([...params.keys(), ...rebuilt.keys()]);
+        
+        for (const name of names) {
+            const original = params.getAll(name);
+            const built = rebuilt.getAll(name);
+            
+            if (original.join('\n') === built.join('\n')) continue;
+            
+            if (original.length === 0) {
+                extraParams[name] = null;
+            } else {
+                extraParams[name] = original.length === 1 ? original[0] : original;
+            }
+        }
+        
+        return extraParams;
     }
 
     /**
@@ -270,6 +621,11 @@ function createRoundTripURL(from, to, departDate, returnDate, options = {}) {
     return builder.buildRoundTripURL(from, to, departDate, returnDate, options);
 }
 
+function createMultiCityURL(segments, options = {}) {
+    const builder = new UnitedURLBuilder();
+    return builder.buildMultiCityURL(segments, options);
+}
+
 // Example usage
 function examples() {
     const builder = new UnitedURLBuilder();
@@ -283,15 +639,15 @@ function examples() {
     const url1 = builder.buildURL({
         from: 'PHL',
         to: 'NYC',
-        departDate: '2025-08-15',
-        returnDate: '2025-08-17',
+        departDate: '+30d',
+        returnDate: '+32d',
         passengers: 1
     });
     console.log(url1);
     
     // Example 2: One way with specific cabin class
     console.log('\n2. One Way - First Class:');
-    const url2 = builder.buildOneWayURL('LAX', 'NYC', '2025-08-20', {
+    const url2 = builder.buildOneWayURL('LAX', 'NYC', 'next friday', {
         passengers: 2,
         cabinClass: 'first',
         sortBy: 'price'
@@ -303,8 +659,8 @@ function examples() {
     const url3 = builder.buildURL({
         from: 'SFO',
         to: 'BOS',
-        departDate: '2025-09-01',
-        returnDate: '2025-09-10',
+        departDate: '+6w',
+        returnDate: '+7w',
         passengers: 1,
         cabinClass: 'business',
         sortBy: 'duration',
@@ -327,8 +683,8 @@ function examples() {
     const url5 = builder.buildURL({
         from: 'CHI',
         to: 'MIA', 
-        departDate: '2025-12-15',
-        returnDate: '2025-12-22',
+        departDate: '+3m',
+        returnDate: '+100d',
         passengers: 3,
         cabinClass: 'premium-economy',
         sortBy: 'bestmatches',
@@ -340,6 +696,31 @@ function examples() {
         }
     });
     console.log(url5);
+    
+    // Example 6: Multi-city (open-jaw)
+    console.log('\n6. Multi-City:');
+    const url6 = builder.buildMultiCityURL([
+        { from: 'SFO', to: 'NYC', date: '+60d' },
+        { from: 'BOS', to: 'CHI', date: '+64d' },
+        { from: 'ORD', to: 'SFO', date: '+68d' }
+    ], {
+        passengers: 2,
+        cabinClass: 'business'
+    });
+    console.log(url6);
+    console.log('Parsed segments:', JSON.stringify(builder.parseURL(url6).segments, null, 2));
+    
+    // Example 7: Family with a child and a lap infant
+    console.log('\n7. Passenger Mix:');
+    const url7 = builder.buildRoundTripURL('DEN', 'LAX', '+90d', '+97d', {
+        passengers: {
+            adults: 2,
+            children5To11: 1,
+            infantsOnLap: 1
+        }
+    });
+    console.log(url7);
+    console.log('Parsed passengers:', JSON.stringify(builder.parseURL(url7).passengerMix));
 }
 
 // Export for use as module
@@ -347,7 +728,8 @@ module.exports = {
     UnitedURLBuilder,
     createSearchURL,
     createOneWayURL, 
-    createRoundTripURL
+    createRoundTripURL,
+    createMultiCityURL
 };
 
 // Run examples if called directly